@@ -0,0 +1,48 @@
+const { createProbot } = require("probot");
+const { createOnboardingQueue } = require("../../app");
+
+// Leave room for the job that starts last: runDue only checks the deadline before starting a job
+const DEFAULT_DRAIN_MS = 30 * 1000;
+
+const probot = createProbot();
+// A misconfigured store (e.g. the default memory store) is reported on every call instead of crashing the module
+let queue, setupError;
+try {
+  queue = createOnboardingQueue(probot, { background: false });
+} catch (error) {
+  setupError = error;
+  probot.log.error(`Queue drain is not configured: ${error.message}`);
+}
+
+/**
+ * Run due onboarding jobs until Q2U_QUEUE_DRAIN_MS has passed.
+ * Called by Vercel Cron (see vercel.json), which sends `Authorization: Bearer $CRON_SECRET`.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+module.exports = async (req, res) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    res.statusCode = 401;
+    res.end("Unauthorized");
+    return;
+  }
+
+  if (setupError) {
+    res.statusCode = 500;
+    res.end(`Queue drain is not configured: ${setupError.message}`);
+    return;
+  }
+
+  const budget = Number(process.env.Q2U_QUEUE_DRAIN_MS) || DEFAULT_DRAIN_MS;
+  try {
+    const processed = await queue.runDue({ deadline: Date.now() + budget });
+    const waiting = (await queue.pending()).length;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ processed, waiting }));
+  } catch (error) {
+    probot.log.error(`Queue drain failed: ${error.message}`);
+    res.statusCode = 500;
+    res.end("Queue drain failed");
+  }
+};
@@ -1,179 +1,785 @@
-const fs = require("fs");
 const path = require("path");
-const { createPCbyAI, createPC } = require("./model/pyproject-generator");
+const { collectProjectInfo, createPCbyAI, createPC, packagePaths, applyEntryWrapper } = require("./model/pyproject-generator");
+const { COMMAND_PREFIX, USAGE, parseCommands, setEntryPoint, addIncludes } = require("./model/chatops");
+const { summarizeDiff } = require("./model/text-diff");
+const { validatePyproject, isUvReady, formatCorrections } = require("./model/pyproject-validator");
+const { mergePyproject, findLegacyLockFiles } = require("./model/pyproject-merge");
+const { isVerificationEnabled, verifyWithUv } = require("./model/uv-verifier");
+const { loadRepoConfig, applyConfig, formatConfigErrors } = require("./model/repo-config");
+const { planWorkflow, generateWorkflow, exampleTag } = require("./model/workflow-generator");
+const { nextReleaseVersion } = require("./model/pep440");
+const { TESTPYPI_URL, choosePackageName, projectName } = require("./model/pypi-name");
+const { createCommit, pointBranch, rollbackBranch } = require("./model/git-commit");
+const { createJobQueue } = require("./model/job-queue");
+const { CHECK_NAME, pipelineStages, reviewAnnotations, buildCheckRun } = require("./model/check-report");
+const { createStoreFromEnv } = require("./model/job-store");
+const { syncClassifiers } = require("./model/project-metadata");
+const { resolveLocale, message, renderPrBody } = require("./model/pr-template");
+const { note, localize, localizedError } = require("./model/messages");
 
-// Load templates - use process.cwd() for Vercel compatibility
-const workflowContent = fs.readFileSync(path.join(process.cwd(), "assets/pypi.yml"), "utf8");
+const COMMAND_ASSOCIATIONS = ["OWNER", "MEMBER", "COLLABORATOR"];
+const WORKFLOW_PATH = ".github/workflows/pypi.yml";
+// Hidden marker that identifies the onboarding PR even if the branch was renamed
+const PR_MARKER = "<!-- quick2uv -->";
 
 /**
  * This is the main entrypoint to your Probot app
  * @param {import('probot').Probot} app
  */
 module.exports = (app) => {
+  const queue = createOnboardingQueue(app);
+
   app.on("installation.created", async (context) => {
     context.log.info("Installation created:", context.payload.repositories);
+    await enqueueOnboarding(queue, context, context.payload.repositories);
+  });
 
-    const ownerLogin = context.payload.installation.account.login;
-
-    for (const repository of context.payload.repositories) {
-      const repoName = repository.name;
-
-      try {
-        // Get full repository details
-        const { data: repo } = await context.octokit.repos.get({ owner: ownerLogin, repo: repoName });
-
-        // 1. Generate pyproject.toml content
-        const { pyproject: pyprojectContent, entryFile, usedAI } = await createPyprojectContent(context, repo);
-
-        // 2. Generate PR body content
-        const aiWarning = usedAI ? "" : `(**⚠️ 注意**: AI 失效，请重点手动修改。)`;
-        const entryFileNote = entryFile
-          ? `\n> 📝 已自动为 \`${entryFile.path}\` 添加入口函数包装，请检查是否正确。\n`
-          : "";
-        const prBody = `
-你好！我创建了此 PR，以此帮助你的项目使用 uv 进行更方便持续的 CI/CD：
----
-
-### 1. 此 PR 期间，你需要做如下操作：
-
-${entryFileNote}
-
-1.  **文件复核**: 请转至 \`Files Changed\` 检查 \`pyproject.toml\` 的内容是否准确。如需调整，对 \`pyproject.toml\` 点击 \`Edit file\` 修改提交 commit 即可。 ${aiWarning}
-2.  **PYPI设置**: [登入 PYPI](https://pypi.org/manage/projects/)（没有时请自行注册），然后[点击此处进行 pypi 授权信任 GitHub Actions 发布](https://pypi.org/manage/account/publishing/)，填写以下信息：
-    - **PyPI Project Name**: \`${repo.name}\`
-    - **Owner**: \`${ownerLogin}\`
-    - **Repository name**: \`${repoName}\`
-    - **Workflow name**: \`pypi.yml\`
-3.  **合并此 PR，并删除此分支**。
-
-> ⚠️注意：目前 bot 版本对 \`pyproject.toml\` 的 \`[project.scripts]\` 的处理暂不可靠。  
-> 假如 bot 给的是 \`main:main\`，而你的入口脚本并没有 main 包起执行操作的话，请 PR 之后用 main 函数修改
-
----
-
-### 2. 此 PR 之后操作
-
-#### 2.1 部署发布：
-
-今后可以通过推送 Git 标签轻松发布新版本：
-\`\`\`bash
-git tag v0.1.0 && git push origin v0.1.0
-\`\`\`
-
-#### 2.2 用户使用：
-
-\`\`\`bash
-uvx ${repo.name}
-\`\`\`
-
-#### 2.3 用户更新：
-\`\`\`bash
-uvx ${repo.name}@latest
-\`\`\`
-`;
-
-        // 3. Git operations
-        const base = repo.default_branch;
-        const branch = `uvx-onboarding-${Date.now()}`;
-        const prTitle = "一键接入 uvx 生态、优化发布流程";
-
-        const { data: reference } = await context.octokit.git.getRef({
-          owner: ownerLogin,
-          repo: repoName,
-          ref: `heads/${base}`,
-        });
-
-        await context.octokit.git.createRef({
-          owner: ownerLogin,
-          repo: repoName,
-          ref: `refs/heads/${branch}`,
-          sha: reference.object.sha,
-        });
-
-        // Create or update pyproject.toml
-        await context.octokit.repos.createOrUpdateFileContents({
-          owner: ownerLogin,
-          repo: repoName,
-          path: "pyproject.toml",
-          message: "feat: add pyproject.toml for packaging",
-          content: Buffer.from(pyprojectContent).toString("base64"),
-          branch,
-        });
-
-        // Create or update entry file if needed (add main() wrapper)
-        if (entryFile) {
-          // Get existing file SHA for update
-          let existingSha;
-          try {
-            const { data: existingFile } = await context.octokit.repos.getContent({
-              owner: ownerLogin,
-              repo: repoName,
-              path: entryFile.path,
-              ref: branch,
-            });
-            existingSha = existingFile.sha;
-          } catch (e) {
-            // File doesn't exist, will create new
-          }
+  app.on("installation_repositories.added", async (context) => {
+    context.log.info("Installation repositories added:", context.payload.repositories_added);
+    await enqueueOnboarding(queue, context, context.payload.repositories_added);
+  });
+
+  app.on("issue_comment.created", async (context) => {
+    try {
+      await handleCommands(context);
+    } catch (error) {
+      context.log.error(`Failed to handle ${COMMAND_PREFIX} command: ${error.message}`);
+    }
+  });
+};
+
+// Exposed for the preview CLI (bin/quick2uv.js), which runs the same pipeline without GitHub writes
+module.exports.buildOnboarding = buildOnboarding;
+// Exposed for the queue drain route (api/queue/drain.js) used on serverless deployments
+module.exports.createOnboardingQueue = createOnboardingQueue;
+
+/**
+ * Whether queued jobs run in this process after the webhook returns.
+ * Q2U_QUEUE_WORKER=background (default) runs them here; =cron only stores them and leaves them to the
+ * drain route, which is the default on Vercel because a function is frozen once it has responded.
+ * @param {object} [env]
+ * @returns {boolean}
+ */
+function runsQueueInBackground(env = process.env) {
+  const worker = env.Q2U_QUEUE_WORKER || (env.VERCEL ? "cron" : "background");
+  if (worker !== "background" && worker !== "cron") throw new Error(`Unknown Q2U_QUEUE_WORKER: ${worker} (background or cron)`);
+  return worker === "background";
+}
+
+/**
+ * Queue one onboarding job per repository; the webhook returns as soon as the jobs are stored
+ * @param {object} queue - result of createOnboardingQueue
+ * @param {import('probot').Context} context
+ * @param {Array<{name: string}>} repositories
+ */
+async function enqueueOnboarding(queue, context, repositories) {
+  const { id: installationId, account } = context.payload.installation;
+
+  for (const repository of repositories || []) {
+    await queue.enqueue(
+      "onboard",
+      { installationId, owner: account.login, repo: repository.name },
+      { id: `onboard:${account.login}/${repository.name}` }
+    );
+  }
+  if (queue.background) queue.schedule();
+}
+
+/**
+ * Queue that onboards repositories one at a time, retrying failures with backoff.
+ * Failures are reported (log, optional issue) only once a job reaches the dead-letter list.
+ * @param {import('probot').Probot} app
+ * @param {object} [options]
+ * @param {boolean} [options.background] - run jobs in this process (see runsQueueInBackground); otherwise
+ *   Q2U_QUEUE_STORE must be persistent, and a memory store throws here instead of losing the jobs
+ */
+function createOnboardingQueue(app, { background = runsQueueInBackground() } = {}) {
+  const installationContext = async (installationId) => ({ octokit: await app.auth(installationId), log: app.log });
 
-          await context.octokit.repos.createOrUpdateFileContents({
-            owner: ownerLogin,
-            repo: repoName,
-            path: entryFile.path,
-            message: `refactor: add main() entry function to ${entryFile.path}`,
-            content: Buffer.from(entryFile.content).toString("base64"),
-            branch,
-            ...(existingSha && { sha: existingSha }),
-          });
+  const queue = createJobQueue({
+    // Jobs stored here are run by another process (the drain route) in cron mode
+    store: createStoreFromEnv(process.env, { persistent: !background }),
+    log: app.log,
+    handlers: {
+      onboard: async ({ installationId, owner, repo }) => {
+        const progress = { stage: "prepare", rolledBack: false, config: null };
+        try {
+          await onboardRepository(await installationContext(installationId), owner, repo, progress);
+        } catch (error) {
+          // Kept on the error so the dead-letter report can say where it stopped
+          error.progress = progress;
+          throw error;
         }
+      },
+    },
+    onDeadLetter: async ({ payload: { installationId, owner, repo }, attempts }, error) => {
+      const progress = error.progress || { stage: "prepare", rolledBack: false, config: null };
+      await reportFailure(await installationContext(installationId), owner, repo, { ...progress, attempts }, error);
+    },
+  });
 
-        // Create workflow file
-        await context.octokit.repos.createOrUpdateFileContents({
-          owner: ownerLogin,
-          repo: repoName,
-          path: ".github/workflows/pypi.yml",
-          message: "ci: add workflow to publish to pypi",
-          content: Buffer.from(workflowContent).toString("base64"),
-          branch,
-        });
-
-        // Create Pull Request
-        await context.octokit.pulls.create({
-          owner: ownerLogin,
-          repo: repoName,
-          title: prTitle,
-          head: branch,
-          base,
-          body: prBody,
-          maintainer_can_modify: true,
-        });
-
-        context.log.info(`PR created for ${ownerLogin}/${repoName}`);
-      } catch (error) {
-        context.log.error(`Failed to process repository ${repoName}: ${error.message}`);
-      }
+  // Pick up jobs left over from a previous run (persistent stores)
+  if (background) queue.schedule();
+  return { ...queue, background };
+}
+
+/**
+ * Log a structured report of a failed onboarding, and open an issue when the repo config asks for it
+ * @param {import('probot').Context} context
+ * @param {string} owner
+ * @param {string} repo
+ * @param {{stage: string, rolledBack: boolean, config: object|null, locale?: string, attempts?: number}} progress
+ * @param {Error} error
+ */
+async function reportFailure(context, owner, repo, progress, error) {
+  const report = {
+    repository: `${owner}/${repo}`,
+    stage: progress.stage,
+    rolledBack: progress.rolledBack,
+    attempts: progress.attempts || 1,
+    status: error.status,
+    error: error.message,
+  };
+  context.log.error(report, `Failed to onboard ${report.repository} at stage "${report.stage}"`);
+
+  if (!progress.config || !progress.config.reportIssue) return;
+  // Same language as the PR when generation got that far, otherwise the configured or default one
+  const locale = progress.locale || resolveLocale(progress.config.language, "");
+  try {
+    await context.octokit.issues.create({
+      owner,
+      repo,
+      title: message(locale, "failure.title"),
+      body: message(locale, "failure.body", { ...report, rolledBack: message(locale, report.rolledBack ? "yes" : "no"), status: report.status || "-" }),
+    });
+  } catch (issueError) {
+    context.log.warn(`Could not open failure issue on ${report.repository}: ${issueError.message}`);
+  }
+}
+
+/**
+ * Generate pyproject.toml and the publish workflow for one repository, then open the onboarding PR
+ * @param {import('probot').Context} context
+ * @param {string} ownerLogin
+ * @param {string} repoName
+ * @param {{stage: string, rolledBack: boolean, config: object|null, locale?: string}} progress - updated as the pipeline advances
+ */
+async function onboardRepository(context, ownerLogin, repoName, progress) {
+  const onboarding = await buildOnboarding(context, ownerLogin, repoName, progress);
+  if (!onboarding) return;
+  const { repo, config, configErrors, locale, files, prTitle, prBody, checkRun } = onboarding;
+
+  // 3. Git operations: one commit on top of the default branch, then point the branch at it
+  progress.stage = "commit";
+  const base = repo.default_branch;
+  const existingPull = await findOnboardingPull(context, ownerLogin, repoName, config.branchPrefix);
+  const branch = existingPull ? existingPull.head.ref : `${config.branchPrefix}${Date.now()}`;
+
+  const { data: reference } = await context.octokit.git.getRef({
+    owner: ownerLogin,
+    repo: repoName,
+    ref: `heads/${base}`,
+  });
+
+  const commitSha = await createCommit(context.octokit, {
+    owner: ownerLogin,
+    repo: repoName,
+    parentSha: reference.object.sha,
+    files,
+    message: `feat: set up uv packaging and PyPI publishing\n\n${Object.keys(files).map((f) => `- ${f}`).join("\n")}`,
+  });
+
+  // Reruns reset our earlier branch to the new commit instead of stacking commits on it
+  await pointBranch(context.octokit, {
+    owner: ownerLogin,
+    repo: repoName,
+    branch,
+    sha: commitSha,
+    exists: Boolean(existingPull),
+  });
+
+  // Create the Pull Request, or refresh the one opened by an earlier run
+  progress.stage = "pull-request";
+  let pullRequest = existingPull;
+  try {
+    if (existingPull) {
+      await context.octokit.pulls.update({
+        owner: ownerLogin,
+        repo: repoName,
+        pull_number: existingPull.number,
+        title: prTitle,
+        body: prBody,
+      });
+    } else {
+      ({ data: pullRequest } = await context.octokit.pulls.create({
+        owner: ownerLogin,
+        repo: repoName,
+        title: prTitle,
+        head: branch,
+        base,
+        body: prBody,
+        maintainer_can_modify: true,
+      }));
     }
+  } catch (error) {
+    // Don't leave a branch without a PR behind: delete it, or restore the previous PR head
+    await rollbackBranch(context.octokit, {
+      owner: ownerLogin,
+      repo: repoName,
+      branch,
+      previousSha: existingPull && existingPull.head.sha,
+    }).then(
+      () => (progress.rolledBack = true),
+      (rollbackError) => context.log.warn(`Rollback of ${branch} failed: ${rollbackError.message}`)
+    );
+    throw error;
+  }
+
+  progress.stage = "check";
+  await publishCheckRun(context, ownerLogin, repoName, commitSha, checkRun);
+
+  // Report configuration problems on the PR instead of failing the onboarding
+  progress.stage = "comment";
+  if (configErrors.length > 0) {
+    await context.octokit.issues.createComment({
+      owner: ownerLogin,
+      repo: repoName,
+      issue_number: pullRequest.number,
+      body: formatConfigErrors(locale, configErrors),
+    });
+  }
+
+  context.log.info(`PR ${existingPull ? "updated" : "created"} for ${ownerLogin}/${repoName}`);
+}
+
+
+/**
+ * Generate everything the onboarding PR contains without writing to the repository (also used by the preview CLI)
+ * @param {import('probot').Context} context - only context.octokit and context.log are used
+ * @param {string} ownerLogin
+ * @param {string} repoName
+ * @param {{stage: string, config: object|null, locale?: string}} progress - updated as the pipeline advances
+ * @returns {Promise<{repo: object, config: object, configErrors: object[], locale: string, files: Object<string, string>, prTitle: string, prBody: string, checkRun: object}|null>}
+ *   null when the repository is already onboarded
+ */
+async function buildOnboarding(context, ownerLogin, repoName, progress) {
+  // Get full repository details
+  const { data: repo } = await context.octokit.repos.get({ owner: ownerLogin, repo: repoName });
+  const { config, errors: configErrors } = await loadRepoConfig(context.octokit, ownerLogin, repoName);
+  progress.config = config;
+
+  if (await isAlreadyOnboarded(context, ownerLogin, repoName)) {
+    context.log.info(`Skipping ${ownerLogin}/${repoName}: publish workflow and uv-ready pyproject.toml already exist`);
+    return null;
+  }
+
+  // 1. Pick a package name that is free on the index we publish to, then generate pyproject.toml with it.
+  // A name the repository already declares is the published distribution: check it, never rename it.
+  progress.stage = "generate";
+  const declaredName = projectName(await getFileContent(context, ownerLogin, repoName, "pyproject.toml"));
+  const nameCheck = await choosePackageName({
+    owner: ownerLogin,
+    repoName,
+    repoUrl: repo.html_url,
+    preferred: config.packageName || declaredName || undefined,
+    indexUrl: config.publish === "testpypi" ? TESTPYPI_URL : undefined,
+    check: config.publish !== "none",
+  });
+  const packageName = nameCheck.name;
+  const {
+    pyproject: pyprojectContent,
+    entryFile,
+    entrySkipped,
+    corrections,
+    mergeNotes,
+    lockFiles,
+    readme,
+    hasTests,
+    usedAI,
+    aiDisabled,
+    aiError,
+    analysis,
+    buildConfigErrors,
+  } = await createPyprojectContent(context, repo, { ...config, packageName: config.packageName || (declaredName ? null : packageName) });
+  // Everything written for people (PR body, check run, comments) uses the README's language
+  const locale = resolveLocale(config.language, readme);
+  progress.locale = locale;
+  const workflowOptions = { config, pyproject: pyprojectContent, hasTests };
+  const workflowPlan = planWorkflow(workflowOptions);
+  // The current version is the latest release and already tagged, so the example tags the next one
+  const nextVersion = workflowPlan.version && nextReleaseVersion(workflowPlan.version);
+  const releaseTag = exampleTag(config.tagPattern, nextVersion || undefined);
+
+  // Optionally lock and build the generated files in a scratch clone before opening the PR
+  progress.stage = "verify";
+  const verification = await verifyBuild(context, repo, locale, {
+    "pyproject.toml": pyprojectContent,
+    ...(entryFile && { [entryFile.path]: entryFile.content }),
+  });
+
+  // 2. Generate PR body content
+  const prTitle = config.prTitle || message(locale, "title");
+  const listNote = (key, items) => (items.length > 0 ? message(locale, key, { list: items.join("\n") }) : "");
+  const prBody = renderPrBody(locale, {
+    repoName,
+    owner: ownerLogin,
+    packageName,
+    workflowName: path.basename(WORKFLOW_PATH),
+    exampleTag: releaseTag,
+    releaseIntro: formatReleaseIntro(locale, workflowPlan, nextVersion),
+    workflowNote: formatWorkflowNote(locale, workflowPlan, releaseTag),
+    nameNote: formatNameNote(locale, nameCheck, config.publish),
+    ...uvxCommands(packageName, workflowPlan.scripts),
+    aiWarning: usedAI || aiDisabled ? "" : message(locale, "aiWarning"),
+    verificationNote: formatVerificationNote(locale, verification),
+    entryFileNote: formatEntryFileNote(locale, entryFile, entrySkipped),
+    mergeNote: listNote("mergeNote", mergeNotes.map((n) => `- ${localize(locale, n)}`)),
+    lockFileNote: listNote("lockFileNote", lockFiles.map(({ file, tool }) => `- \`${file}\` (${tool})`)),
+    correctionsNote: corrections.length > 0 ? message(locale, "correctionsNote", { list: formatCorrections(locale, corrections) }) : "",
+    publishStep: formatPublishStep(locale, config.publish, {
+      packageName,
+      owner: ownerLogin,
+      repoName,
+      workflowName: path.basename(WORKFLOW_PATH),
+    }),
+    marker: PR_MARKER,
   });
-};
 
-async function createPyprojectContent(context, repo) {
+  const files = {
+    "pyproject.toml": pyprojectContent,
+    ...(entryFile && { [entryFile.path]: entryFile.content }),
+    [WORKFLOW_PATH]: generateWorkflow(workflowOptions),
+    ...(verification && verification.lockfile && { "uv.lock": verification.lockfile }),
+  };
+  const checkRun = buildCheckRun(
+    locale,
+    pipelineStages(locale, { analysis, usedAI, aiDisabled, aiError, corrections, entryFile, entrySkipped, verification }),
+    reviewAnnotations(locale, pyprojectContent, { usedAI, aiDisabled, corrections, analysis, entryPoints: config.entryPoints })
+  );
+  return { repo, config, configErrors: [...configErrors, ...buildConfigErrors], locale, files, prTitle, prBody, checkRun };
+}
+
+/**
+ * Publish the pipeline report as a completed check run on the onboarding commit.
+ * Installations that have not accepted the checks permission yet get a 403, which is only logged.
+ * @param {import('probot').Context} context
+ * @param {string} owner
+ * @param {string} repo
+ * @param {string} headSha
+ * @param {{conclusion: string, output: object}} checkRun - result of buildCheckRun
+ */
+async function publishCheckRun(context, owner, repo, headSha, checkRun) {
+  try {
+    await context.octokit.checks.create({
+      owner,
+      repo,
+      name: CHECK_NAME,
+      head_sha: headSha,
+      status: "completed",
+      conclusion: checkRun.conclusion,
+      completed_at: new Date().toISOString(),
+      output: checkRun.output,
+    });
+  } catch (error) {
+    context.log.warn(`Could not publish check run on ${owner}/${repo}: ${error.message}`);
+  }
+}
+
+/**
+ * Whether a pull request is one of our onboarding PRs
+ * @param {object} pr - pull request payload
+ * @param {string} branchPrefix
+ * @returns {boolean}
+ */
+function isOnboardingPull(pr, branchPrefix) {
+  if (pr.user.type !== "Bot" || pr.head.repo?.full_name !== pr.base.repo.full_name) return false;
+  return pr.head.ref.startsWith(branchPrefix) || (pr.body || "").includes(PR_MARKER);
+}
+
+/**
+ * Find the open onboarding PR left by an earlier run, if any
+ * @param {import('probot').Context} context
+ * @param {string} owner
+ * @param {string} repo
+ * @param {string} branchPrefix
+ * @returns {Promise<object|undefined>}
+ */
+async function findOnboardingPull(context, owner, repo, branchPrefix) {
+  const pulls = await context.octokit.paginate(context.octokit.pulls.list, { owner, repo, state: "open", per_page: 100 });
+  return pulls.find((pr) => isOnboardingPull(pr, branchPrefix));
+}
+
+/**
+ * Whether the default branch already has the publish workflow and a pyproject.toml uv can build
+ * @param {import('probot').Context} context
+ * @param {string} owner
+ * @param {string} repo
+ * @returns {Promise<boolean>}
+ */
+async function isAlreadyOnboarded(context, owner, repo) {
+  if (!(await getFileSha(context, owner, repo, WORKFLOW_PATH))) return false;
+  try {
+    const { data } = await context.octokit.repos.getContent({ owner, repo, path: "pyproject.toml" });
+    return isUvReady(Buffer.from(data.content, "base64").toString("utf8"));
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Run `uv lock` and `uv build` against the generated files when verification is enabled
+ * @param {import('probot').Context} context
+ * @param {object} repo
+ * @param {string} locale - language of the failure reason in the log
+ * @param {Object<string, string>} files - path -> content to write over the default branch
+ * @returns {Promise<object|null>} null when verification is disabled
+ */
+async function verifyBuild(context, repo, locale, files) {
+  if (!isVerificationEnabled()) return null;
+
+  let token;
+  try {
+    ({ token } = await context.octokit.auth({ type: "installation" }));
+  } catch (e) {
+    context.log.warn(`Could not get an installation token, cloning without credentials: ${e.message}`);
+  }
+
+  const result = await verifyWithUv({ cloneUrl: repo.clone_url, branch: repo.default_branch, token, files, locale });
+  context.log.info(`uv verification for ${repo.full_name}: ${result.success ? "passed" : `failed at ${result.step}`}`);
+  return result;
+}
+
+/**
+ * Describe the verification result for the PR body
+ * @param {string} locale
+ * @param {object|null} verification
+ * @returns {string}
+ */
+function formatVerificationNote(locale, verification) {
+  if (!verification) return "";
+  if (verification.success) return message(locale, "verificationPassed");
+  return message(locale, "verificationFailed", {
+    step: verification.step,
+    log: verification.log,
+    lockNote: verification.lockfile ? message(locale, "verificationLockCommitted") : "",
+  });
+}
+
+/**
+ * PR note for the entry file: a diff preview when it was wrapped, or why it was left alone
+ * @param {string} locale
+ * @param {object|null} entryFile - {path, content, diff}
+ * @param {object|null} entrySkipped - {path, reason}
+ * @returns {string}
+ */
+function formatEntryFileNote(locale, entryFile, entrySkipped) {
+  if (entryFile) return message(locale, "entryFileNote", { path: entryFile.path, diff: entryFile.diff });
+  if (entrySkipped) return message(locale, "entryFileSkipped", entrySkipped);
+  return "";
+}
+
+/**
+ * uvx commands for running and updating the tool; `--from` is needed when no script is named after the package
+ * @param {string} packageName
+ * @param {string[]} scripts - [project.scripts] names
+ * @returns {{runCommand: string, updateCommand: string}}
+ */
+function uvxCommands(packageName, scripts) {
+  if (scripts.length === 0 || scripts.includes(packageName)) {
+    return { runCommand: `uvx ${packageName}`, updateCommand: `uvx ${packageName}@latest` };
+  }
+  return { runCommand: `uvx --from ${packageName} ${scripts[0]}`, updateCommand: `uvx --from ${packageName}@latest ${scripts[0]}` };
+}
+
+/**
+ * PR note when the package name is taken on the index, was switched to an alternative, or could not be checked
+ * @param {string} locale
+ * @param {object} nameCheck - result of choosePackageName
+ * @param {"pypi"|"testpypi"|"none"} publish
+ * @returns {string}
+ */
+function formatNameNote(locale, nameCheck, publish) {
+  const label = publish === "testpypi" ? "TestPyPI" : message(locale, "pypiLabel");
+  const alternatives = nameCheck.alternatives.map((name) => `\`${name}\``).join(", ");
+  switch (nameCheck.status) {
+    case "renamed":
+      return message(locale, "nameRenamed", { ...nameCheck, label });
+    case "taken":
+      return message(locale, alternatives ? "nameTakenWithAlternatives" : "nameTaken", { ...nameCheck, label, alternatives });
+    case "unchecked":
+      return publish === "none" ? "" : message(locale, "nameUnchecked", { ...nameCheck, label });
+    default:
+      return "";
+  }
+}
+
+/**
+ * Introduce the release command: unless hatch-vcs derives the version from the tag, bump it first
+ * @param {string} locale
+ * @param {object} plan - result of planWorkflow
+ * @param {string|null} next - version the example tag uses
+ * @returns {string}
+ */
+function formatReleaseIntro(locale, plan, next) {
+  if (plan.vcsVersion) return message(locale, "releaseIntro");
+  return plan.version ? message(locale, "releaseIntroBump", { version: plan.version, next: next || plan.version }) : message(locale, "releaseIntroBumpDynamic");
+}
+
+/**
+ * List what the generated publish workflow does after a tag is pushed
+ * @param {string} locale
+ * @param {object} plan - result of planWorkflow
+ * @param {string} tag - example release tag
+ * @returns {string}
+ */
+function formatWorkflowNote(locale, plan, tag) {
+  const label = plan.publish === "testpypi" ? "TestPyPI" : message(locale, "pypiLabel");
+  const steps = [
+    plan.vcsVersion ? message(locale, "workflowVcsVersion") : plan.version ? message(locale, "workflowVersionCheck", { version: plan.version }) : message(locale, "workflowBuiltVersionCheck"),
+    plan.pythonVersions && message(locale, "workflowTests", { versions: plan.pythonVersions.join(" / ") }),
+    message(locale, "workflowBuild"),
+    ...plan.scripts.map((script) => message(locale, "workflowSmoke", { script })),
+    plan.publish !== "none" && message(locale, "workflowPublish", { label }),
+    plan.prereleaseToTestPyPI && message(locale, "workflowPrerelease", { tag: `${tag}-rc1` }),
+    plan.githubRelease && message(locale, "workflowRelease"),
+  ].filter(Boolean);
+  return message(locale, "workflowNote", { workflowName: path.basename(WORKFLOW_PATH), list: steps.join("\n") });
+}
+
+/**
+ * Describe the PyPI trusted publishing setup for the configured publish target
+ * @param {string} locale
+ * @param {"pypi"|"testpypi"|"none"} publish
+ * @param {{packageName: string, owner: string, repoName: string, workflowName: string}} vars
+ * @returns {string}
+ */
+function formatPublishStep(locale, publish, vars) {
+  if (publish === "none") return message(locale, "publishDisabled");
+  const label = publish === "testpypi" ? "TestPyPI" : message(locale, "pypiLabel");
+  return message(locale, "publishStep", {
+    ...vars,
+    label,
+    labelLower: label.toLowerCase(),
+    host: publish === "testpypi" ? "test.pypi.org" : "pypi.org",
+  });
+}
+
+/**
+ * Apply /q2u slash commands commented on an onboarding PR and reply with a diff summary
+ * @param {import('probot').Context} context
+ */
+async function handleCommands(context) {
+  const { comment, issue } = context.payload;
+  if (context.isBot || !issue.pull_request) return;
+
+  const commands = parseCommands(comment.body);
+  if (commands.length === 0) return;
+  if (!COMMAND_ASSOCIATIONS.includes(comment.author_association)) return;
+
+  const { owner, repo: repoName } = context.repo();
+  const { data: pr } = await context.octokit.pulls.get({ owner, repo: repoName, pull_number: issue.number });
+
+  // Only act on the bot's own onboarding PRs
+  const { config, errors: configErrors } = await loadRepoConfig(context.octokit, owner, repoName);
+  if (pr.state !== "open" || !isOnboardingPull(pr, config.branchPrefix)) return;
+  // Reply in the language the PR body was written in
+  const locale = resolveLocale(config.language, pr.body);
+
+  const branch = pr.head.ref;
+  const { data: file } = await context.octokit.repos.getContent({
+    owner,
+    repo: repoName,
+    path: "pyproject.toml",
+    ref: branch,
+  });
+  const original = Buffer.from(file.content, "base64").toString("utf8");
+
+  let pyproject = original;
+  const results = [];
+  const details = configErrors.length > 0 ? [formatConfigErrors(locale, configErrors)] : [];
+  for (const command of commands) {
+    try {
+      switch (command.name) {
+        case "regenerate": {
+          const { data: repo } = await context.octokit.repos.get({ owner, repo: repoName });
+          // Keep the package name chosen at onboarding (it may differ from the repo name if that was taken)
+          const packageName = config.packageName || projectName(pyproject) || undefined;
+          const result = await createPyprojectContent(context, repo, { ...config, packageName });
+          pyproject = result.pyproject;
+          if (result.buildConfigErrors.length > 0) details.push(formatConfigErrors(locale, result.buildConfigErrors));
+          if (result.corrections.length > 0) {
+            details.push(message(locale, "chatops.corrections", { list: formatCorrections(locale, result.corrections) }));
+          }
+          break;
+        }
+        case "entry":
+          pyproject = setEntryPoint(pyproject, command.args.join(""));
+          break;
+        case "include":
+          pyproject = addIncludes(pyproject, command.args);
+          break;
+        default:
+          throw localizedError("chatops.unknownCommand", { usage: USAGE });
+      }
+      results.push(message(locale, "chatops.succeeded", { command: command.raw }));
+    } catch (error) {
+      results.push(message(locale, "chatops.failed", { command: command.raw, error: localize(locale, error.note || error.message) }));
+    }
+  }
+
+  const diff = summarizeDiff(locale, original, pyproject);
+  if (pyproject !== original) {
+    await context.octokit.repos.createOrUpdateFileContents({
+      owner,
+      repo: repoName,
+      path: "pyproject.toml",
+      message: `chore: apply ${commands.map((c) => c.raw).join(", ")}`,
+      content: Buffer.from(pyproject).toString("base64"),
+      sha: file.sha,
+      branch,
+    });
+  }
+
+  await context.octokit.issues.createComment(
+    context.issue({
+      body: [results.join("\n"), ...details, message(locale, "chatops.diff", { diff: diff.markdown })].join("\n\n"),
+    })
+  );
+}
+
+/**
+ * Read a text file from the default branch, or undefined when it does not exist
+ */
+async function getFileContent(context, owner, repo, path) {
+  try {
+    const { data } = await context.octokit.repos.getContent({ owner, repo, path });
+    return Buffer.from(data.content, "base64").toString("utf8");
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Look up the blob SHA of a file on a branch, or undefined when it does not exist
+ */
+async function getFileSha(context, owner, repo, path, ref) {
+  try {
+    const { data } = await context.octokit.repos.getContent({ owner, repo, path, ref });
+    return data.sha;
+  } catch (e) {
+    // File doesn't exist, will create new
+    return undefined;
+  }
+}
+
+/**
+ * Generate pyproject.toml, merge it into the repository's existing one and apply the repo config
+ * @param {import('probot').Context} context
+ * @param {object} repo
+ * @param {object} config - .github/quick2uv.yml settings
+ */
+async function createPyprojectContent(context, repo, config) {
+  const projectInfo = await collectProjectInfo({ octokit: context.octokit, repo });
+  const generated = {
+    ...(await generatePyproject(context, repo, projectInfo)),
+    lockFiles: findLegacyLockFiles(projectInfo.allRootFiles),
+  };
+
+  // Entry points set in the repo config make the generated main() wrapper unnecessary
+  if (config.entryPoints) Object.assign(generated, { entryFile: null, entrySkipped: null });
+
+  const result = mergeExistingPyproject(context, repo, projectInfo.fileContents["pyproject.toml"], generated, projectInfo.snapshot.paths);
+  // A backend kept for dynamic metadata hatchling cannot provide is not switched by the config either
+  const configured = applyConfig(result.pyproject, result.keptBackend ? { ...config, backend: null } : config);
+  return {
+    ...result,
+    // Classifiers follow the final requires-python and license, after merging and config overrides
+    pyproject: syncClassifiers(configured.content),
+    // Config settings that could not be applied to this repository (e.g. a backend that cannot express its packages)
+    buildConfigErrors: configured.errors,
+    readme: projectInfo.readmeContent,
+    hasTests: projectInfo.hasTests,
+    // What each pipeline stage found, for the check run
+    analysis: {
+      fileCount: projectInfo.snapshot.paths.length,
+      truncated: projectInfo.snapshot.truncated,
+      packageLayout: projectInfo.packageLayout,
+      dependencyInfo: projectInfo.dependencyInfo,
+      entryCandidates: projectInfo.entryCandidates,
+      metadata: projectInfo.metadata,
+    },
+  };
+}
+
+/**
+ * Merge the generated pyproject.toml into the repository's existing one, if any
+ * @param {import('probot').Context} context
+ * @param {object} repo
+ * @param {string|undefined} existing - current pyproject.toml on the default branch
+ * @param {object} generated - result of generatePyproject
+ * @param {string[]} paths - repository files, to locate a dynamic version
+ */
+function mergeExistingPyproject(context, repo, existing, generated, paths) {
+  if (!existing) return { ...generated, mergeNotes: [], keptBackend: null };
+
+  const merged = mergePyproject(existing, generated.pyproject, { paths });
+  const validation = validatePyproject(merged.content, { fallbackName: repo.name });
+  if (!validation.valid) {
+    context.log.warn(`Merged pyproject.toml is invalid, using generated file: ${validation.errors.map((e) => localize("en", e)).join("; ")}`);
+    return { ...generated, mergeNotes: [note("merge.invalid", { errors: validation.errors })], keptBackend: null };
+  }
+  return {
+    ...generated,
+    pyproject: validation.content,
+    corrections: [...generated.corrections, ...validation.corrections],
+    mergeNotes: merged.notes,
+    keptBackend: merged.keptBackend,
+  };
+}
+
+/**
+ * Generate a fresh pyproject.toml with AI, falling back to the template when AI is unavailable
+ * @param {import('probot').Context} context
+ * @param {object} repo
+ * @param {object} projectInfo
+ */
+async function generatePyproject(context, repo, projectInfo) {
   try {
     const result = await createPCbyAI({
       octokit: context.octokit,
       repo,
+      projectInfo,
       log: context.log,
     });
     return {
       pyproject: result.pyproject,
       entryFile: result.entryFile,
+      entrySkipped: result.entrySkipped,
+      corrections: result.corrections,
       usedAI: true,
     };
   } catch (error) {
-    context.log.error(`AI generation failed, falling back to template: ${error.message}`);
+    // With LLM_PROVIDER=none the template is the intended path, not a failure
+    if (error.disabled) context.log.info("AI generation is disabled, using the template");
+    else context.log.error(`AI generation failed, falling back to template: ${error.message}`);
+    const fallback = validatePyproject(
+      createPC(repo, projectInfo.latestVersion, {
+        entryPoints: projectInfo.entryCandidates,
+        dependencies: projectInfo.dependencyInfo,
+        packages: packagePaths(projectInfo.packageLayout),
+        metadata: projectInfo.metadata,
+      }),
+      { fallbackName: repo.name }
+    );
+    const wrapped = applyEntryWrapper(fallback.content, projectInfo);
     return {
-      pyproject: createPC(repo),
-      entryFile: null,
+      pyproject: wrapped.pyproject,
+      entryFile: wrapped.entryFile,
+      entrySkipped: wrapped.entrySkipped,
+      corrections: fallback.corrections,
       usedAI: false,
+      aiDisabled: Boolean(error.disabled),
+      aiError: error.disabled ? null : error.message,
     };
   }
 }
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+
+const USAGE = `Usage:
+  quick2uv preview <owner/repo> [--out <dir>]
+  quick2uv preview --path <dir> [--name <owner/repo>] [--out <dir>]
+
+Runs the onboarding pipeline and prints the generated files and PR body without writing to GitHub.
+
+Options:
+  --path <dir>          read a local checkout instead of a GitHub repository
+  --name <owner/repo>   repository identity assumed for --path (default: local/<directory name>)
+  --out <dir>           write the files, PULL_REQUEST.md and CHECK_RUN.md into <dir> instead of printing them
+  -h, --help            show this help
+
+Environment:
+  GITHUB_TOKEN          token for reading GitHub repositories (optional for public ones)
+  LLM_PROVIDER, ...     same AI settings as the app; LLM_PROVIDER=none uses the template only`;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv
+ * @returns {{command: string|undefined, target: string|undefined, path: string|undefined, name: string|undefined, out: string|undefined, help: boolean}}
+ */
+function parseArgs(argv) {
+  const args = { command: undefined, target: undefined, path: undefined, name: undefined, out: undefined, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const option = arg.match(/^--(path|name|out)(?:=(.*))?$/);
+    if (option) {
+      const value = option[2] ?? argv[++i];
+      if (!value) throw new Error(`--${option[1]} needs a value`);
+      args[option[1]] = value;
+    } else if (arg === "-h" || arg === "--help") {
+      args.help = true;
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (!args.command) {
+      args.command = arg;
+    } else if (!args.target) {
+      args.target = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  return args;
+}
+
+/**
+ * Split "owner/repo"
+ * @param {string} value
+ * @returns {{owner: string, repo: string}}
+ */
+function parseRepoName(value) {
+  const match = String(value).match(/^([\w.-]+)\/([\w.-]+)$/);
+  if (!match) throw new Error(`Expected owner/repo, got "${value}"`);
+  return { owner: match[1], repo: match[2] };
+}
+
+/**
+ * Render the check run the app would publish as Markdown
+ * @param {{conclusion: string, output: {title: string, summary: string, annotations: Array}}} checkRun
+ * @returns {string}
+ */
+function formatCheckRun({ conclusion, output }) {
+  const annotations = output.annotations.map(
+    (a) => `- \`${a.path}:${a.start_line}\` **${a.annotation_level}** ${a.title}: ${a.message.replace(/\n/g, "; ")}`
+  );
+  return [`## ${output.title} (${conclusion})`, output.summary, ...(annotations.length > 0 ? [annotations.join("\n")] : [])].join("\n\n") + "\n";
+}
+
+// Progress goes to stderr so stdout only carries the generated output
+const log = {
+  debug() {},
+  info: (...args) => console.error(...args),
+  warn: (...args) => console.error("WARN", ...args),
+  error: (...args) => console.error("ERROR", ...args),
+};
+
+async function main() {
+  let args, identity;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    if (args.help || !args.command) {
+      console.log(USAGE);
+      return 0;
+    }
+    if (args.command !== "preview") throw new Error(`Unknown command: ${args.command}`);
+    if (Boolean(args.path) === Boolean(args.target)) throw new Error("Give either <owner/repo> or --path <dir>");
+    identity = args.path ? args.name && parseRepoName(args.name) : parseRepoName(args.target);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  // Resolve user paths before switching to the package root, where the app loads its templates from
+  const localPath = args.path && path.resolve(args.path);
+  const outDir = args.out && path.resolve(args.out);
+  if (localPath && !fs.statSync(localPath, { throwIfNoEntry: false })?.isDirectory()) {
+    console.error(`Not a directory: ${localPath}`);
+    return 2;
+  }
+  process.chdir(path.join(__dirname, ".."));
+
+  const { buildOnboarding } = require("../app");
+  const { createLocalOctokit } = require("../model/local-octokit");
+  const { localize } = require("../model/messages");
+  const { ProbotOctokit } = require("probot");
+
+  let octokit, owner, repo;
+  if (localPath) {
+    ({ octokit, owner, repo } = createLocalOctokit(localPath, { ...identity, log }));
+  } else {
+    ({ owner, repo } = identity);
+    octokit = new ProbotOctokit({ log, ...(process.env.GITHUB_TOKEN && { auth: { token: process.env.GITHUB_TOKEN } }) });
+    // A preview must never change the repository
+    octokit.hook.before("request", (options) => {
+      if (options.method !== "GET") throw new Error(`Preview does not write to GitHub: ${options.method} ${options.url}`);
+    });
+  }
+
+  const progress = { stage: "prepare", rolledBack: false, config: null };
+  let onboarding;
+  try {
+    onboarding = await buildOnboarding({ octokit, log }, owner, repo, progress);
+  } catch (error) {
+    console.error(`Preview of ${owner}/${repo} failed at stage "${progress.stage}": ${error.message}`);
+    return 1;
+  }
+  if (!onboarding) {
+    console.error(`${owner}/${repo} already has the publish workflow and a uv-ready pyproject.toml; nothing to do.`);
+    return 0;
+  }
+
+  const { files, prTitle, prBody, checkRun, configErrors, locale } = onboarding;
+  for (const error of configErrors) log.warn(`Config: ${localize(locale, error)}`);
+  const checkReport = formatCheckRun(checkRun);
+
+  if (outDir) {
+    const outputs = { ...files, "PULL_REQUEST.md": `# ${prTitle}\n\n${prBody}`, "CHECK_RUN.md": checkReport };
+    for (const [file, content] of Object.entries(outputs)) {
+      const target = path.join(outDir, file);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, content);
+      log.info(`Wrote ${target}`);
+    }
+  } else {
+    for (const [file, content] of Object.entries(files)) {
+      console.log(`===== ${file} =====\n${content.replace(/\n$/, "")}\n`);
+    }
+    console.log(`===== Pull request: ${prTitle} =====\n${prBody}`);
+    console.log(`===== Check run =====\n${checkReport}`);
+  }
+  return 0;
+}
+
+main().then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,107 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const TOML = require("smol-toml");
+
+const ROOT = path.join(__dirname, "..");
+const REQUEST_PREFIX = "REQUEST ";
+
+// Probot does not load under jest, so the CLI runs in a child process. The wrapper logs every request the
+// local octokit receives before the CLI starts.
+const RECORD_REQUESTS = `
+const local = require("./model/local-octokit");
+const { createLocalOctokit } = local;
+local.createLocalOctokit = (...args) => {
+  const result = createLocalOctokit(...args);
+  result.octokit.hook.before("request", (options) => console.error(${JSON.stringify(REQUEST_PREFIX)} + options.method + " " + options.url));
+  return result;
+};
+process.argv.splice(1, 0, "bin/quick2uv.js");
+require("./bin/quick2uv.js");
+`;
+
+const FIXTURE = {
+  "setup.py": 'from setuptools import setup, find_packages\n\nsetup(name="demo", packages=find_packages(), install_requires=["requests>=2.31", "click"])\n',
+  "demo/__init__.py": "",
+  "demo/cli.py": 'import click\n\n\n@click.command()\ndef main():\n    click.echo("hi")\n',
+  "tox.ini": "[tox]\nenvlist = py{39,312}\n",
+};
+
+/**
+ * Write files into a new temporary directory
+ * @param {Object<string, string>} files
+ * @returns {string}
+ */
+function writeTree(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "quick2uv-"));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+/**
+ * Read every file under a directory
+ * @param {string} dir
+ * @returns {Object<string, string>}
+ */
+function readTree(dir) {
+  return Object.fromEntries(
+    fs
+      .readdirSync(dir, { recursive: true, withFileTypes: true })
+      .filter((entry) => entry.isFile())
+      .map((entry) => path.relative(dir, path.join(entry.parentPath || entry.path, entry.name)).split(path.sep).join("/"))
+      .sort()
+      .map((file) => [file, fs.readFileSync(path.join(dir, file), "utf8")])
+  );
+}
+
+describe("quick2uv preview --path", () => {
+  let fixture, out, result, requests;
+
+  beforeAll(() => {
+    fixture = writeTree(FIXTURE);
+    out = fs.mkdtempSync(path.join(os.tmpdir(), "quick2uv-out-"));
+    result = spawnSync(process.execPath, ["-e", RECORD_REQUESTS, "preview", "--path", fixture, "--name", "octo/demo", "--out", out], {
+      cwd: ROOT,
+      encoding: "utf8",
+      timeout: 60000,
+      env: { ...process.env, LLM_PROVIDER: "none", GITHUB_TOKEN: "" },
+    });
+    requests = result.stderr
+      .split("\n")
+      .filter((line) => line.startsWith(REQUEST_PREFIX))
+      .map((line) => line.slice(REQUEST_PREFIX.length));
+  }, 70000);
+
+  afterAll(() => {
+    fs.rmSync(fixture, { recursive: true, force: true });
+    fs.rmSync(out, { recursive: true, force: true });
+  });
+
+  test("exits cleanly", () => {
+    expect(result.error).toBeUndefined();
+    expect(result.stderr).not.toMatch(/^ERROR/m);
+    expect(result.status).toBe(0);
+  });
+
+  test("writes the generated files, PR body and check run", () => {
+    const files = readTree(out);
+    expect(Object.keys(files)).toEqual([".github/workflows/pypi.yml", "CHECK_RUN.md", "PULL_REQUEST.md", "pyproject.toml"]);
+
+    const { project, tool } = TOML.parse(files["pyproject.toml"]);
+    expect(project).toMatchObject({ name: "demo", "requires-python": ">=3.9", dependencies: ["requests>=2.31", "click"] });
+    expect(project.urls).toMatchObject({ Repository: "https://github.com/octo/demo" });
+    expect(tool.hatch.build.targets.wheel.packages).toEqual(["demo"]);
+    expect(files[".github/workflows/pypi.yml"]).toContain("uv build");
+    expect(files["PULL_REQUEST.md"]).toMatch(/^# \S/);
+  });
+
+  test("only reads from the repository", () => {
+    expect(requests.length).toBeGreaterThan(0);
+    expect(requests.filter((request) => !request.startsWith("GET "))).toEqual([]);
+    expect(readTree(fixture)).toEqual(FIXTURE);
+  });
+});
@@ -0,0 +1,92 @@
+const TOML = require("smol-toml");
+const { replaceTable, setKey, formatString, formatValue, formatKey } = require("./toml-edit");
+const { note, localizedError } = require("./messages");
+
+const COMMAND_PREFIX = "/q2u";
+
+const ENTRY_POINT_RE = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*:[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/;
+const SCRIPT_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+const USAGE = note("chatops.usage", { prefix: COMMAND_PREFIX });
+
+/**
+ * 从评论正文中解析 /q2u 命令（每行一条）
+ * @param {string} body - 评论内容
+ * @returns {Array<{name: string, args: string[], raw: string}>}
+ */
+function parseCommands(body) {
+  return (body || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line === COMMAND_PREFIX || line.startsWith(`${COMMAND_PREFIX} `))
+    .map((line) => {
+      const [, name = "", ...args] = line.split(/\s+/);
+      return { name: name.toLowerCase(), args, raw: line };
+    });
+}
+
+/**
+ * 重写 [project.scripts]，只保留一个入口
+ * @param {string} pyproject - 当前 pyproject.toml 内容
+ * @param {string} spec - "模块名:函数名" 或 "命令名=模块名:函数名"
+ * @returns {string}
+ */
+function setEntryPoint(pyproject, spec) {
+  const doc = TOML.parse(pyproject);
+  let [scriptName, target] = spec.includes("=") ? spec.split("=", 2) : [doc.project?.name, spec];
+  scriptName = (scriptName || "").trim();
+  target = target.trim();
+
+  if (!ENTRY_POINT_RE.test(target)) {
+    throw localizedError("chatops.invalidEntryPoint", { target });
+  }
+  if (!SCRIPT_NAME_RE.test(scriptName)) {
+    throw localizedError("chatops.invalidScriptName", { name: scriptName });
+  }
+
+  return replaceTable(pyproject, "project.scripts", [`${formatKey(scriptName)} = ${formatString(target)}`]);
+}
+
+// 各构建后端的 wheel include 位置；setuptools / flit 没有对应配置
+const INCLUDE_TABLES = {
+  "hatchling.build": { table: "tool.hatch.build.targets.wheel", key: "include" },
+  "pdm.backend": { table: "tool.pdm.build", key: "includes" },
+};
+
+/**
+ * 向 wheel 的 include 列表追加路径（已存在的跳过）
+ * @param {string} pyproject - 当前 pyproject.toml 内容
+ * @param {string[]} patterns - 路径或 glob
+ * @returns {string}
+ */
+function addIncludes(pyproject, patterns) {
+  if (patterns.length === 0) {
+    throw localizedError("chatops.includeMissing", { prefix: COMMAND_PREFIX });
+  }
+  for (const pattern of patterns) {
+    if (pattern.startsWith("/") || pattern.split("/").includes("..")) {
+      throw localizedError("chatops.includeOutside", { pattern });
+    }
+  }
+
+  const doc = TOML.parse(pyproject);
+  const backend = doc["build-system"]?.["build-backend"] || "hatchling.build";
+  const target = INCLUDE_TABLES[backend];
+  if (!target) {
+    throw localizedError("chatops.includeUnsupported", { backend });
+  }
+  const current = target.table.split(".").reduce((node, key) => (node ? node[key] : undefined), doc)?.[target.key] || [];
+  const merged = [...current, ...patterns.filter((p) => !current.includes(p))];
+
+  return setKey(pyproject, target.table, target.key, formatValue(merged, { multiline: true }));
+}
+
+module.exports = {
+  COMMAND_PREFIX,
+  USAGE,
+  ENTRY_POINT_RE,
+  SCRIPT_NAME_RE,
+  parseCommands,
+  setEntryPoint,
+  addIncludes,
+};
@@ -0,0 +1,224 @@
+const TOML = require("smol-toml");
+const { parseLayout } = require("./toml-edit");
+const { message, localize } = require("./messages");
+
+/**
+ * 接入提交上的 Check Run
+ *
+ * 汇总生成流程各阶段（文件扫描、依赖提取、入口识别、元数据推断、AI 生成、校验）的结果，
+ * 并在 pyproject.toml 中需要人工复核的行上添加注释（annotations）。
+ */
+
+const CHECK_NAME = "quick2uv";
+// GitHub 单次请求最多接受 50 条注释
+const MAX_ANNOTATIONS = 50;
+const STATUS_ICONS = { success: "✅", warning: "⚠️", failure: "❌" };
+
+/**
+ * 字段所在的行（1 起），如 project.dependencies、project.scripts.demo、build-system；找不到时返回 null
+ * @param {object} layout - parseLayout 的结果
+ * @param {string} field
+ * @returns {{start: number, end: number}|null}
+ */
+function fieldLines(layout, field) {
+  const parts = field.split(".");
+  for (let i = parts.length - 1; i >= 0; i--) {
+    const tableName = i === 0 ? null : parts.slice(0, i).join(".");
+    const table = layout.tables.find((t) => !t.array && t.name === tableName);
+    const key = table && table.keys.find((k) => k.key === parts.slice(i).join("."));
+    if (key) return { start: key.start + 1, end: key.end };
+  }
+  const table = layout.tables.find((t) => !t.array && t.name === field);
+  return table ? { start: table.start + 1, end: table.start + 1 } : null;
+}
+
+/**
+ * 各阶段的结果
+ * @param {string} locale
+ * @param {object} options
+ * @param {object} options.analysis - createPyprojectContent 返回的 analysis（含 inferMetadata 的结果）
+ * @param {boolean} options.usedAI
+ * @param {boolean} [options.aiDisabled] - 未启用 AI（LLM_PROVIDER=none），模板生成是正常路径
+ * @param {string|null} [options.aiError] - AI 生成失败的原因
+ * @param {Array} options.corrections - 校验器的自动修正
+ * @param {object|null} [options.entryFile] - 自动包装的入口文件
+ * @param {object|null} [options.entrySkipped] - 无法包装的入口文件
+ * @param {object|null} [options.verification] - uv lock / uv build 验证结果
+ * @returns {Array<{name: string, status: "success"|"warning"|"failure", summary: string}>}
+ */
+function pipelineStages(locale, { analysis, usedAI, aiDisabled = false, aiError = null, corrections, entryFile = null, entrySkipped = null, verification = null }) {
+  const { fileCount, truncated, packageLayout, dependencyInfo, entryCandidates, metadata } = analysis;
+  const packages = packageLayout.packages.map((pkg) => `\`${pkg.name}\``);
+  const [entry] = entryCandidates;
+  const t = (key, vars) => message(locale, key, vars);
+
+  const validationIssues = [
+    corrections.length > 0 && t("check.corrected", { count: corrections.length }),
+    verification && !verification.success && t("check.stepFailed", { step: verification.step }),
+  ].filter(Boolean);
+
+  return [
+    {
+      name: t("check.stage.scan"),
+      status: truncated ? "warning" : "success",
+      summary: [
+        t("check.fileCount", { count: fileCount }),
+        truncated && t("check.truncated"),
+        packageLayout.layout === "src" ? t("check.srcLayout") : null,
+        packages.length > 0 ? t("check.packages", { packages }) : t("check.noPackages"),
+      ]
+        .filter(Boolean)
+        .join(t("check.separator")),
+    },
+    {
+      name: t("check.stage.dependencies"),
+      status: dependencyInfo.notes.length > 0 ? "warning" : "success",
+      summary:
+        dependencyInfo.sources.length > 0
+          ? [
+              t("check.dependencies", { sources: dependencyInfo.sources.map((s) => `\`${s}\``), count: dependencyInfo.dependencies.length }),
+              dependencyInfo.notes.length > 0 && t("check.dependencyNotes", { count: dependencyInfo.notes.length }),
+            ]
+              .filter(Boolean)
+              .join(t("check.separator"))
+          : t("check.noDependencyFiles"),
+    },
+    {
+      name: t("check.stage.entry"),
+      status: !entry || entrySkipped ? "warning" : "success",
+      summary: [
+        entry ? t("check.entry", { name: entry.name, target: entry.target, score: entry.score }) : t("check.noEntry"),
+        entryFile && t("check.entryWrapped", { path: entryFile.path }),
+        entrySkipped && t("check.entrySkipped", { path: entrySkipped.path, reason: entrySkipped.reason }),
+      ]
+        .filter(Boolean)
+        .join(t("check.clauseSeparator")),
+    },
+    {
+      name: t("check.stage.metadata"),
+      status: metadata.requiresPython.warnings.length > 0 || metadata.license.warnings.length > 0 ? "warning" : "success",
+      summary: [
+        t(metadata.requiresPython.inferred ? "check.requiresPython" : "check.requiresPythonDefault", { specifier: metadata.requiresPython.specifier }),
+        metadata.license.expression ? t("check.license", { expression: metadata.license.expression }) : t("check.noLicense"),
+      ].join(t("check.clauseSeparator")),
+    },
+    {
+      name: t("check.stage.ai"),
+      status: usedAI || aiDisabled ? "success" : "warning",
+      summary: usedAI ? t("check.usedAI") : aiDisabled ? t("check.aiDisabled") : aiError ? t("check.fallbackError", { error: aiError }) : t("check.fallback"),
+    },
+    {
+      name: t("check.stage.validation"),
+      status: verification && !verification.success ? "failure" : validationIssues.length > 0 ? "warning" : "success",
+      summary: [
+        validationIssues.length > 0 ? validationIssues.join(t("check.separator")) : t("check.passed"),
+        verification && verification.success && t("check.verified"),
+      ]
+        .filter(Boolean)
+        .join(t("check.clauseSeparator")),
+    },
+  ];
+}
+
+/**
+ * pyproject.toml 中需要人工复核的行
+ * @param {string} locale
+ * @param {string} pyproject
+ * @param {object} options
+ * @param {boolean} options.usedAI
+ * @param {boolean} [options.aiDisabled] - 未启用 AI，不提示“AI 生成失败”
+ * @param {Array} options.corrections
+ * @param {object} options.analysis
+ * @param {Object<string, string>|null} [options.entryPoints] - 仓库配置中指定的入口点，不需要复核
+ * @returns {Array<{path: string, start_line: number, end_line: number, annotation_level: string, title: string, message: string}>}
+ */
+function reviewAnnotations(locale, pyproject, { usedAI, aiDisabled = false, corrections, analysis, entryPoints = null }) {
+  const layout = parseLayout(pyproject);
+  const annotations = [];
+  const t = (key, vars) => message(locale, key, vars);
+  // 说明、依据和警告都是 note，逐条渲染后每条一行
+  const renderLines = (notes) => notes.map((n) => localize(locale, n)).join("\n");
+  const annotate = (field, level, title, message) => {
+    const lines = fieldLines(layout, field) || { start: 1, end: 1 };
+    annotations.push({ path: "pyproject.toml", start_line: lines.start, end_line: Math.max(lines.start, lines.end), annotation_level: level, title, message });
+  };
+
+  if (!usedAI && !aiDisabled) annotate("project", "warning", t("check.templateTitle"), t("check.templateMessage"));
+
+  for (const { field, from, to, reason } of corrections) {
+    annotate(field, "warning", t("check.correctedTitle", { field }), t("check.correctedMessage", { reason, from: JSON.stringify(from), to: to === null ? t("check.removed") : JSON.stringify(to) }));
+  }
+
+  const { notes } = analysis.dependencyInfo;
+  if (notes.length > 0) annotate("project.dependencies", "warning", t("check.dependencyNotesTitle"), renderLines(notes));
+
+  let project = {};
+  try {
+    project = TOML.parse(pyproject).project || {};
+  } catch (e) {
+    // 无法解析时不检查元数据和入口点
+  }
+
+  // 推断出的元数据附上依据；被仓库配置或原有文件覆盖的值不需要复核
+  const { requiresPython, license } = analysis.metadata;
+  if (project["requires-python"] === requiresPython.specifier) {
+    annotate("project.requires-python", "notice", t("check.requiresPythonEvidence"), renderLines(requiresPython.evidence));
+    for (const warning of requiresPython.warnings) annotate("project.requires-python", "warning", t("check.requiresPythonWarning"), localize(locale, warning));
+  }
+  if (project.license === (license.expression || undefined)) {
+    const field = license.expression ? "project.license" : "project";
+    annotate(field, "notice", t("check.licenseEvidence"), renderLines(license.evidence));
+    for (const warning of license.warnings) annotate(field, "warning", t("check.licenseWarning"), localize(locale, warning));
+  }
+
+  // 仓库配置或原有打包配置中已声明的入口点不需要复核
+  const scripts = project.scripts || {};
+  for (const [name, target] of Object.entries(scripts)) {
+    if (entryPoints && name in entryPoints) continue;
+    const candidate = analysis.entryCandidates.find((c) => c.target === target);
+    if (!candidate) {
+      annotate(`project.scripts.${name}`, "warning", t("check.entryUnsupportedTitle"), t("check.entryUnsupported", { target }));
+    } else if (!candidate.declared) {
+      annotate(`project.scripts.${name}`, "notice", t("check.entryInferredTitle"), renderLines(candidate.evidence));
+    }
+  }
+
+  layout.lines.forEach((line, index) => {
+    if (/#\s*TODO\b/i.test(line)) {
+      annotations.push({ path: "pyproject.toml", start_line: index + 1, end_line: index + 1, annotation_level: "warning", title: t("check.todoTitle"), message: line.trim() });
+    }
+  });
+
+  return annotations.slice(0, MAX_ANNOTATIONS);
+}
+
+/**
+ * Check Run 的结论和输出
+ * @param {string} locale
+ * @param {Array} stages - pipelineStages 的结果
+ * @param {Array} annotations - reviewAnnotations 的结果
+ * @returns {{conclusion: "success"|"neutral"|"failure", output: {title: string, summary: string, annotations: Array}}}
+ */
+function buildCheckRun(locale, stages, annotations) {
+  const conclusion = stages.some((s) => s.status === "failure") ? "failure" : stages.some((s) => s.status === "warning") || annotations.length > 0 ? "neutral" : "success";
+  const title = {
+    success: message(locale, "check.titleSuccess"),
+    neutral: message(locale, "check.titleNeutral", { count: annotations.length }),
+    failure: message(locale, "check.titleFailure"),
+  }[conclusion];
+
+  const summary = [
+    message(locale, "check.tableHeader"),
+    "| --- | --- | --- |",
+    ...stages.map((s) => `| ${s.name} | ${STATUS_ICONS[s.status]} | ${s.summary.replace(/\|/g, "\\|").replace(/\n/g, " ")} |`),
+  ].join("\n");
+
+  return { conclusion, output: { title, summary, annotations } };
+}
+
+module.exports = {
+  CHECK_NAME,
+  pipelineStages,
+  reviewAnnotations,
+  buildCheckRun,
+};
@@ -0,0 +1,115 @@
+const { pipelineStages, reviewAnnotations, buildCheckRun } = require("./check-report");
+const { inferRequiresPython, inferLicense } = require("./project-metadata");
+const { note, message } = require("./messages");
+
+const PYPROJECT = `[project]
+name = "demo"
+version = "0.1.0"
+requires-python = ">=3.9"
+license = "MIT"
+dependencies = [
+    "requests>=2.31",
+    "click",
+]
+
+[project.scripts]
+demo = "demo.cli:main"
+demo-admin = "demo.admin:run"
+
+[project.urls]
+Repository = "https://github.com/octo/demo"
+
+[build-system]
+requires = ["hatchling"]  # TODO: pin
+build-backend = "hatchling.build"
+`;
+
+/**
+ * createPyprojectContent-shaped analysis for PYPROJECT
+ * @param {object} [overrides]
+ * @returns {object}
+ */
+function analysis(overrides = {}) {
+  return {
+    fileCount: 12,
+    truncated: false,
+    packageLayout: { packages: [{ name: "demo", path: "demo" }] },
+    dependencyInfo: { sources: ["requirements.txt"], dependencies: ["requests>=2.31", "click"], notes: [] },
+    entryCandidates: [{ name: "demo", target: "demo.cli:main", declared: false, evidence: [note("entry.evidence.defines", { location: "demo/cli.py:3", name: "main" })] }],
+    metadata: {
+      requiresPython: inferRequiresPython({ files: { "tox.ini": "[tox]\nenvlist = py{39,312}\n" } }),
+      license: inferLicense({ apiLicense: { spdx_id: "MIT", path: "LICENSE" } }),
+    },
+    ...overrides,
+  };
+}
+
+/**
+ * Annotations as [level, title, start line, end line]
+ * @param {object} options - reviewAnnotations options
+ * @returns {Array}
+ */
+function annotationRows(options) {
+  return reviewAnnotations("en", PYPROJECT, { usedAI: true, corrections: [], analysis: analysis(), ...options }).map((a) => [a.annotation_level, a.title, a.start_line, a.end_line]);
+}
+
+describe("reviewAnnotations", () => {
+  test("places evidence, entry points and TODO comments on their lines", () => {
+    expect(annotationRows({})).toEqual([
+      ["notice", message("en", "check.requiresPythonEvidence"), 4, 4],
+      ["notice", message("en", "check.licenseEvidence"), 5, 5],
+      ["notice", message("en", "check.entryInferredTitle"), 12, 12],
+      ["warning", message("en", "check.entryUnsupportedTitle"), 13, 13],
+      ["warning", message("en", "check.todoTitle"), 19, 19],
+    ]);
+  });
+
+  test.each([
+    ["project.name", 2, 2],
+    ["project.dependencies", 6, 9],
+    ["project.scripts.demo", 12, 12],
+    ["project.urls.Repository", 16, 16],
+    ["project.urls", 15, 15],
+    ["project.description", 1, 1],
+    ["build-system.requires", 19, 19],
+    ["tool.uv.index", 1, 1],
+  ])("maps a correction of %s to lines %i-%i", (field, start, end) => {
+    const [annotation] = reviewAnnotations("en", PYPROJECT, { usedAI: true, corrections: [{ field, from: "x", to: null, reason: "removed" }], analysis: analysis() });
+    expect(annotation).toMatchObject({ path: "pyproject.toml", start_line: start, end_line: end, annotation_level: "warning" });
+  });
+
+  test("skips evidence for values overridden after inference and entry points set in the config", () => {
+    const overridden = analysis({ metadata: { requiresPython: inferRequiresPython({}), license: inferLicense({ apiLicense: { spdx_id: "Apache-2.0" } }) } });
+    const rows = reviewAnnotations("en", PYPROJECT, { usedAI: true, corrections: [], analysis: overridden, entryPoints: { "demo-admin": "demo.admin:run" } });
+    expect(rows.map((a) => a.title)).toEqual([message("en", "check.entryInferredTitle"), message("en", "check.todoTitle")]);
+  });
+
+  test("flags a template file and caps the annotation count", () => {
+    const corrections = Array.from({ length: 60 }, (_, i) => ({ field: "project.name", from: `n${i}`, to: "demo", reason: "renamed" }));
+    const annotations = reviewAnnotations("en", PYPROJECT, { usedAI: false, corrections, analysis: analysis() });
+    expect(annotations).toHaveLength(50);
+    expect(annotations[0]).toMatchObject({ title: message("en", "check.templateTitle"), start_line: 1 });
+  });
+});
+
+describe("buildCheckRun", () => {
+  const stages = (statuses) => statuses.map((status, i) => ({ name: `stage ${i}`, status, summary: "a | b\nc" }));
+
+  test.each([
+    [["success", "success"], [], "success"],
+    [["success", "success"], [{}], "neutral"],
+    [["success", "warning"], [], "neutral"],
+    [["warning", "failure"], [], "failure"],
+  ])("%j with %j annotations concludes %s", (statuses, annotations, conclusion) => {
+    expect(buildCheckRun("en", stages(statuses), annotations).conclusion).toBe(conclusion);
+  });
+
+  test("escapes table cells in the summary", () => {
+    expect(buildCheckRun("en", stages(["success"]), []).output.summary).toContain("| stage 0 | ✅ | a \\| b c |");
+  });
+});
+
+test("pipelineStages reports each stage", () => {
+  const result = pipelineStages("en", { analysis: analysis({ truncated: true }), usedAI: true, corrections: [], verification: { success: false, step: "uv build" } });
+  expect(result.map((s) => s.status)).toEqual(["warning", "success", "success", "success", "success", "failure"]);
+});
@@ -0,0 +1,451 @@
+const TOML = require("smol-toml");
+const { note } = require("./messages");
+
+/**
+ * 依赖转换：requirements*.txt / Pipfile / setup.py / setup.cfg -> PEP 621
+ *
+ * 输出 dependencies、[project.optional-dependencies] 和 [dependency-groups] 的 dev 组，
+ * 全程不依赖 LLM，结果确定。
+ */
+
+// 视为开发依赖的 requirements 文件
+const DEV_REQUIREMENTS_RE = /(^|[/_-])(dev|develop|test|tests|testing|lint|docs?)([/_.-]|$)/i;
+
+const REQUIREMENTS_FILES = [
+  "requirements.txt",
+  "requirements-dev.txt",
+  "requirements_dev.txt",
+  "dev-requirements.txt",
+  "requirements-test.txt",
+  "test-requirements.txt",
+];
+
+const PYPI_SIMPLE_RE = /^https?:\/\/(pypi\.org|pypi\.python\.org)\/simple\/?$/;
+
+/**
+ * PEP 503 名称规范化
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, "-");
+}
+
+/**
+ * 取依赖字符串中的包名（用于去重）
+ * @param {string} requirement
+ * @returns {string|null}
+ */
+function requirementName(requirement) {
+  const match = String(requirement).match(/^\s*([A-Za-z0-9][A-Za-z0-9._-]*)/);
+  return match ? normalizeName(match[1]) : null;
+}
+
+/**
+ * 相对路径解析（requirements 中的 -r 相对于当前文件所在目录）
+ */
+function resolvePath(fromFile, target) {
+  const parts = fromFile.split("/").slice(0, -1);
+  for (const part of target.split("/")) {
+    if (part === "..") parts.pop();
+    else if (part && part !== ".") parts.push(part);
+  }
+  return parts.join("/");
+}
+
+/**
+ * 合并续行并去掉注释
+ * @param {string} content
+ * @returns {string[]}
+ */
+function logicalLines(content) {
+  return content
+    .replace(/\\\r?\n/g, " ")
+    .split(/\r?\n/)
+    .map((line) => line.replace(/(^|\s)#.*$/, "").trim())
+    .filter(Boolean);
+}
+
+/**
+ * 将 URL 形式的依赖（VCS / 压缩包）转换为 PEP 508 直接引用
+ * @param {string} url
+ * @returns {string|null} 无法确定包名时返回 null
+ */
+function urlToRequirement(url) {
+  const egg = url.match(/[#&]egg=([A-Za-z0-9][A-Za-z0-9._-]*)(\[[^\]]*\])?/);
+  const cleanUrl = url.replace(/[#&]egg=[^&]*/, "").replace(/#$/, "");
+  if (egg) return `${egg[1]}${egg[2] || ""} @ ${cleanUrl}`;
+
+  // 压缩包 / wheel 文件名中带包名：pkg-1.0.tar.gz / pkg-1.0-py3-none-any.whl
+  const archive = url.match(/\/([A-Za-z0-9][A-Za-z0-9._]*?)-\d[^/]*\.(whl|tar\.gz|zip)$/);
+  if (archive) return `${archive[1]} @ ${url}`;
+
+  return null;
+}
+
+/**
+ * 找出 requirements 文件中 -r 引用的其他文件
+ * @param {string} content
+ * @param {string} fromFile
+ * @returns {string[]}
+ */
+function findRequirementIncludes(content, fromFile) {
+  return logicalLines(content)
+    .map((line) => line.match(/^(?:-r|--requirement)(?:\s+|=)(\S+)/))
+    .filter(Boolean)
+    .map((m) => resolvePath(fromFile, m[1]));
+}
+
+/**
+ * 解析 requirements 文件（支持 -r 递归引用）
+ * @param {string} fileName
+ * @param {Object} files - 已读取的文件：路径 -> 内容
+ * @param {Set<string>} [visited]
+ * @returns {{requirements: string[], indexes: Array<{url: string, default: boolean}>, notes: Array<{key: string, vars: object}>}}
+ */
+function parseRequirements(fileName, files, visited = new Set()) {
+  const result = { requirements: [], indexes: [], notes: [] };
+  if (visited.has(fileName)) return result;
+  visited.add(fileName);
+
+  const content = files[fileName];
+  if (content === undefined) {
+    result.notes.push(note("dependency.fileMissing", { file: fileName }));
+    return result;
+  }
+
+  for (const line of logicalLines(content)) {
+    let match;
+
+    if ((match = line.match(/^(?:-r|--requirement)(?:\s+|=)(\S+)/))) {
+      const included = parseRequirements(resolvePath(fileName, match[1]), files, visited);
+      result.requirements.push(...included.requirements);
+      result.indexes.push(...included.indexes);
+      result.notes.push(...included.notes);
+    } else if ((match = line.match(/^(?:-i|--index-url)(?:\s+|=)(\S+)/))) {
+      if (!PYPI_SIMPLE_RE.test(match[1])) result.indexes.push({ url: match[1], default: true });
+    } else if ((match = line.match(/^--extra-index-url(?:\s+|=)(\S+)/))) {
+      result.indexes.push({ url: match[1], default: false });
+    } else if ((match = line.match(/^(?:-e|--editable)(?:\s+|=)(\S+)/))) {
+      const target = match[1];
+      if (/^(\.|\/|file:)/.test(target) && !target.includes("egg=")) {
+        result.notes.push(note("dependency.localEditable", { file: fileName, line }));
+        continue;
+      }
+      const requirement = urlToRequirement(target);
+      if (requirement) result.requirements.push(requirement);
+      else result.notes.push(note("dependency.unknownName", { file: fileName, line }));
+    } else if (line.startsWith("-")) {
+      // -c / --find-links / --pre / --trusted-host 等选项 uv 不从 pyproject 读取
+      result.notes.push(note("dependency.optionIgnored", { file: fileName, line }));
+    } else if (/^[a-z+]+:\/\//i.test(line)) {
+      const requirement = urlToRequirement(line);
+      if (requirement) result.requirements.push(requirement);
+      else result.notes.push(note("dependency.unknownName", { file: fileName, line }));
+    } else {
+      // 普通依赖：去掉 --hash 等行内选项，保留版本约束和环境标记
+      const requirement = line.replace(/\s+--\S+(=\S+)?/g, "").replace(/\s*;\s*/, "; ");
+      if (requirementName(requirement)) result.requirements.push(requirement);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Pipfile 的单个依赖 -> PEP 508
+ * @param {string} name
+ * @param {string|object} spec
+ * @returns {string|null}
+ */
+function pipfileEntryToRequirement(name, spec) {
+  const formatVersion = (version) => {
+    if (!version || version === "*") return "";
+    return /^[0-9]/.test(version) ? `==${version}` : version;
+  };
+
+  if (typeof spec === "string") return `${name}${formatVersion(spec)}`;
+  if (!spec || typeof spec !== "object") return null;
+
+  const extras = Array.isArray(spec.extras) && spec.extras.length > 0 ? `[${spec.extras.join(",")}]` : "";
+  const markers = spec.markers ? `; ${spec.markers}` : "";
+
+  if (spec.git) {
+    const url = spec.git.startsWith("git+") ? spec.git : `git+${spec.git}`;
+    return `${name}${extras} @ ${url}${spec.ref ? `@${spec.ref}` : ""}${markers}`;
+  }
+  if (spec.path || spec.file) return null;
+
+  return `${name}${extras}${formatVersion(spec.version)}${markers}`;
+}
+
+/**
+ * 解析 Pipfile
+ * @param {string} content
+ * @returns {{dependencies: string[], devDependencies: string[], indexes: Array, requiresPython: string|null, notes: Array<{key: string, vars: object}>}}
+ */
+function parsePipfile(content) {
+  const result = { dependencies: [], devDependencies: [], indexes: [], requiresPython: null, notes: [] };
+  let doc;
+  try {
+    doc = TOML.parse(content);
+  } catch (e) {
+    result.notes.push(note("dependency.pipfileInvalid", { error: e.message }));
+    return result;
+  }
+
+  for (const [section, target] of [
+    ["packages", result.dependencies],
+    ["dev-packages", result.devDependencies],
+  ]) {
+    for (const [name, spec] of Object.entries(doc[section] || {})) {
+      const requirement = pipfileEntryToRequirement(name, spec);
+      if (requirement) target.push(requirement);
+      else result.notes.push(note("dependency.pipfileLocalPath", { name }));
+    }
+  }
+
+  for (const source of doc.source || []) {
+    if (source.url && !PYPI_SIMPLE_RE.test(source.url)) {
+      result.indexes.push({ url: source.url, default: false });
+    }
+  }
+
+  if (doc.requires?.python_version) {
+    result.requiresPython = `>=${doc.requires.python_version}`;
+  }
+
+  return result;
+}
+
+/**
+ * 解析 Python 列表或元组字面量，只接受字符串元素（允许注释和末尾逗号）
+ * @param {string} content
+ * @param {number} start - 开括号 [ 或 ( 的位置
+ * @returns {{items: string[], end: number}|null} 元素和闭括号之后的位置；含有变量、表达式或括号不配对时返回 null
+ */
+function parseStringList(content, start) {
+  const closer = content[start] === "(" ? ")" : "]";
+  const items = [];
+  const token = /\s+|#[^\n]*|(,)|([\])])|("""|'''|"|')((?:\\[\s\S]|(?!\3)[^\\])*)\3/y;
+  token.lastIndex = start + 1;
+  let expectItem = true;
+  while (token.lastIndex < content.length) {
+    const m = token.exec(content);
+    if (!m) return null;
+    if (m[2]) return m[2] === closer ? { items, end: token.lastIndex } : null;
+    if (m[1]) {
+      if (expectItem) return null;
+      expectItem = true;
+    } else if (m[3]) {
+      if (!expectItem) return null;
+      if (m[4].trim()) items.push(m[4].trim());
+      expectItem = false;
+    }
+  }
+  return null;
+}
+
+/**
+ * 解析 extras_require 的字典字面量，值必须是字符串列表
+ * @param {string} content
+ * @param {number} start - { 的位置
+ * @returns {{extras: Object<string, string[]>, end: number}|null} 可选依赖和闭括号之后的位置；含有无法静态解析的内容时返回 null
+ */
+function parseExtrasDict(content, start) {
+  const extras = {};
+  const token = /\s+|#[^\n]*|,|(\})|(["'])([^"'\n]+)\2\s*:\s*/y;
+  token.lastIndex = start + 1;
+  while (token.lastIndex < content.length) {
+    const m = token.exec(content);
+    if (!m) return null;
+    if (m[1]) return { extras, end: token.lastIndex };
+    if (!m[3]) continue;
+    const list = /[[(]/.test(content[token.lastIndex]) && parseStringList(content, token.lastIndex);
+    if (!list) return null;
+    extras[m[3].trim()] = list.items;
+    token.lastIndex = list.end;
+  }
+  return null;
+}
+
+/**
+ * 字面量之后是否就是参数的结尾（排除 ["a"] + extra 这类表达式）
+ * @param {string} content
+ * @param {number} end
+ * @returns {boolean}
+ */
+function endsArgument(content, end) {
+  return /^(?:\s|#[^\n]*)*(?:[,)]|$)/.test(content.slice(end));
+}
+
+/**
+ * 解析 setup.py（静态提取，不执行代码）
+ * @param {string} content
+ * @returns {{dependencies: string[], optionalDependencies: Object, requiresPython: string|null, notes: Array<{key: string, vars: object}>}}
+ */
+function parseSetupPy(content) {
+  const result = { dependencies: [], optionalDependencies: {}, requiresPython: null, notes: [] };
+
+  const install = content.match(/install_requires\s*=\s*/);
+  if (install) {
+    const start = install.index + install[0].length;
+    const variable = content.slice(start).match(/^[A-Za-z_]\w*/);
+    const list = /[[(]/.test(content[start]) && parseStringList(content, start);
+    if (list) {
+      result.dependencies.push(...list.items);
+      if (!endsArgument(content, list.end)) {
+        result.notes.push(note("dependency.setupPyConcatenated"));
+      }
+    } else if (variable && endsArgument(content, start + variable[0].length)) {
+      result.notes.push(note("dependency.setupPyVariable", { variable: variable[0] }));
+    } else {
+      result.notes.push(note("dependency.setupPyNotList"));
+    }
+  }
+
+  const extras = content.match(/extras_require\s*=\s*/);
+  if (extras) {
+    const start = extras.index + extras[0].length;
+    const parsed = content[start] === "{" && parseExtrasDict(content, start);
+    if (parsed && endsArgument(content, parsed.end)) Object.assign(result.optionalDependencies, parsed.extras);
+    else result.notes.push(note("dependency.setupPyExtras"));
+  }
+
+  const pythonRequires = content.match(/python_requires\s*=\s*["']([^"']+)["']/);
+  if (pythonRequires) result.requiresPython = pythonRequires[1].trim();
+
+  return result;
+}
+
+/**
+ * 解析 setup.cfg 的 [options] / [options.extras_require]
+ * @param {string} content
+ * @returns {{dependencies: string[], optionalDependencies: Object, requiresPython: string|null, notes: Array<{key: string, vars: object}>}}
+ */
+function parseSetupCfg(content) {
+  const result = { dependencies: [], optionalDependencies: {}, requiresPython: null, notes: [] };
+  const sections = {};
+  let current = null;
+  let currentKey = null;
+
+  for (const raw of content.split(/\r?\n/)) {
+    if (/^\s*[#;]/.test(raw)) continue;
+    const header = raw.match(/^\[([^\]]+)\]\s*$/);
+    if (header) {
+      current = sections[header[1].trim()] = {};
+      currentKey = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const pair = raw.match(/^([\w.-]+)\s*[=:]\s*(.*)$/);
+    if (pair) {
+      currentKey = pair[1];
+      current[currentKey] = pair[2].trim() ? [pair[2].trim()] : [];
+    } else if (currentKey && /^\s+\S/.test(raw)) {
+      current[currentKey].push(raw.trim());
+    }
+  }
+
+  const options = sections.options || {};
+  result.dependencies.push(...(options.install_requires || []));
+  if (options.python_requires) result.requiresPython = options.python_requires.join(" ");
+
+  for (const [extra, lines] of Object.entries(sections["options.extras_require"] || {})) {
+    result.optionalDependencies[extra] = lines;
+  }
+
+  return result;
+}
+
+/**
+ * 依赖列表去重（按规范化包名，先出现的优先）
+ */
+function dedupe(requirements, exclude = new Set()) {
+  const seen = new Set(exclude);
+  return requirements.filter((req) => {
+    const name = requirementName(req);
+    if (!name || seen.has(name)) return false;
+    seen.add(name);
+    return true;
+  });
+}
+
+/**
+ * 汇总所有依赖来源
+ * @param {Object} files - 路径 -> 内容（至少包含已读取的配置文件）
+ * @returns {{dependencies: string[], optionalDependencies: Object, devDependencies: string[], indexes: Array<{url: string, default: boolean}>, requiresPython: string|null, sources: string[], notes: Array<{key: string, vars: object}>}}
+ */
+function convertDependencies(files) {
+  const dependencies = [];
+  const devDependencies = [];
+  const optionalDependencies = {};
+  const indexes = [];
+  const sources = [];
+  const notes = [];
+  let requiresPython = null;
+
+  // 打包元数据优先：setup.py / setup.cfg 描述的是包本身的依赖
+  for (const [fileName, parse] of [
+    ["setup.cfg", parseSetupCfg],
+    ["setup.py", parseSetupPy],
+  ]) {
+    if (!files[fileName]) continue;
+    const parsed = parse(files[fileName]);
+    if (parsed.dependencies.length > 0 || Object.keys(parsed.optionalDependencies).length > 0) sources.push(fileName);
+    dependencies.push(...parsed.dependencies);
+    for (const [extra, reqs] of Object.entries(parsed.optionalDependencies)) {
+      optionalDependencies[extra] = [...(optionalDependencies[extra] || []), ...reqs];
+    }
+    requiresPython = requiresPython || parsed.requiresPython;
+    notes.push(...parsed.notes);
+  }
+
+  if (files.Pipfile) {
+    const parsed = parsePipfile(files.Pipfile);
+    sources.push("Pipfile");
+    dependencies.push(...parsed.dependencies);
+    devDependencies.push(...parsed.devDependencies);
+    indexes.push(...parsed.indexes);
+    requiresPython = requiresPython || parsed.requiresPython;
+    notes.push(...parsed.notes);
+  }
+
+  for (const fileName of REQUIREMENTS_FILES.filter((f) => files[f] !== undefined)) {
+    // 被其他文件 -r 引用的 requirements 会在引用处展开，这里只处理约定的入口文件
+    const isDev = DEV_REQUIREMENTS_RE.test(fileName.replace(/requirements/i, ""));
+    const parsed = parseRequirements(fileName, files);
+    sources.push(fileName);
+    (isDev ? devDependencies : dependencies).push(...parsed.requirements);
+    indexes.push(...parsed.indexes);
+    notes.push(...parsed.notes);
+  }
+
+  const mainDeps = dedupe(dependencies);
+  const mainNames = new Set(mainDeps.map(requirementName));
+
+  return {
+    dependencies: mainDeps,
+    optionalDependencies: Object.fromEntries(
+      Object.entries(optionalDependencies).map(([extra, reqs]) => [extra, dedupe(reqs)])
+    ),
+    devDependencies: dedupe(devDependencies, mainNames),
+    indexes: indexes.filter((index, i) => indexes.findIndex((other) => other.url === index.url) === i),
+    requiresPython,
+    sources,
+    notes: notes.filter((n, i) => notes.findIndex((other) => JSON.stringify(other) === JSON.stringify(n)) === i),
+  };
+}
+
+module.exports = {
+  REQUIREMENTS_FILES,
+  convertDependencies,
+  findRequirementIncludes,
+  parseRequirements,
+  parsePipfile,
+  parseSetupPy,
+  parseSetupCfg,
+  normalizeName,
+  requirementName,
+};
@@ -0,0 +1,50 @@
+const { parseSetupPy } = require("./dependency-converter");
+const { localize } = require("./messages");
+
+describe("parseSetupPy", () => {
+  test("keeps requirements with extras markers", () => {
+    const result = parseSetupPy(`setup(
+    install_requires=["uvicorn[standard]>=0.20", "click"],
+    extras_require={
+        "test": ["pytest[cov]", 'tomli; python_version < "3.11"'],  # ]
+        "docs": ("sphinx",),
+    },
+)`);
+    expect(result.dependencies).toEqual(["uvicorn[standard]>=0.20", "click"]);
+    expect(result.optionalDependencies).toEqual({
+      test: ["pytest[cov]", 'tomli; python_version < "3.11"'],
+      docs: ["sphinx"],
+    });
+    expect(result.notes).toEqual([]);
+  });
+
+  test("ignores brackets in comments and strings", () => {
+    const result = parseSetupPy(`setup(
+    install_requires=[
+        # pinned [see issue 12]
+        "fastapi",  # api ]
+        "a]b",
+    ],
+    python_requires=">=3.9",
+)`);
+    expect(result.dependencies).toEqual(["fastapi", "a]b"]);
+    expect(result.requiresPython).toBe(">=3.9");
+  });
+
+  test("accepts an empty list without notes", () => {
+    expect(parseSetupPy("setup(install_requires=[])")).toMatchObject({ dependencies: [], notes: [] });
+  });
+
+  test("adds a note instead of dropping what it cannot parse", () => {
+    expect(parseSetupPy("setup(install_requires=REQUIREMENTS)").notes.map((n) => localize("zh-CN", n))).toEqual([
+      "setup.py: install_requires 来自变量 `REQUIREMENTS`，无法静态解析",
+    ]);
+    expect(parseSetupPy('setup(install_requires=["a", b])').notes).toHaveLength(1);
+    expect(parseSetupPy('setup(install_requires=["a", "b"').notes).toHaveLength(1);
+
+    const concatenated = parseSetupPy('setup(install_requires=["a"] + extra, extras_require=dict(x=["y"]))');
+    expect(concatenated.dependencies).toEqual(["a"]);
+    expect(concatenated.optionalDependencies).toEqual({});
+    expect(concatenated.notes).toHaveLength(2);
+  });
+});
@@ -0,0 +1,307 @@
+const TOML = require("smol-toml");
+const { note, localize } = require("./messages");
+
+/**
+ * 入口点静态分析
+ *
+ * 不依赖 LLM，直接扫描 Python 源码和打包配置，给出带证据的候选入口（按得分排序）。
+ * 结果既写进 AI prompt，也用于模板回退路径的 [project.scripts]。
+ */
+
+// 各类证据的得分，声明式配置优先级最高
+const SCORES = {
+  declared: 100,    // setup.py / setup.cfg / pyproject.toml 中已声明
+  mainBlockCall: 60, // if __name__ == "__main__" 中调用
+  framework: 40,    // click / typer 命令对象
+  conventional: 30, // def main/run/cli/start/app
+  parser: 15,       // 函数内使用 argparse / fire
+  moduleName: 10,   // 模块名本身像入口（__main__ / cli / main）
+  inlineMain: 5,    // 入口逻辑直接写在 main 块里，需要包装
+  topLevelScript: 3, // 根目录脚本直接在顶层执行，需要包装
+};
+
+const CONVENTIONAL_NAMES = ["main", "run", "cli", "start", "app"];
+const ENTRY_TARGET_RE = /^([A-Za-z_][\w.]*)\s*:\s*([A-Za-z_][\w.]*)$/;
+
+/**
+ * 文件路径 -> 模块名（src/pkg/cli.py -> pkg.cli，pkg/__init__.py -> pkg）
+ * @param {string} filePath
+ * @returns {string}
+ */
+function moduleNameFromPath(filePath) {
+  return filePath
+    .replace(/^src\//, "")
+    .replace(/\.py$/, "")
+    .replace(/\/__init__$/, "")
+    .split("/")
+    .join(".");
+}
+
+/**
+ * 按行拆分 Python 源码，标记缩进，并跳过三引号字符串内部的行
+ * @param {string} content
+ * @returns {Array<{text: string, indent: number, lineNo: number}>}
+ */
+function codeLines(content) {
+  const result = [];
+  let quote = null;
+
+  content.split("\n").forEach((raw, index) => {
+    const startsInString = Boolean(quote);
+    const matches = raw.match(/"""|'''/g) || [];
+    for (const m of matches) {
+      if (!quote) quote = m;
+      else if (quote === m) quote = null;
+    }
+    if (startsInString || raw.trim() === "" || raw.trim().startsWith("#")) return;
+    result.push({ text: raw, indent: raw.match(/^\s*/)[0].length, lineNo: index + 1 });
+  });
+
+  return result;
+}
+
+/**
+ * 分析单个 Python 文件
+ * @param {string} filePath
+ * @param {string} content
+ * @returns {Array<{module: string, func: string, score: number, evidence: object, needsWrapper?: boolean, file?: string}>}
+ */
+function analyzePythonFile(filePath, content) {
+  const module = moduleNameFromPath(filePath);
+  const lines = codeLines(content);
+  const findings = [];
+  const topLevelDefs = new Map(); // 函数名 -> 是否无必填参数
+  const commandObjects = new Set(); // click 命令函数 / typer 应用对象
+  const moduleBonus = /(^|\.)(__main__|cli|main)$/.test(module) ? SCORES.moduleName : 0;
+
+  let currentDef = null;
+  let pendingDecorators = [];
+  let hasMainBlock = false;
+  let topLevelCall = null; // 第一条顶层调用语句的行号
+
+  for (let i = 0; i < lines.length; i++) {
+    const { text, indent, lineNo } = lines[i];
+
+    if (indent === 0) {
+      currentDef = null;
+
+      const decorator = text.match(/^@([\w.]+)/);
+      if (decorator) {
+        pendingDecorators.push(decorator[1]);
+        continue;
+      }
+
+      const def = text.match(/^(?:async\s+)?def\s+([A-Za-z_]\w*)\s*\(([^)]*)/);
+      if (def) {
+        const [, name, params] = def;
+        const required = params
+          .split(",")
+          .map((p) => p.trim())
+          .filter((p) => p && !p.includes("=") && !p.startsWith("*"));
+        topLevelDefs.set(name, required.length === 0);
+        currentDef = name;
+
+        const clickDecorator = pendingDecorators.find((d) => /(^click\.|\.)(command|group)$/.test(d));
+        if (clickDecorator) {
+          commandObjects.add(name);
+          findings.push({ module, func: name, score: SCORES.framework + moduleBonus, evidence: note("entry.evidence.click", { location: `${filePath}:${lineNo}`, decorator: clickDecorator }) });
+        } else if (CONVENTIONAL_NAMES.includes(name) && required.length === 0) {
+          findings.push({ module, func: name, score: SCORES.conventional + moduleBonus, evidence: note("entry.evidence.defines", { location: `${filePath}:${lineNo}`, name }) });
+        }
+        pendingDecorators = [];
+        continue;
+      }
+      pendingDecorators = [];
+
+      const typerApp = text.match(/^([A-Za-z_]\w*)\s*=\s*typer\.Typer\(/);
+      if (typerApp) {
+        commandObjects.add(typerApp[1]);
+        findings.push({ module, func: typerApp[1], score: SCORES.framework + moduleBonus, evidence: note("entry.evidence.typer", { location: `${filePath}:${lineNo}` }) });
+        continue;
+      }
+
+      if (!topLevelCall && /^([A-Za-z_][\w.]*\(|(for|while|with)\s)/.test(text)) topLevelCall = lineNo;
+
+      if (/^if\s+__name__\s*==\s*["']__main__["']\s*:/.test(text)) {
+        hasMainBlock = true;
+        const body = [];
+        for (let j = i + 1; j < lines.length && lines[j].indent > 0; j++) body.push(lines[j]);
+        findings.push(...analyzeMainBlock(filePath, module, lineNo, body, topLevelDefs, commandObjects, moduleBonus));
+      }
+      continue;
+    }
+
+    // 顶层函数体内部：argparse / fire 说明该函数在处理命令行
+    if (currentDef && topLevelDefs.get(currentDef)) {
+      const parser = text.match(/\b(argparse\.ArgumentParser|fire\.Fire)\(/);
+      if (parser) {
+        findings.push({ module, func: currentDef, score: SCORES.parser, evidence: note("entry.evidence.parser", { location: `${filePath}:${lineNo}`, name: currentDef, parser: parser[1] }) });
+      }
+    }
+  }
+
+  // 根目录脚本没有 __main__ 块、直接在顶层执行
+  if (!hasMainBlock && topLevelCall && findings.length === 0 && !filePath.includes("/")) {
+    findings.push({
+      module,
+      func: "main",
+      score: SCORES.topLevelScript + moduleBonus,
+      evidence: note("entry.evidence.topLevel", { location: `${filePath}:${topLevelCall}` }),
+      needsWrapper: true,
+      file: filePath,
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * 分析 if __name__ == "__main__" 块：找出其中调用的顶层函数或命令对象
+ */
+function analyzeMainBlock(filePath, module, lineNo, body, topLevelDefs, commandObjects, moduleBonus) {
+  const findings = [];
+  const called = new Set();
+
+  for (const { text } of body) {
+    for (const match of text.matchAll(/\b([A-Za-z_]\w*)\s*\(/g)) {
+      called.add(match[1]);
+    }
+  }
+
+  for (const name of called) {
+    if (topLevelDefs.get(name) || commandObjects.has(name)) {
+      findings.push({ module, func: name, score: SCORES.mainBlockCall + moduleBonus, evidence: note("entry.evidence.mainCall", { location: `${filePath}:${lineNo}`, name }) });
+    }
+  }
+
+  const inlineLogic = body.some(({ text }) => {
+    const call = text.trim().match(/^(?:sys\.exit\()?([A-Za-z_]\w*)\(\s*\)\)?$/);
+    return !call || !(topLevelDefs.has(call[1]) || commandObjects.has(call[1]));
+  });
+  if (findings.length === 0 && inlineLogic) {
+    findings.push({
+      module,
+      func: "main",
+      score: SCORES.inlineMain + moduleBonus,
+      evidence: note("entry.evidence.inlineMain", { location: `${filePath}:${lineNo}` }),
+      needsWrapper: true,
+      file: filePath,
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * 从 setup.py / setup.cfg / pyproject.toml 中读取已声明的 console_scripts
+ * @param {Object} configFiles - 文件名 -> 内容
+ * @returns {Array<{name: string, module: string, func: string, score: number, evidence: object, declared: boolean}>}
+ */
+function analyzeDeclaredScripts(configFiles) {
+  const declared = [];
+  const add = (name, target, evidence) => {
+    const match = target.trim().match(ENTRY_TARGET_RE);
+    if (match) declared.push({ name: name.trim(), module: match[1], func: match[2], score: SCORES.declared, evidence, declared: true });
+  };
+
+  const setupPy = configFiles["setup.py"];
+  if (setupPy) {
+    const section = setupPy.match(/["']console_scripts["']\s*:\s*\[([\s\S]*?)\]/);
+    if (section) {
+      for (const m of section[1].matchAll(/["']\s*([\w.-]+)\s*=\s*([^"']+)["']/g)) {
+        add(m[1], m[2], note("entry.evidence.declared", { file: "setup.py", table: "console_scripts", name: m[1] }));
+      }
+    }
+  }
+
+  const setupCfg = configFiles["setup.cfg"];
+  if (setupCfg) {
+    const section = setupCfg.match(/^\[options\.entry_points\][^\n]*\n([\s\S]*?)(?=^\[|(?![\s\S]))/m);
+    const scripts = section && section[1].match(/^console_scripts\s*=([^\n]*\n(?:[ \t]+[^\n]*\n?)*)/m);
+    if (scripts) {
+      for (const m of scripts[1].matchAll(/^\s*([\w.-]+)\s*=\s*(\S+)\s*$/gm)) {
+        add(m[1], m[2], note("entry.evidence.declared", { file: "setup.cfg", table: "console_scripts", name: m[1] }));
+      }
+    }
+  }
+
+  const pyproject = configFiles["pyproject.toml"];
+  if (pyproject) {
+    try {
+      const doc = TOML.parse(pyproject);
+      for (const [table, scripts] of [
+        ["[project.scripts]", doc.project?.scripts],
+        ["[tool.poetry.scripts]", doc.tool?.poetry?.scripts],
+      ]) {
+        for (const [name, target] of Object.entries(scripts || {})) {
+          if (typeof target === "string") add(name, target, note("entry.evidence.declared", { file: "pyproject.toml", table, name }));
+        }
+      }
+    } catch (e) {
+      // pyproject.toml 无法解析时忽略
+    }
+  }
+
+  return declared;
+}
+
+/**
+ * 汇总所有证据，给出排序后的入口候选
+ * @param {object} options
+ * @param {Object} [options.pythonFiles] - 路径 -> Python 源码（含包目录下的文件）
+ * @param {Object} [options.configFiles] - 文件名 -> 配置文件内容
+ * @param {string} options.projectName - 默认命令名
+ * @returns {Array<{name: string, target: string, score: number, evidence: object[], needsWrapper: boolean, declared: boolean, file?: string}>}
+ */
+function findEntryCandidates({ pythonFiles = {}, configFiles = {}, projectName }) {
+  const byTarget = new Map();
+
+  const findings = [
+    ...analyzeDeclaredScripts(configFiles),
+    ...Object.entries(pythonFiles).flatMap(([filePath, content]) => analyzePythonFile(filePath, content)),
+  ];
+
+  for (const finding of findings) {
+    const target = `${finding.module}:${finding.func}`;
+    const candidate = byTarget.get(target) || {
+      name: finding.name || projectName,
+      target,
+      score: 0,
+      evidence: [],
+      needsWrapper: Boolean(finding.needsWrapper),
+      declared: false,
+      ...(finding.file && { file: finding.file }),
+    };
+    if (finding.name) candidate.name = finding.name;
+    if (finding.declared) candidate.declared = true;
+    if (!finding.needsWrapper) candidate.needsWrapper = false;
+    candidate.score += finding.score;
+    candidate.evidence.push(finding.evidence);
+    byTarget.set(target, candidate);
+  }
+
+  return [...byTarget.values()].sort((a, b) => Number(a.needsWrapper) - Number(b.needsWrapper) || b.score - a.score);
+}
+
+/**
+ * 将候选列表格式化为 prompt 片段
+ * @param {Array} candidates
+ * @param {number} [limit=5]
+ * @returns {string}
+ */
+function formatCandidates(candidates, limit = 5) {
+  return candidates
+    .slice(0, limit)
+    .map((c, i) => {
+      const wrapperNote = c.needsWrapper ? "（尚无入口函数，需要包装）" : "";
+      // prompt 使用中文，证据也按中文渲染
+      return `${i + 1}. \`${c.name} = "${c.target}"\` 得分 ${c.score}${wrapperNote}\n${c.evidence.map((e) => `   - ${localize("zh-CN", e)}`).join("\n")}`;
+    })
+    .join("\n");
+}
+
+module.exports = {
+  findEntryCandidates,
+  formatCandidates,
+  moduleNameFromPath,
+};
@@ -0,0 +1,278 @@
+const { note } = require("./messages");
+
+/**
+ * 入口函数包装
+ *
+ * 把脚本的顶层入口逻辑包装进 main()，使其可以作为 [project.scripts] 的入口：
+ * - 有 if __name__ == "__main__": 块时，把块体变成 main() 的函数体
+ * - 没有时，把文件末尾连续的顶层可执行语句缩进进 main()
+ * import、def、class、文档字符串和之前的模块级赋值保持不动。
+ *
+ * 使用简化的 Python 词法扫描（字符串、注释、括号、续行）而不是正则逐行匹配，
+ * 不会把字符串里的内容当成代码。遇到无法确定安全的情况（函数依赖被包装代码里赋值的
+ * 模块级变量、包装区域后还有 import / def、制表符缩进等）一律拒绝，返回原因（note）。
+ */
+
+const IDENTIFIER_RE = /[A-Za-z_]\w*/g;
+const STRING_PREFIX_RE = /^(?:[rRbBuUfF]|[rR][bBfF]|[bBfF][rR])$/;
+
+/**
+ * 词法扫描：为每个物理行标记是否处于字符串 / 括号 / 续行之中，并给出去掉字符串内容和注释后的代码
+ * @param {string} source
+ * @returns {{lines: Array<{raw: string, code: string, inString: boolean, continued: boolean}>, error: object|null}}
+ */
+function scanLines(source) {
+  const rawLines = source.split("\n");
+  const lines = [];
+  let quote = null; // 当前所在字符串的引号（' " ''' """）
+  let depth = 0; // 括号嵌套深度
+  let backslash = false; // 上一行以 \ 续行
+
+  for (const raw of rawLines) {
+    const inString = Boolean(quote);
+    const continued = inString || depth > 0 || backslash;
+    let code = "";
+    backslash = false;
+
+    for (let i = 0; i < raw.length; i++) {
+      const ch = raw[i];
+      if (quote) {
+        if (ch === "\\") {
+          i++;
+          continue;
+        }
+        if (raw.startsWith(quote, i)) {
+          i += quote.length - 1;
+          quote = null;
+          code += '""';
+        }
+        continue;
+      }
+      if (ch === "#") break;
+      if (ch === "'" || ch === '"') {
+        const triple = raw.startsWith(ch.repeat(3), i);
+        quote = triple ? ch.repeat(3) : ch;
+        i += quote.length - 1;
+        // 去掉字符串前缀（r / b / f 等）
+        const prefix = code.match(/[A-Za-z]{1,2}$/);
+        if (prefix && STRING_PREFIX_RE.test(prefix[0])) code = code.slice(0, -prefix[0].length);
+        continue;
+      }
+      if ("([{".includes(ch)) depth++;
+      else if (")]}".includes(ch)) depth = Math.max(0, depth - 1);
+      if (ch === "\\" && i === raw.length - 1) {
+        backslash = true;
+        continue;
+      }
+      code += ch;
+    }
+
+    // 单引号字符串不能跨行（以 \ 结尾的除外）
+    if (quote && quote.length === 1 && !raw.endsWith("\\")) {
+      return { lines, error: note("entry.unclosedString", { line: lines.length + 1 }) };
+    }
+    lines.push({ raw, code, inString, continued });
+  }
+
+  if (quote) return { lines, error: note("entry.unclosedStringAtEnd") };
+  if (depth > 0) return { lines, error: note("entry.unclosedBracket") };
+  return { lines, error: null };
+}
+
+/**
+ * 将物理行组合为顶层语句（复合语句包含其缩进的语句体，装饰器与其后的 def/class 合并）
+ * @param {Array} lines - scanLines 的结果
+ * @returns {Array<{start: number, end: number, head: string, code: string}>}
+ */
+function topLevelStatements(lines) {
+  const statements = [];
+  let current = null;
+  let decorated = false;
+
+  lines.forEach((line, index) => {
+    const blank = line.code.trim() === "";
+    const topLevel = !line.continued && !blank && !/^\s/.test(line.raw);
+
+    if (topLevel && !(decorated && current)) {
+      current = { start: index, end: index, head: line.code.trim(), code: line.code };
+      statements.push(current);
+    } else if (current) {
+      if (!blank || line.continued) current.end = index;
+      current.code += `\n${line.code}`;
+      if (topLevel && decorated) current.head = line.code.trim();
+    }
+    if (topLevel) decorated = line.code.startsWith("@");
+  });
+
+  return statements;
+}
+
+/**
+ * 顶层语句分类
+ * @param {{head: string}} statement
+ * @param {number} index - 语句序号（用于识别模块文档字符串）
+ * @returns {"docstring"|"import"|"definition"|"main-guard"|"assignment"|"code"}
+ */
+function classify(statement, index) {
+  const { head } = statement;
+  if (index === 0 && /^(""\s*)?$/.test(head)) return "docstring";
+  if (/^(import|from)\s/.test(head)) return "import";
+  if (/^(@|(async\s+)?def\s|class\s)/.test(head)) return "definition";
+  if (/^if\s+__name__\s*==\s*""\s*:/.test(head)) return "main-guard";
+  if (/^[A-Za-z_][\w.]*(\s*,\s*[A-Za-z_][\w.]*)*\s*(:[^=]*)?=(?!=)/.test(head)) return "assignment";
+  return "code";
+}
+
+/**
+ * 收集一段代码中绑定的名字（赋值、for、with ... as、import、def、class、except ... as）
+ * @param {string} code - 去掉字符串和注释后的代码
+ * @returns {Set<string>}
+ */
+function boundNames(code) {
+  const names = new Set();
+  const addTargets = (targets) => {
+    for (const part of targets.split(",")) {
+      const name = part.trim().replace(/^\*/, "").match(/^([A-Za-z_]\w*)\s*(:.*)?$/);
+      if (name) names.add(name[1]);
+    }
+  };
+
+  for (const line of code.split("\n")) {
+    const text = line.trim();
+    let m;
+    if ((m = text.match(/^([A-Za-z_][\w\s,*]*?)\s*(?::[^=]*)?(?:[-+*/%&|^@]|\/\/|\*\*|>>|<<)?=(?!=)/))) addTargets(m[1]);
+    if ((m = text.match(/^(?:async\s+)?for\s+(.+?)\s+in\s/))) addTargets(m[1].replace(/[()[\]]/g, ""));
+    for (const as of text.matchAll(/\bas\s+([A-Za-z_]\w*)/g)) names.add(as[1]);
+    if ((m = text.match(/^import\s+(.+)$/))) {
+      for (const part of m[1].split(",")) {
+        const alias = part.trim().match(/^([\w.]+)(?:\s+as\s+(\w+))?$/);
+        if (alias) names.add(alias[2] || alias[1].split(".")[0]);
+      }
+    }
+    if ((m = text.match(/^from\s+\S+\s+import\s+\(?(.+?)\)?$/))) {
+      for (const part of m[1].split(",")) {
+        const alias = part.trim().match(/^(\w+)(?:\s+as\s+(\w+))?$/);
+        if (alias) names.add(alias[2] || alias[1]);
+      }
+    }
+    if ((m = text.match(/^(?:async\s+def|def|class)\s+([A-Za-z_]\w*)/))) names.add(m[1]);
+  }
+  names.delete("_");
+  return names;
+}
+
+/**
+ * 代码中出现的标识符
+ * @param {string} code
+ * @returns {Set<string>}
+ */
+function identifiers(code) {
+  return new Set(code.match(IDENTIFIER_RE) || []);
+}
+
+/**
+ * 顶层语句引用的模块级名字：函数 / 类中的局部变量和参数不算，global 声明的算
+ * @param {{code: string, kind: string}} statement
+ * @returns {Set<string>}
+ */
+function moduleReferences(statement) {
+  const names = identifiers(statement.code);
+  if (statement.kind !== "definition") return names;
+
+  const locals = boundNames(statement.code.split("\n").slice(1).join("\n"));
+  for (const def of statement.code.matchAll(/\bdef\s+\w+\s*\(([^)]*)\)/g)) {
+    for (const param of def[1].split(",")) {
+      const name = param.trim().replace(/^\*{1,2}/, "").match(/^[A-Za-z_]\w*/);
+      if (name) locals.add(name[0]);
+    }
+  }
+  for (const decl of statement.code.matchAll(/\b(?:global|nonlocal)\s+([\w\s,]+)/g)) {
+    for (const name of decl[1].split(",")) locals.delete(name.trim());
+  }
+  return new Set([...names].filter((name) => !locals.has(name)));
+}
+
+/**
+ * 将脚本的顶层入口逻辑包装为入口函数
+ * @param {string} source - Python 源码
+ * @param {object} [options]
+ * @param {string} [options.funcName="main"] - 入口函数名
+ * @returns {{ok: true, content: string} | {ok: false, reason: object}}
+ */
+function wrapEntryFunction(source, { funcName = "main" } = {}) {
+  const refuse = (reason) => ({ ok: false, reason });
+
+  const { lines, error } = scanLines(source);
+  if (error) return refuse(error);
+
+  const statements = topLevelStatements(lines).map((s, i) => ({ ...s, kind: classify(s, i) }));
+  if (statements.some((s) => boundNames(s.code).has(funcName) && s.kind !== "main-guard")) {
+    return refuse(note("entry.nameTaken", { name: funcName }));
+  }
+
+  const guards = statements.filter((s) => s.kind === "main-guard");
+  if (guards.length > 1) return refuse(note("entry.multipleGuards"));
+
+  let region; // 被包装的语句
+  if (guards.length === 1) {
+    const guard = guards[0];
+    if (!/:\s*$/.test(lines[guard.start].code)) return refuse(note("entry.inlineGuard"));
+    const next = statements[statements.indexOf(guard) + 1];
+    if (next && /^(else|elif)\b/.test(next.head)) return refuse(note("entry.guardElse"));
+    region = [guard];
+  } else {
+    // 文件末尾连续的顶层可执行语句（其中的赋值也算在内）
+    let first = statements.length;
+    while (first > 0 && ["code", "assignment"].includes(statements[first - 1].kind)) first--;
+    region = statements.slice(first);
+    if (!region.some((s) => s.kind === "code")) return refuse(note("entry.nothingToWrap"));
+    region = region.slice(region.findIndex((s) => s.kind === "code"));
+    const earlyCode = statements.slice(0, statements.indexOf(region[0])).find((s) => s.kind === "code");
+    if (earlyCode) {
+      return refuse(note("entry.codeBeforeDefinitions", { line: earlyCode.start + 1 }));
+    }
+  }
+
+  const regionLines = new Set(region.flatMap((s) => Array.from({ length: s.end - s.start + 1 }, (_, i) => s.start + i)));
+  if ([...regionLines].some((i) => /^\s*\t/.test(lines[i].raw) && !lines[i].inString)) {
+    return refuse(note("entry.tabs"));
+  }
+
+  // 包装后区域中赋值的变量变成 main() 的局部变量，其他代码不能再依赖它们
+  const regionCode = region.map((s) => (s.kind === "main-guard" ? s.code.split("\n").slice(1).join("\n") : s.code)).join("\n");
+  const bound = boundNames(regionCode);
+  const shared = [
+    ...new Set(statements.filter((s) => !region.includes(s)).flatMap((s) => [...moduleReferences(s)].filter((name) => bound.has(name)))),
+  ];
+  if (shared.length > 0) {
+    return refuse(note(guards.length ? "entry.sharedVariablesInGuard" : "entry.sharedVariables", { names: shared.map((n) => `\`${n}\``) }));
+  }
+  if (/^\s*(yield|return)\b/m.test(regionCode) && guards.length === 0) return refuse(note("entry.returnAtTopLevel"));
+
+  const call = `\n\n\nif __name__ == "__main__":\n    ${funcName}()\n`;
+  const start = region[0].start;
+  const end = region[region.length - 1].end;
+  const before = lines.slice(0, start).map((l) => l.raw);
+  const after = lines.slice(end + 1).map((l) => l.raw);
+
+  let body;
+  if (guards.length === 1) {
+    // 块体已经缩进，直接作为函数体
+    body = [`def ${funcName}():`, ...lines.slice(start + 1, end + 1).map((l) => l.raw)];
+  } else {
+    body = [
+      `def ${funcName}():`,
+      ...lines.slice(start, end + 1).map((l) => (l.inString || l.raw.trim() === "" ? l.raw : `    ${l.raw}`)),
+    ];
+  }
+
+  const head = before.join("\n").replace(/\s*$/, "");
+  const tail = after.join("\n").trim();
+  const content = `${head ? `${head}\n\n\n` : ""}${body.join("\n")}${call}${tail ? `\n${tail}\n` : ""}`;
+  return { ok: true, content };
+}
+
+module.exports = {
+  scanLines,
+  wrapEntryFunction,
+};
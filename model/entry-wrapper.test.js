@@ -0,0 +1,77 @@
+const { wrapEntryFunction } = require("./entry-wrapper");
+const { note } = require("./messages");
+
+describe("wrapEntryFunction", () => {
+  test("wraps the trailing statements of a plain script", () => {
+    const source = ['"""Print a greeting."""', "import sys", "", "GREETING = 'hi'", "", "", "def greet(name):", "    return f'{GREETING} {name}'", "", "", "for name in sys.argv[1:] or ['world']:", "    print(greet(name))", ""].join("\n");
+    expect(wrapEntryFunction(source)).toEqual({
+      ok: true,
+      content: [
+        '"""Print a greeting."""',
+        "import sys",
+        "",
+        "GREETING = 'hi'",
+        "",
+        "",
+        "def greet(name):",
+        "    return f'{GREETING} {name}'",
+        "",
+        "",
+        "def main():",
+        "    for name in sys.argv[1:] or ['world']:",
+        "        print(greet(name))",
+        "",
+        "",
+        'if __name__ == "__main__":',
+        "    main()",
+        "",
+      ].join("\n"),
+    });
+  });
+
+  test("turns the body of a __main__ block into the function body", () => {
+    const source = 'import sys\n\nif __name__ == "__main__":\n    text = """\nkeep\n    as is\n"""\n    print(text, sys.argv)\n';
+    expect(wrapEntryFunction(source)).toEqual({
+      ok: true,
+      content: 'import sys\n\n\ndef main():\n    text = """\nkeep\n    as is\n"""\n    print(text, sys.argv)\n\n\nif __name__ == "__main__":\n    main()\n',
+    });
+  });
+
+  test("does not treat code inside strings as statements", () => {
+    const source = "HELP = '''\nif __name__ == \"__main__\": print(1)\n'''\nprint(HELP)\n";
+    expect(wrapEntryFunction(source)).toEqual({
+      ok: true,
+      content: "HELP = '''\nif __name__ == \"__main__\": print(1)\n'''\n\n\ndef main():\n    print(HELP)\n\n\nif __name__ == \"__main__\":\n    main()\n",
+    });
+  });
+
+  test.each([
+    ["a module variable a function reads", "def bump():\n    return count + 1\n\nprint('counting')\ncount = 5\nprint(bump())\n", note("entry.sharedVariables", { names: ["`count`"] })],
+    ["a variable assigned in the __main__ block", 'def show():\n    print(config)\n\nif __name__ == "__main__":\n    config = {"debug": True}\n    show()\n', note("entry.sharedVariablesInGuard", { names: ["`config`"] })],
+    ["a one-line __main__ block", 'import sys\n\nif __name__ == "__main__": print(sys.argv)\n', note("entry.inlineGuard")],
+    ["a __main__ block with an else branch", 'if __name__ == "__main__":\n    print(1)\nelse:\n    print(2)\n', note("entry.guardElse")],
+    ["code before definitions", "print('start')\n\ndef helper():\n    pass\n\nhelper()\n", note("entry.codeBeforeDefinitions", { line: 1 })],
+    ["an unclosed string", "print('oops)\n", note("entry.unclosedString", { line: 1 })],
+    ["a file with only definitions", "import os\n\ndef helper():\n    pass\n", note("entry.nothingToWrap")],
+  ])("refuses %s", (name, source, reason) => {
+    expect(wrapEntryFunction(source)).toEqual({ ok: false, reason });
+  });
+
+  describe("with an existing main", () => {
+    test.each([
+      ["function", "def main():\n    pass\n\nprint('run')\n"],
+      ["import", "from app import main\n\nmain()\n"],
+      ["assignment", "main = None\nprint(main)\n"],
+    ])("refuses to shadow a %s named main", (kind, source) => {
+      expect(wrapEntryFunction(source)).toEqual({ ok: false, reason: note("entry.nameTaken", { name: "main" }) });
+    });
+
+    test("wraps under another name and leaves main alone", () => {
+      const source = "def main():\n    return 1\n\nprint(main())\n";
+      expect(wrapEntryFunction(source, { funcName: "cli" })).toEqual({
+        ok: true,
+        content: 'def main():\n    return 1\n\n\ndef cli():\n    print(main())\n\n\nif __name__ == "__main__":\n    cli()\n',
+      });
+    });
+  });
+});
@@ -0,0 +1,363 @@
+const TOML = require("smol-toml");
+const { normalizeName } = require("./pypi-name");
+const { requirementName } = require("./dependency-converter");
+const { migratePoetry } = require("./poetry-migration");
+const { note } = require("./messages");
+const { parseLayout, hasTable, setKey, removeKey, removeTable, appendTableText, formatKey, formatValue } = require("./toml-edit");
+
+/**
+ * AI 生成结果的策略检查
+ *
+ * README 和源码原样进入 prompt，其中的文字可能诱导模型加入仓库并不需要的依赖、地址或命令。
+ * 生成结果中的以下内容必须在仓库自己的文件中有依据，否则移除并记入 corrections（与校验器的自动修正格式一致）：
+ * - 依赖（[project] dependencies / optional-dependencies、[dependency-groups]）：依赖转换或原有 pyproject.toml 中声明了同名的包，
+ *   或源码导入的非标准库模块与包名一致（google.cloud.storage 对应 google-cloud-storage，其余见 IMPORT_PACKAGES）
+ * - 依赖的直接引用地址、[[tool.uv.index]]、[tool.uv.sources] 中的地址：出现在依赖声明文件中
+ * - [project.urls]：指向本仓库，或出现在依赖声明文件中，或出现在 README 中且域名属于本项目（含项目名，或为所有者的 GitHub Pages）
+ * - [project.scripts] / [project.gui-scripts]：是入口分析的候选，或指向仓库中存在且定义了该函数的模块
+ * README 中的安装命令不能作为依赖的依据：它正是需要防范的输入。
+ */
+
+// 导入名与发行包名（PEP 503 规范化后）不一致的常见情况；其余依赖要求发行包名与导入的模块路径完全一致
+const IMPORT_PACKAGES = {
+  attr: ["attrs"],
+  bs4: ["beautifulsoup4"],
+  cv2: ["opencv-python", "opencv-python-headless", "opencv-contrib-python"],
+  crypto: ["pycryptodome", "pycryptodomex"],
+  dateutil: ["python-dateutil"],
+  docx: ["python-docx"],
+  dotenv: ["python-dotenv"],
+  fitz: ["pymupdf"],
+  gi: ["pygobject"],
+  git: ["gitpython"],
+  jose: ["python-jose"],
+  jwt: ["pyjwt"],
+  magic: ["python-magic"],
+  multipart: ["python-multipart"],
+  mysqldb: ["mysqlclient"],
+  openssl: ["pyopenssl"],
+  pil: ["pillow"],
+  pptx: ["python-pptx"],
+  serial: ["pyserial"],
+  skimage: ["scikit-image"],
+  sklearn: ["scikit-learn"],
+  socketio: ["python-socketio"],
+  telegram: ["python-telegram-bot"],
+  usb: ["pyusb"],
+  win32api: ["pywin32"],
+  win32con: ["pywin32"],
+  wx: ["wxpython"],
+  yaml: ["pyyaml"],
+  zmq: ["pyzmq"],
+};
+// 标准库的顶层模块（sys.stdlib_module_names，Python 3.11，不含 _ 开头的私有模块，已转为小写）：导入它们不能作为同名 PyPI 包的依据
+const STDLIB_MODULES = new Set([
+  "abc", "aifc", "antigravity", "argparse", "array", "ast", "asynchat", "asyncio", "asyncore", "atexit", "audioop", "base64",
+  "bdb", "binascii", "bisect", "builtins", "bz2", "cprofile", "calendar", "cgi", "cgitb", "chunk", "cmath", "cmd", "code",
+  "codecs", "codeop", "collections", "colorsys", "compileall", "concurrent", "configparser", "contextlib", "contextvars", "copy",
+  "copyreg", "crypt", "csv", "ctypes", "curses", "dataclasses", "datetime", "dbm", "decimal", "difflib", "dis", "distutils",
+  "doctest", "email", "encodings", "ensurepip", "enum", "errno", "faulthandler", "fcntl", "filecmp", "fileinput", "fnmatch",
+  "fractions", "ftplib", "functools", "gc", "genericpath", "getopt", "getpass", "gettext", "glob", "graphlib", "grp", "gzip",
+  "hashlib", "heapq", "hmac", "html", "http", "idlelib", "imaplib", "imghdr", "imp", "importlib", "inspect", "io", "ipaddress",
+  "itertools", "json", "keyword", "lib2to3", "linecache", "locale", "logging", "lzma", "mailbox", "mailcap", "marshal", "math",
+  "mimetypes", "mmap", "modulefinder", "msilib", "msvcrt", "multiprocessing", "netrc", "nis", "nntplib", "nt", "ntpath",
+  "nturl2path", "numbers", "opcode", "operator", "optparse", "os", "ossaudiodev", "pathlib", "pdb", "pickle", "pickletools",
+  "pipes", "pkgutil", "platform", "plistlib", "poplib", "posix", "posixpath", "pprint", "profile", "pstats", "pty", "pwd",
+  "py_compile", "pyclbr", "pydoc", "pydoc_data", "pyexpat", "queue", "quopri", "random", "re", "readline", "reprlib", "resource",
+  "rlcompleter", "runpy", "sched", "secrets", "select", "selectors", "shelve", "shlex", "shutil", "signal", "site", "smtpd",
+  "smtplib", "sndhdr", "socket", "socketserver", "spwd", "sqlite3", "sre_compile", "sre_constants", "sre_parse", "ssl", "stat",
+  "statistics", "string", "stringprep", "struct", "subprocess", "sunau", "symtable", "sys", "sysconfig", "syslog", "tabnanny",
+  "tarfile", "telnetlib", "tempfile", "termios", "textwrap", "this", "threading", "time", "timeit", "tkinter", "token",
+  "tokenize", "tomllib", "trace", "traceback", "tracemalloc", "tty", "turtle", "turtledemo", "types", "typing", "unicodedata",
+  "unittest", "urllib", "uu", "uuid", "venv", "warnings", "wave", "weakref", "webbrowser", "winreg", "winsound", "wsgiref",
+  "xdrlib", "xml", "xmlrpc", "zipapp", "zipfile", "zipimport", "zlib", "zoneinfo",
+]);
+const URL_RE = /\bhttps?:\/\/[^\s"'<>()[\]{}`]+/gi;
+
+/**
+ * 规范化 URL 以便比较（忽略大小写、协议、末尾的 / 和 .git）
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeUrl(url) {
+  return String(url)
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z+]+:\/\//, "")
+    .replace(/[#?].*$/, "")
+    .replace(/(\.git)?\/*$/, "");
+}
+
+/**
+ * 源码中导入的模块路径（小写，包括顶层模块和 from 导入的子模块，如 google、google.cloud、google.cloud.storage）
+ * @param {Object<string, string>} sources
+ * @returns {Set<string>}
+ */
+function importedModules(sources) {
+  const modules = new Set();
+  const add = (dotted) => {
+    const parts = dotted.toLowerCase().split(".");
+    if (!parts.every((part) => /^[a-z_]\w*$/.test(part))) return;
+    parts.forEach((_, i) => modules.add(parts.slice(0, i + 1).join(".")));
+  };
+  for (const content of Object.values(sources)) {
+    for (const match of String(content).matchAll(/^[ \t]*(?:from[ \t]+([A-Za-z_][\w.]*)[ \t]+import[ \t]+\(?([^\n#;)]*)|import[ \t]+([^\n#;]+))/gm)) {
+      if (match[1]) {
+        add(match[1]);
+        for (const name of match[2].split(",")) add(`${match[1]}.${name.trim().split(/\s/)[0]}`);
+      } else {
+        for (const part of match[3].split(",")) add(part.trim().split(/\s/)[0]);
+      }
+    }
+  }
+  return modules;
+}
+
+/**
+ * 包名是否对应某个导入的模块（规范化后完全相同，或在 IMPORT_PACKAGES 中）；标准库模块不算
+ * @param {string} name - 规范化后的包名
+ * @param {Set<string>} modules
+ * @returns {boolean}
+ */
+function matchesImport(name, modules) {
+  for (const module of modules) {
+    if (STDLIB_MODULES.has(module.split(".")[0])) continue;
+    if (normalizeName(module) === name || (IMPORT_PACKAGES[module] || []).includes(name)) return true;
+  }
+  return false;
+}
+
+/**
+ * 原有 pyproject.toml 中声明的依赖（[project]、[dependency-groups] 和未迁移的 [tool.poetry]）
+ * @param {string|undefined} content
+ * @returns {string[]}
+ */
+function existingRequirements(content) {
+  let doc;
+  try {
+    doc = TOML.parse(content || "");
+  } catch (e) {
+    return [];
+  }
+  const project = doc.project || {};
+  const groups = [doc["dependency-groups"] || {}];
+  const lists = [project.dependencies, ...Object.values(project["optional-dependencies"] || {})];
+  if (doc.tool?.poetry) {
+    const migrated = migratePoetry(doc.tool.poetry);
+    lists.push(migrated.project.dependencies, ...Object.values(migrated.project["optional-dependencies"] || {}));
+    groups.push(migrated.dependencyGroups);
+  }
+  for (const group of groups) lists.push(...Object.values(group));
+  return lists.flat().filter((item) => typeof item === "string");
+}
+
+/**
+ * 从仓库文件中收集依据
+ * @param {object} repo - 仓库信息
+ * @param {object} projectInfo - collectProjectInfo 的结果
+ * @returns {object}
+ */
+function collectEvidence(repo, projectInfo) {
+  const { fileContents = {}, dependencyInfo, readmeContent, entryCandidates = [], snapshot } = projectInfo;
+  const sources = { ...projectInfo.sourceContents, ...projectInfo.pythonFileContents, ...projectInfo.packageFileContents };
+  const dependencyText = Object.values(fileContents).join("\n");
+
+  // 只认解析出的包名：依赖声明文件中的其他文字（注释、setup.py 代码）不算依据
+  const declared = new Set(
+    [
+      ...dependencyInfo.dependencies,
+      ...Object.values(dependencyInfo.optionalDependencies).flat(),
+      ...dependencyInfo.devDependencies,
+      ...existingRequirements(fileContents["pyproject.toml"]),
+    ]
+      .map(requirementName)
+      .filter(Boolean)
+  );
+
+  // README 本身可能被注入，其中的地址只有域名属于本项目时才算依据
+  const repoUrl = normalizeUrl(repo.html_url || "");
+  const projectKey = normalizeName(repo.name || "").replace(/-/g, "");
+  const pagesHost = `${repoUrl.split("/")[1] || ""}.github.io`;
+  const readmeUrls = (String(readmeContent || "").match(URL_RE) || []).map(normalizeUrl).filter((url) => {
+    const host = url.split("/")[0];
+    return (projectKey && host.replace(/[-_.]/g, "").includes(projectKey)) || host === pagesHost;
+  });
+
+  return {
+    repoUrl,
+    declared,
+    modules: importedModules(sources),
+    dependencyUrls: (dependencyText.match(URL_RE) || []).map(normalizeUrl),
+    documentUrls: [...readmeUrls, ...(dependencyText.match(URL_RE) || []).map(normalizeUrl)],
+    entryTargets: new Set(entryCandidates.map((c) => c.target)),
+    paths: new Set(snapshot ? snapshot.paths : []),
+    sources,
+  };
+}
+
+/**
+ * 地址是否在给定的列表中出现（前缀匹配，允许指向其中的子路径）
+ * @param {string} url
+ * @param {string[]} known
+ * @returns {boolean}
+ */
+function urlKnown(url, known) {
+  const normalized = normalizeUrl(url);
+  return known.some((k) => k === normalized || normalized.startsWith(`${k}/`));
+}
+
+/**
+ * 入口是否指向仓库中存在且定义了该函数的模块
+ * @param {string} target - 模块名:函数名
+ * @param {object} evidence
+ * @returns {boolean}
+ */
+function scriptSupported(target, evidence) {
+  if (evidence.entryTargets.has(target)) return true;
+  const match = String(target).match(/^([A-Za-z_][\w.]*)\s*:\s*([A-Za-z_]\w*)/);
+  if (!match) return false;
+  const modulePath = match[1].replace(/\./g, "/");
+  const candidates = ["", "src/"].flatMap((prefix) => [`${prefix}${modulePath}.py`, `${prefix}${modulePath}/__init__.py`]);
+  const file = candidates.find((p) => evidence.paths.has(p));
+  if (!file) return false;
+  const content = evidence.sources[file];
+  // 没有读取内容的模块只检查文件存在
+  return content === undefined || new RegExp(`^(?:async\\s+)?def\\s+${match[2]}\\b|^${match[2]}\\s*=`, "m").test(content);
+}
+
+/**
+ * 依赖是否有依据；直接引用的地址也要出现在依赖声明文件中
+ * @param {string} requirement
+ * @param {object} evidence
+ * @returns {object|null} 没有依据时的原因（note）
+ */
+function dependencyViolation(requirement, evidence) {
+  const name = requirementName(requirement);
+  if (!name) return null;
+  const reference = String(requirement).match(/@\s*(\S+)/);
+  if (reference && /:\/\//.test(reference[1]) && !urlKnown(reference[1].replace(/^[a-z]+\+/, ""), evidence.dependencyUrls)) {
+    return note("policy.directReference");
+  }
+  if (evidence.declared.has(name) || matchesImport(name, evidence.modules)) return null;
+  return note("policy.unknownPackage");
+}
+
+/**
+ * 修改或删除表中的一个键；表以内联表书写（如 [project] 下的 urls = {...}）时整体改写父键
+ * @param {string} text
+ * @param {string} tableName
+ * @param {string} key
+ * @param {*} [value] - 新值，undefined 表示删除
+ * @returns {string}
+ */
+function updateEntry(text, tableName, key, value) {
+  if (hasTable(text, tableName)) {
+    return value === undefined ? removeKey(text, tableName, key) : setKey(text, tableName, key, formatValue(value, { multiline: Array.isArray(value) }));
+  }
+  const parts = tableName.split(".");
+  const parentKey = parts.pop();
+  const current = { ...parts.concat(parentKey).reduce((node, part) => (node ? node[part] : undefined), TOML.parse(text)) };
+  if (value === undefined) delete current[key];
+  else current[key] = value;
+  return setKey(text, parts.length > 0 ? parts.join(".") : null, parentKey, formatValue(current));
+}
+
+/**
+ * 检查 AI 生成的 pyproject.toml，移除没有依据的依赖、地址和入口
+ * @param {string} content - 已通过校验的 pyproject.toml
+ * @param {object} options
+ * @param {object} options.repo - 仓库信息
+ * @param {object} options.projectInfo - collectProjectInfo 的结果
+ * @returns {{content: string, corrections: Array<{field: string, from: *, to: null, reason: object}>}}
+ */
+function enforceGenerationPolicy(content, { repo, projectInfo }) {
+  let doc;
+  try {
+    doc = TOML.parse(content);
+  } catch (e) {
+    return { content, corrections: [] };
+  }
+
+  const evidence = collectEvidence(repo, projectInfo);
+  const corrections = [];
+  let result = content;
+  const reject = (field, value, reason) => corrections.push({ field, from: value, to: null, reason: note("correction.noEvidence", { reason }) });
+
+  // 依赖列表：按表逐个过滤
+  const filterRequirements = (table, key, list, field) => {
+    if (!Array.isArray(list)) return;
+    const kept = list.filter((req) => {
+      const reason = typeof req === "string" ? dependencyViolation(req, evidence) : null;
+      if (reason) reject(field, req, reason);
+      return !reason;
+    });
+    if (kept.length !== list.length) result = updateEntry(result, table, key, kept);
+  };
+  const project = doc.project || {};
+  filterRequirements("project", "dependencies", project.dependencies, "project.dependencies");
+  for (const [extra, list] of Object.entries(project["optional-dependencies"] || {})) {
+    filterRequirements("project.optional-dependencies", extra, list, `project.optional-dependencies.${extra}`);
+  }
+  for (const [group, list] of Object.entries(doc["dependency-groups"] || {})) {
+    filterRequirements("dependency-groups", group, list, `dependency-groups.${group}`);
+  }
+
+  // 项目链接
+  const ownUrls = [evidence.repoUrl, ...evidence.documentUrls];
+  for (const [label, url] of Object.entries(project.urls || {})) {
+    if (typeof url === "string" && !urlKnown(url, ownUrls)) {
+      reject(`project.urls.${label}`, url, note("policy.foreignUrl"));
+      result = updateEntry(result, "project.urls", label);
+    }
+  }
+
+  // 包索引和依赖来源
+  const uv = doc.tool?.uv || {};
+  if (Array.isArray(uv.index)) {
+    const kept = uv.index.filter((index) => {
+      const ok = typeof index.url !== "string" || urlKnown(index.url, evidence.dependencyUrls);
+      if (!ok) reject("tool.uv.index", index.url, note("policy.unknownIndex"));
+      return ok;
+    });
+    if (kept.length !== uv.index.length && parseLayout(result).tables.some((t) => t.array && t.name === "tool.uv.index")) {
+      result = removeTable(result, "tool.uv.index");
+      for (const index of kept) {
+        const lines = Object.entries(index).map(([k, v]) => `${formatKey(k)} = ${formatValue(v)}`);
+        result = appendTableText(result, ["[[tool.uv.index]]", ...lines].join("\n"));
+      }
+    } else if (kept.length !== uv.index.length) {
+      result = updateEntry(result, "tool.uv", "index", kept);
+    }
+  }
+  for (const [name, source] of Object.entries(uv.sources || {})) {
+    const url = source && (source.git || source.url);
+    if (typeof url === "string" && !urlKnown(url.replace(/^[a-z]+\+/, ""), evidence.dependencyUrls)) {
+      reject(`tool.uv.sources.${name}`, url, note("policy.unknownSource"));
+      result = updateEntry(result, "tool.uv.sources", name);
+    }
+  }
+
+  // 命令入口
+  for (const table of ["scripts", "gui-scripts"]) {
+    const entries = Object.entries(project[table] || {});
+    const rejected = entries.filter(([, target]) => !scriptSupported(target, evidence));
+    for (const [name, target] of rejected) {
+      reject(`project.${table}.${name}`, target, note("policy.unknownEntry"));
+      result = updateEntry(result, `project.${table}`, name);
+    }
+    // 全部被移除时不留下空表
+    if (rejected.length > 0 && rejected.length === entries.length && hasTable(result, `project.${table}`)) {
+      result = removeTable(result, `project.${table}`);
+    }
+  }
+
+  // 改写后必须仍是合法 TOML，否则交给调用方回退到模板
+  TOML.parse(result);
+  return { content: result, corrections };
+}
+
+module.exports = {
+  enforceGenerationPolicy,
+  importedModules,
+  normalizeUrl,
+};
@@ -0,0 +1,97 @@
+const TOML = require("smol-toml");
+const { convertDependencies } = require("./dependency-converter");
+const { enforceGenerationPolicy, importedModules } = require("./generation-policy");
+
+const repo = { name: "mytool", html_url: "https://github.com/acme/mytool" };
+
+/**
+ * collectProjectInfo-shaped input for a small repository
+ * @param {object} [overrides]
+ * @returns {object}
+ */
+function projectInfo({ fileContents = {}, sourceContents = {}, readmeContent = "" } = {}) {
+  return {
+    fileContents,
+    dependencyInfo: convertDependencies(fileContents),
+    readmeContent,
+    entryCandidates: [{ name: "mytool", target: "mytool.cli:main" }],
+    snapshot: { paths: ["mytool/__init__.py", "mytool/cli.py", "mytool/util.py"] },
+    sourceContents,
+    pythonFileContents: {},
+    packageFileContents: {},
+  };
+}
+
+/**
+ * Dependencies left after the policy check
+ * @param {string[]} dependencies
+ * @param {object} info
+ * @returns {string[]}
+ */
+function keptDependencies(dependencies, info) {
+  const content = `[project]\nname = "mytool"\nversion = "0.1.0"\ndependencies = ${JSON.stringify(dependencies)}\n`;
+  return TOML.parse(enforceGenerationPolicy(content, { repo, projectInfo: info }).content).project.dependencies;
+}
+
+describe("enforceGenerationPolicy dependencies", () => {
+  test("accepts declared requirements and exact imports, rejects the rest", () => {
+    const info = projectInfo({
+      fileContents: { "requirements.txt": "requests>=2\n" },
+      sourceContents: {
+        "mytool/util.py": "import os, yaml\nfrom bs4 import BeautifulSoup\nfrom google.cloud import storage\nimport zope.interface\n",
+      },
+    });
+    expect(
+      keptDependencies(
+        ["requests>=2", "pyyaml", "beautifulsoup4", "google-cloud-storage", "zope.interface", "os-anything", "pyos", "google-evil", "evil-pkg"],
+        info
+      )
+    ).toEqual(["requests>=2", "pyyaml", "beautifulsoup4", "google-cloud-storage", "zope.interface"]);
+  });
+
+  test.each([
+    ["argparse", "import argparse\n"],
+    ["json", "import json\n"],
+    ["xml-etree", "from xml.etree import ElementTree\n"],
+    ["asyncio", "import asyncio\n"],
+  ])("rejects %s injected for a standard library import", (dependency, source) => {
+    const info = projectInfo({ sourceContents: { "mytool/cli.py": source } });
+    expect(keptDependencies([dependency, "click"], info)).toEqual([]);
+  });
+
+  test("keeps a standard library backport that the repository declares", () => {
+    const info = projectInfo({ fileContents: { "requirements.txt": "dataclasses; python_version < '3.7'\n" }, sourceContents: { "mytool/cli.py": "import dataclasses\n" } });
+    expect(keptDependencies(["dataclasses; python_version < '3.7'"], info)).toEqual(["dataclasses; python_version < '3.7'"]);
+  });
+
+  test("does not treat other words in dependency files as declarations", () => {
+    const info = projectInfo({
+      fileContents: {
+        "setup.py": '# evil-pkg is not needed\nsetup(name="mytool", install_requires=["click"], url="https://example.com")\n',
+      },
+    });
+    expect(keptDependencies(["click", "evil-pkg", "setup", "example-com"], info)).toEqual(["click"]);
+  });
+
+  test("accepts dependencies declared in the existing pyproject.toml", () => {
+    const info = projectInfo({
+      fileContents: {
+        "pyproject.toml": '[tool.poetry.dependencies]\npython = "^3.9"\nhttpx = "^0.27"\n\n[tool.poetry.group.test.dependencies]\npytest = "*"\n',
+      },
+    });
+    expect(keptDependencies(["httpx>=0.27,<0.28", "pytest", "poetry"], info)).toEqual(["httpx>=0.27,<0.28", "pytest"]);
+  });
+
+  test("reports every removal as a correction", () => {
+    const content = '[project]\nname = "mytool"\nversion = "0.1.0"\ndependencies = ["evil-pkg"]\n';
+    const { corrections } = enforceGenerationPolicy(content, { repo, projectInfo: projectInfo() });
+    expect(corrections).toEqual([expect.objectContaining({ field: "project.dependencies", from: "evil-pkg", to: null })]);
+  });
+});
+
+describe("importedModules", () => {
+  test("collects module paths from import statements", () => {
+    const modules = importedModules({ "a.py": "import a.b as c, d\nfrom e.f import (g, h as i)\n  from . import local\n" });
+    expect([...modules].sort()).toEqual(["a", "a.b", "d", "e", "e.f", "e.f.g", "e.f.h"]);
+  });
+});
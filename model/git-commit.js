@@ -0,0 +1,85 @@
+/**
+ * 通过 Git Data API 一次性提交多个文件
+ *
+ * 所有文件写进同一个 tree / commit，分支引用最后才指向新提交，
+ * 中途失败不会留下只写了一半文件的分支。
+ */
+
+/**
+ * 在 parentSha 之上创建包含所有文件的提交（不移动任何分支）
+ * @param {object} octokit
+ * @param {object} options
+ * @param {string} options.owner
+ * @param {string} options.repo
+ * @param {string} options.parentSha - 父提交
+ * @param {Object<string, string>} options.files - 相对路径 -> 文件内容
+ * @param {string} options.message - 提交信息
+ * @returns {Promise<string>} 新提交的 SHA
+ */
+async function createCommit(octokit, { owner, repo, parentSha, files, message }) {
+  const { data: parent } = await octokit.git.getCommit({ owner, repo, commit_sha: parentSha });
+
+  const { data: tree } = await octokit.git.createTree({
+    owner,
+    repo,
+    base_tree: parent.tree.sha,
+    tree: Object.entries(files).map(([path, content]) => ({
+      path,
+      mode: "100644",
+      type: "blob",
+      content,
+    })),
+  });
+
+  const { data: commit } = await octokit.git.createCommit({
+    owner,
+    repo,
+    message,
+    tree: tree.sha,
+    parents: [parentSha],
+  });
+  return commit.sha;
+}
+
+/**
+ * 让分支指向指定提交：分支不存在时创建，存在时强制移动
+ * @param {object} octokit
+ * @param {object} options
+ * @param {string} options.owner
+ * @param {string} options.repo
+ * @param {string} options.branch
+ * @param {string} options.sha
+ * @param {boolean} options.exists - 分支是否已存在
+ * @returns {Promise<void>}
+ */
+async function pointBranch(octokit, { owner, repo, branch, sha, exists }) {
+  if (exists) {
+    await octokit.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha, force: true });
+  } else {
+    await octokit.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha });
+  }
+}
+
+/**
+ * 回滚分支：新建的分支直接删除，已存在的分支恢复到原来的提交
+ * @param {object} octokit
+ * @param {object} options
+ * @param {string} options.owner
+ * @param {string} options.repo
+ * @param {string} options.branch
+ * @param {string} [options.previousSha] - 分支原来指向的提交；没有时删除分支
+ * @returns {Promise<void>}
+ */
+async function rollbackBranch(octokit, { owner, repo, branch, previousSha }) {
+  if (previousSha) {
+    await octokit.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: previousSha, force: true });
+  } else {
+    await octokit.git.deleteRef({ owner, repo, ref: `heads/${branch}` });
+  }
+}
+
+module.exports = {
+  createCommit,
+  pointBranch,
+  rollbackBranch,
+};
@@ -0,0 +1,134 @@
+const { createCommit, pointBranch, rollbackBranch } = require("./git-commit");
+
+const owner = "octo";
+const repo = "demo";
+const FILES = { "pyproject.toml": '[project]\nname = "demo"\n', ".github/workflows/pypi.yml": "name: Publish\n" };
+
+/**
+ * Git Data API stub that keeps trees, commits and refs in memory; `failing` names the call that rejects
+ * @param {string|null} [failing] - e.g. "createTree", "createCommit", "createRef"
+ * @returns {{octokit: object, refs: Map<string, string>, commits: Map<string, object>, trees: Map<string, object>, calls: string[]}}
+ */
+function fakeGit(failing = null) {
+  const trees = new Map([["tree-base", { "README.md": "# demo\n" }]]);
+  const commits = new Map([["sha-main", { tree: "tree-base", parents: [] }]]);
+  const refs = new Map([
+    ["heads/main", "sha-main"],
+    ["heads/quick2uv/old", "sha-main"],
+  ]);
+  const calls = [];
+  let counter = 0;
+
+  const call = (name, fn) => async (params) => {
+    calls.push(name);
+    if (name === failing) throw Object.assign(new Error(`${name} failed`), { status: 502 });
+    return { data: fn(params) };
+  };
+  const refName = (ref) => ref.replace(/^refs\//, "");
+
+  const octokit = {
+    git: {
+      getCommit: call("getCommit", ({ commit_sha }) => ({ sha: commit_sha, tree: { sha: commits.get(commit_sha).tree } })),
+      createTree: call("createTree", ({ base_tree, tree }) => {
+        const sha = `tree-${++counter}`;
+        trees.set(sha, { ...trees.get(base_tree), ...Object.fromEntries(tree.map((entry) => [entry.path, entry.content])) });
+        return { sha };
+      }),
+      createCommit: call("createCommit", ({ tree, parents }) => {
+        const sha = `sha-${++counter}`;
+        commits.set(sha, { tree, parents });
+        return { sha };
+      }),
+      createRef: call("createRef", ({ ref, sha }) => {
+        if (refs.has(refName(ref))) throw Object.assign(new Error("Reference already exists"), { status: 422 });
+        refs.set(refName(ref), sha);
+        return { ref };
+      }),
+      updateRef: call("updateRef", ({ ref, sha }) => {
+        refs.set(ref, sha);
+        return { ref };
+      }),
+      deleteRef: call("deleteRef", ({ ref }) => {
+        refs.delete(ref);
+        return {};
+      }),
+    },
+  };
+  return { octokit, refs, commits, trees, calls };
+}
+
+/**
+ * Run the onboarding commit sequence: commit, point the branch, roll back if the PR step fails
+ * @param {object} git - fakeGit()
+ * @param {object} options
+ * @param {string} options.branch
+ * @param {string} [options.previousSha] - current head of an existing onboarding branch
+ * @param {boolean} [options.pullRequestFails]
+ */
+async function onboard({ octokit }, { branch, previousSha, pullRequestFails = false }) {
+  const sha = await createCommit(octokit, { owner, repo, parentSha: "sha-main", files: FILES, message: "feat: set up uv" });
+  await pointBranch(octokit, { owner, repo, branch, sha, exists: Boolean(previousSha) });
+  if (pullRequestFails) {
+    await rollbackBranch(octokit, { owner, repo, branch, previousSha });
+    throw new Error("pulls.create failed");
+  }
+}
+
+/**
+ * Every ref points at the original commit or at a commit that contains all generated files
+ * @param {object} git - fakeGit()
+ */
+function expectNoPartialRefs({ refs, commits, trees }) {
+  for (const sha of refs.values()) {
+    if (sha === "sha-main") continue;
+    expect(trees.get(commits.get(sha).tree)).toMatchObject(FILES);
+  }
+}
+
+describe("onboarding commit", () => {
+  test("writes all files in one commit and points a new branch at it", async () => {
+    const git = fakeGit();
+    await onboard(git, { branch: "quick2uv/new" });
+
+    const sha = git.refs.get("heads/quick2uv/new");
+    expect(git.commits.get(sha).parents).toEqual(["sha-main"]);
+    expect(git.trees.get(git.commits.get(sha).tree)).toEqual({ "README.md": "# demo\n", ...FILES });
+    expect(git.calls.filter((name) => name === "createTree")).toHaveLength(1);
+  });
+
+  test.each(["getCommit", "createTree", "createCommit"])("leaves every ref alone when %s fails", async (failing) => {
+    const git = fakeGit(failing);
+    const before = new Map(git.refs);
+    await expect(onboard(git, { branch: "quick2uv/new" })).rejects.toThrow(`${failing} failed`);
+    await expect(onboard(git, { branch: "quick2uv/old", previousSha: "sha-main" })).rejects.toThrow(`${failing} failed`);
+
+    expect(git.refs).toEqual(before);
+    expect(git.calls).not.toEqual(expect.arrayContaining(["createRef"]));
+    expect(git.calls).not.toEqual(expect.arrayContaining(["updateRef"]));
+  });
+
+  test.each([
+    ["createRef", "quick2uv/new", undefined],
+    ["updateRef", "quick2uv/old", "sha-main"],
+  ])("leaves the branch unchanged when %s fails", async (failing, branch, previousSha) => {
+    const git = fakeGit(failing);
+    const before = new Map(git.refs);
+    await expect(onboard(git, { branch, previousSha })).rejects.toThrow(`${failing} failed`);
+
+    expect(git.refs).toEqual(before);
+    expectNoPartialRefs(git);
+  });
+
+  test("deletes a new branch when the pull request cannot be opened", async () => {
+    const git = fakeGit();
+    await expect(onboard(git, { branch: "quick2uv/new", pullRequestFails: true })).rejects.toThrow("pulls.create failed");
+    expect(git.refs.has("heads/quick2uv/new")).toBe(false);
+  });
+
+  test("restores an existing branch when the pull request cannot be updated", async () => {
+    const git = fakeGit();
+    await expect(onboard(git, { branch: "quick2uv/old", previousSha: "sha-main", pullRequestFails: true })).rejects.toThrow("pulls.create failed");
+    expect(git.refs.get("heads/quick2uv/old")).toBe("sha-main");
+    expectNoPartialRefs(git);
+  });
+});
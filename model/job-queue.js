@@ -0,0 +1,192 @@
+/**
+ * 持久化任务队列
+ *
+ * webhook 只负责入队，任务在进程内逐个执行（每个任务会多次调用 LLM，并发执行只会更快触发限流）。
+ * 失败的任务按指数退避重试；重试次数用完或遇到不可重试的错误时移入死信列表并调用 onDeadLetter。
+ * 进程在任务执行中退出时，任务在租约（leaseMs）过期后重新执行。存储后端见 job-store.js。
+ * 无服务器环境中函数响应后即被冻结，不能用 schedule() 在后台执行，改由定时调用的接口执行 runDue({ deadline })（见 api/queue/drain.js）。
+ *
+ * 环境变量：
+ * - Q2U_QUEUE_MAX_ATTEMPTS：每个任务最多执行的次数，默认 5
+ * - Q2U_QUEUE_BACKOFF_MS：第一次重试前等待的毫秒数，之后每次翻倍（最长 1 小时），默认 60000
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const DEFAULT_LEASE_MS = 15 * 60 * 1000;
+// 限流、超时类的 4xx 可能只是暂时的，其余 4xx 重试也不会成功
+const RETRYABLE_CLIENT_STATUSES = [403, 408, 429];
+
+/**
+ * 错误是否值得重试（网络错误、5xx 和限流可以重试）
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  const status = Number(error && error.status);
+  return !(status >= 400 && status < 500) || RETRYABLE_CLIENT_STATUSES.includes(status);
+}
+
+/**
+ * 第 attempts 次失败后等待的毫秒数
+ * @param {number} attempts - 已执行的次数
+ * @param {number} baseMs
+ * @returns {number}
+ */
+function backoffDelay(attempts, baseMs) {
+  return Math.min(baseMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * 读取数字类型的环境变量，未设置或无效时返回默认值
+ * @param {string|undefined} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function numberSetting(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * 创建任务队列
+ * @param {object} options
+ * @param {object} options.store - 存储后端（job-store.js）
+ * @param {Object<string, Function>} options.handlers - 任务类型 -> async (payload, job) => void
+ * @param {Function} [options.onDeadLetter] - async (job, error) => void，任务进入死信列表时调用
+ * @param {object} options.log
+ * @param {number} [options.leaseMs] - 执行中的任务超过该时长视为进程已退出，重新执行
+ * @param {object} [options.env] - 环境变量（默认 process.env）
+ * @param {Function} [options.now] - 当前时间（毫秒）
+ * @returns {{enqueue: Function, runDue: Function, schedule: Function, pending: Function, deadLetters: Function}}
+ */
+function createJobQueue({ store, handlers, onDeadLetter, log, leaseMs = DEFAULT_LEASE_MS, env = process.env, now = Date.now }) {
+  const maxAttempts = Math.max(1, numberSetting(env.Q2U_QUEUE_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS));
+  const backoffMs = numberSetting(env.Q2U_QUEUE_BACKOFF_MS, DEFAULT_BACKOFF_MS);
+  let draining = null;
+  let timer = null;
+
+  const isDue = (job, time) => (job.status === "pending" && job.runAt <= time) || (job.status === "running" && job.leaseUntil <= time);
+  const nextRunAt = (job) => (job.status === "running" ? job.leaseUntil : job.runAt);
+
+  /**
+   * 入队；同一 id 的任务尚未完成时不重复入队
+   * @param {string} type
+   * @param {object} payload - 需要能序列化为 JSON
+   * @param {object} [options]
+   * @param {string} [options.id] - 任务 ID，默认随机生成
+   * @returns {Promise<object>} 任务
+   */
+  async function enqueue(type, payload, { id } = {}) {
+    const jobId = id || `${type}:${now()}:${Math.random().toString(36).slice(2, 8)}`;
+    const existing = (await store.all()).find((job) => job.id === jobId && job.status !== "dead");
+    if (existing) return existing;
+
+    const job = { id: jobId, type, payload, status: "pending", attempts: 0, runAt: now(), leaseUntil: null, createdAt: now(), lastError: null };
+    await store.save(job);
+    return job;
+  }
+
+  /**
+   * 执行一个任务并记录结果
+   * @param {object} job
+   */
+  async function runJob(job) {
+    const running = { ...job, status: "running", attempts: job.attempts + 1, leaseUntil: now() + leaseMs };
+    await store.save(running);
+
+    try {
+      const handler = handlers[job.type];
+      if (!handler) throw Object.assign(new Error(`未知的任务类型：${job.type}`), { status: 400 });
+      await handler(running.payload, running);
+      await store.remove(job.id);
+      return;
+    } catch (error) {
+      const retry = isRetryable(error) && running.attempts < maxAttempts;
+      const failed = {
+        ...running,
+        status: retry ? "pending" : "dead",
+        runAt: retry ? now() + backoffDelay(running.attempts, backoffMs) : running.runAt,
+        leaseUntil: null,
+        lastError: error.message,
+      };
+      await store.save(failed);
+
+      if (retry) {
+        log.warn(`Job ${job.id} failed (attempt ${failed.attempts}/${maxAttempts}), retrying at ${new Date(failed.runAt).toISOString()}: ${error.message}`);
+        return;
+      }
+      log.error(`Job ${job.id} moved to the dead-letter list after ${failed.attempts} attempt(s): ${error.message}`);
+      if (onDeadLetter) {
+        await Promise.resolve()
+          .then(() => onDeadLetter(failed, error))
+          .catch((reportError) => log.warn(`Dead-letter handler for ${job.id} failed: ${reportError.message}`));
+      }
+    }
+  }
+
+  /**
+   * 依次执行所有到期的任务
+   * @param {object} [options]
+   * @param {number} [options.deadline] - 超过该时间（毫秒时间戳）后不再开始新任务
+   * @returns {Promise<number>} 执行的任务数
+   */
+  async function runDue({ deadline = Infinity } = {}) {
+    let processed = 0;
+    while (now() < deadline) {
+      const time = now();
+      const due = (await store.all()).filter((job) => isDue(job, time)).sort((a, b) => nextRunAt(a) - nextRunAt(b))[0];
+      if (!due) break;
+      await runJob(due);
+      processed++;
+    }
+    return processed;
+  }
+
+  /**
+   * 在后台执行到期的任务，并为最近一次重试设置定时器；已在执行时返回同一个 Promise
+   * @returns {Promise<void>}
+   */
+  function schedule() {
+    if (draining) return draining;
+    clearTimeout(timer);
+    draining = runDue()
+      .then(async () => {
+        const waiting = await pending();
+        if (waiting.length === 0) return;
+        timer = setTimeout(schedule, Math.max(0, Math.min(...waiting.map(nextRunAt)) - now()));
+        // 定时器不阻止进程退出，剩下的任务在下次启动时继续
+        if (timer.unref) timer.unref();
+      })
+      .catch((error) => log.error(`Job queue failed: ${error.message}`))
+      .finally(() => {
+        draining = null;
+      });
+    return draining;
+  }
+
+  /**
+   * 尚未完成的任务（等待执行、执行中或等待重试）
+   * @returns {Promise<object[]>}
+   */
+  async function pending() {
+    return (await store.all()).filter((job) => job.status !== "dead");
+  }
+
+  /**
+   * 死信列表
+   * @returns {Promise<object[]>}
+   */
+  async function deadLetters() {
+    return (await store.all()).filter((job) => job.status === "dead");
+  }
+
+  return { enqueue, runDue, schedule, pending, deadLetters };
+}
+
+module.exports = {
+  createJobQueue,
+  isRetryable,
+  backoffDelay,
+};
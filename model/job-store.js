@@ -0,0 +1,182 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * 任务队列的存储后端
+ *
+ * 存储只负责按 id 保存任务，调度逻辑都在 job-queue.js 中，接入其他存储（Redis、数据库等）只需实现：
+ * - save(job)：按 job.id 新增或覆盖
+ * - remove(id)
+ * - all()：返回全部任务
+ * 三个方法均返回 Promise。
+ *
+ * 环境变量 Q2U_QUEUE_STORE：
+ * - memory（默认）：进程内存，重启后丢失
+ * - file:<路径>：JSON 文件，重启后继续执行未完成的任务（仅适合单实例部署）
+ * - sqlite:<路径>：SQLite 数据库（Node.js 内置的 node:sqlite，需要 22.5 以上），适合本地和单机部署
+ * - kv：Redis 的 REST 接口（Vercel KV / Upstash），地址和令牌取自 KV_REST_API_URL / KV_REST_API_TOKEN
+ *   （或 UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN）。Vercel 等无服务器环境的文件系统不持久，只能用这一种
+ */
+
+/**
+ * 内存存储
+ * @returns {{save: Function, remove: Function, all: Function}}
+ */
+function createMemoryStore() {
+  const jobs = new Map();
+  return {
+    save: async (job) => {
+      jobs.set(job.id, { ...job });
+    },
+    remove: async (id) => {
+      jobs.delete(id);
+    },
+    all: async () => [...jobs.values()].map((job) => ({ ...job })),
+  };
+}
+
+/**
+ * JSON 文件存储：每次修改后整体写入临时文件再重命名，避免写到一半时进程退出导致文件损坏
+ * @param {string} filePath
+ * @returns {{save: Function, remove: Function, all: Function}}
+ */
+function createFileStore(filePath) {
+  let jobs = null;
+  let pending = Promise.resolve();
+
+  const load = async () => {
+    if (!jobs) {
+      try {
+        jobs = new Map(Object.entries(JSON.parse(await fs.promises.readFile(filePath, "utf8")).jobs || {}));
+      } catch (e) {
+        if (e.code !== "ENOENT") throw new Error(`无法读取任务队列文件 ${filePath}：${e.message}`);
+        jobs = new Map();
+      }
+    }
+    return jobs;
+  };
+
+  // 串行执行修改，保证写入顺序与调用顺序一致
+  const update = (change) => {
+    const result = pending.then(async () => {
+      change(await load());
+      const temp = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(temp, JSON.stringify({ jobs: Object.fromEntries(jobs) }, null, 2));
+      await fs.promises.rename(temp, filePath);
+    });
+    // 一次写入失败不影响之后的修改
+    pending = result.catch(() => {});
+    return result;
+  };
+
+  return {
+    save: (job) => update((all) => all.set(job.id, { ...job })),
+    remove: (id) => update((all) => all.delete(id)),
+    all: async () => {
+      await pending;
+      return [...(await load()).values()].map((job) => ({ ...job }));
+    },
+  };
+}
+
+/**
+ * SQLite 存储：每个任务一行，按 id 覆盖写入
+ * @param {string} filePath
+ * @returns {{save: Function, remove: Function, all: Function}}
+ */
+function createSqliteStore(filePath) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require("node:sqlite"));
+  } catch (e) {
+    throw new Error(`SQLite 存储需要 Node.js 22.5 以上（node:sqlite），当前为 ${process.version}`);
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new DatabaseSync(filePath);
+  db.exec("CREATE TABLE IF NOT EXISTS jobs (id TEXT PRIMARY KEY, data TEXT NOT NULL)");
+  const upsertJob = db.prepare("INSERT INTO jobs (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data");
+  const deleteJob = db.prepare("DELETE FROM jobs WHERE id = ?");
+  const selectJobs = db.prepare("SELECT data FROM jobs");
+
+  return {
+    save: async (job) => {
+      upsertJob.run(job.id, JSON.stringify(job));
+    },
+    remove: async (id) => {
+      deleteJob.run(id);
+    },
+    all: async () => selectJobs.all().map((row) => JSON.parse(row.data)),
+  };
+}
+
+/**
+ * Redis REST 存储（Vercel KV / Upstash）：所有任务存在一个哈希表中，字段为任务 id
+ * @param {object} options
+ * @param {string} options.url - REST 接口地址
+ * @param {string} options.token - 访问令牌
+ * @param {string} [options.key] - 哈希表的键名
+ * @param {Function} [options.fetch] - fetch 实现（默认全局 fetch）
+ * @returns {{save: Function, remove: Function, all: Function}}
+ */
+function createKvStore({ url, token, key = "quick2uv:jobs", fetch = globalThis.fetch }) {
+  const command = async (...args) => {
+    const response = await fetch(url.replace(/\/+$/, ""), {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(args),
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || body.error) {
+      throw new Error(`任务队列存储 ${args[0]} 失败：${body.error || `HTTP ${response.status}`}`);
+    }
+    return body.result;
+  };
+
+  return {
+    save: async (job) => {
+      await command("HSET", key, job.id, JSON.stringify(job));
+    },
+    remove: async (id) => {
+      await command("HDEL", key, id);
+    },
+    all: async () => {
+      // HGETALL 返回 [字段, 值, 字段, 值, ...]
+      const result = (await command("HGETALL", key)) || [];
+      return result.filter((_, i) => i % 2 === 1).map((data) => JSON.parse(data));
+    },
+  };
+}
+
+/**
+ * 根据 Q2U_QUEUE_STORE 创建存储
+ * @param {object} [env] - 环境变量（默认 process.env）
+ * @param {object} [options]
+ * @param {boolean} [options.persistent] - 任务由其他进程执行（cron 模式）时为 true，此时不能使用内存存储
+ * @returns {{save: Function, remove: Function, all: Function}}
+ */
+function createStoreFromEnv(env = process.env, { persistent = false } = {}) {
+  const setting = env.Q2U_QUEUE_STORE || "memory";
+  if (setting === "memory") {
+    // 写入任务的 webhook 和执行任务的 drain 路由不在同一进程，内存中的任务会直接丢失
+    if (persistent) throw new Error("Q2U_QUEUE_WORKER=cron 需要持久化的任务队列存储：请设置 Q2U_QUEUE_STORE=kv、file:<路径> 或 sqlite:<路径>");
+    return createMemoryStore();
+  }
+  if (setting.startsWith("file:") && setting.length > "file:".length) return createFileStore(path.resolve(setting.slice("file:".length)));
+  if (setting.startsWith("sqlite:") && setting.length > "sqlite:".length) return createSqliteStore(path.resolve(setting.slice("sqlite:".length)));
+  if (setting === "kv") {
+    const url = env.KV_REST_API_URL || env.UPSTASH_REDIS_REST_URL;
+    const token = env.KV_REST_API_TOKEN || env.UPSTASH_REDIS_REST_TOKEN;
+    if (!url || !token) throw new Error("Q2U_QUEUE_STORE=kv 需要 KV_REST_API_URL 和 KV_REST_API_TOKEN");
+    return createKvStore({ url, token });
+  }
+  throw new Error(`Unknown Q2U_QUEUE_STORE: ${setting}（可选 memory、file:<路径>、sqlite:<路径> 或 kv）`);
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createSqliteStore,
+  createKvStore,
+  createStoreFromEnv,
+};
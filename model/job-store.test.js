@@ -0,0 +1,101 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createMemoryStore, createSqliteStore, createKvStore, createStoreFromEnv } = require("./job-store");
+const { createJobQueue } = require("./job-queue");
+
+const hasSqlite = (() => {
+  try {
+    require("node:sqlite");
+    return true;
+  } catch (e) {
+    return false;
+  }
+})();
+
+/**
+ * Fake Redis REST endpoint that keeps hashes in memory
+ * @returns {Function} fetch
+ */
+function fakeKvFetch() {
+  const hashes = new Map();
+  return async (url, { headers, body }) => {
+    if (headers.Authorization !== "Bearer secret") return { ok: false, status: 401, json: async () => ({ error: "unauthorized" }) };
+    const [command, key, field, value] = JSON.parse(body);
+    const hash = hashes.get(key) || new Map();
+    hashes.set(key, hash);
+    const result = {
+      HSET: () => hash.set(field, value) && 1,
+      HDEL: () => Number(hash.delete(field)),
+      HGETALL: () => [...hash].flat(),
+    }[command]();
+    return { ok: true, status: 200, json: async () => ({ result }) };
+  };
+}
+
+const log = { info() {}, warn() {}, error() {} };
+
+describe.each([
+  ["memory", () => createMemoryStore()],
+  ["kv", () => createKvStore({ url: "https://kv.example", token: "secret", fetch: fakeKvFetch() })],
+  ...(hasSqlite ? [["sqlite", () => createSqliteStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), "q2u-")), "jobs.db"))]] : []),
+])("%s store", (name, createStore) => {
+  test("saves, overwrites and removes jobs by id", async () => {
+    const store = createStore();
+    await store.save({ id: "a", status: "pending", attempts: 0 });
+    await store.save({ id: "b", status: "pending", attempts: 0 });
+    await store.save({ id: "a", status: "running", attempts: 1 });
+    await store.remove("b");
+    expect(await store.all()).toEqual([{ id: "a", status: "running", attempts: 1 }]);
+  });
+});
+
+test("kv store reports failed requests", async () => {
+  const store = createKvStore({ url: "https://kv.example", token: "wrong", fetch: fakeKvFetch() });
+  await expect(store.all()).rejects.toThrow("unauthorized");
+});
+
+test("createStoreFromEnv needs the KV credentials", () => {
+  expect(() => createStoreFromEnv({ Q2U_QUEUE_STORE: "kv" })).toThrow("KV_REST_API_URL");
+  expect(() => createStoreFromEnv({ Q2U_QUEUE_STORE: "redis" })).toThrow("Unknown Q2U_QUEUE_STORE");
+});
+
+test("createStoreFromEnv refuses the memory store when another process runs the jobs", () => {
+  expect(() => createStoreFromEnv({}, { persistent: true })).toThrow("Q2U_QUEUE_STORE=kv");
+  expect(() => createStoreFromEnv({ Q2U_QUEUE_STORE: "memory" }, { persistent: true })).toThrow("Q2U_QUEUE_STORE=kv");
+  expect(() => createStoreFromEnv({}, { persistent: false })).not.toThrow();
+});
+
+describe.each([
+  ["file", (dir) => `file:${path.join(dir, "jobs.json")}`],
+  ...(hasSqlite ? [["sqlite", (dir) => `sqlite:${path.join(dir, "jobs.db")}`]] : []),
+])("%s store from the environment", (name, setting) => {
+  test("keeps jobs enqueued through one instance for a new one to drain", async () => {
+    const env = { Q2U_QUEUE_STORE: setting(fs.mkdtempSync(path.join(os.tmpdir(), "q2u-"))) };
+    const done = [];
+
+    const webhook = createJobQueue({ store: createStoreFromEnv(env, { persistent: true }), handlers: {}, log });
+    await webhook.enqueue("onboard", { repo: "demo" }, { id: "onboard:octo/demo" });
+
+    const drain = createJobQueue({ store: createStoreFromEnv(env, { persistent: true }), handlers: { onboard: async ({ repo }) => done.push(repo) }, log });
+    expect(await drain.runDue({ deadline: Date.now() + 1000 })).toBe(1);
+    expect(done).toEqual(["demo"]);
+    expect(await drain.pending()).toEqual([]);
+  });
+});
+
+test("jobs enqueued by one process are drained by another", async () => {
+  const fetch = fakeKvFetch();
+  const store = () => createKvStore({ url: "https://kv.example", token: "secret", fetch });
+  const done = [];
+
+  // Webhook function: only stores the job
+  const webhook = createJobQueue({ store: store(), handlers: {}, log });
+  await webhook.enqueue("onboard", { repo: "demo" }, { id: "onboard:octo/demo" });
+
+  // Cron function: a fresh queue over the same store
+  const drain = createJobQueue({ store: store(), handlers: { onboard: async ({ repo }) => done.push(repo) }, log });
+  expect(await drain.runDue({ deadline: Date.now() + 1000 })).toBe(1);
+  expect(done).toEqual(["demo"]);
+  expect(await drain.pending()).toEqual([]);
+});
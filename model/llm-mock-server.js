@@ -0,0 +1,86 @@
+const http = require("http");
+
+/**
+ * 本地 OpenAI 兼容的模拟 LLM 服务，用于离线测试整条 AI 生成链路
+ *
+ * 用法：
+ *   node model/llm-mock-server.js            # 默认监听 11435 端口（MOCK_LLM_PORT 可改）
+ *   LLM_PROVIDER=openai LLM_BASE_URL=http://127.0.0.1:11435/v1 npm start
+ */
+
+/**
+ * 默认回复：pyproject 生成请求原样返回 prompt 中的基础模板，其余请求返回最后一个代码块
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {string}
+ */
+function defaultReply(messages) {
+  const prompt = messages[messages.length - 1]?.content || "";
+
+  const template = prompt.match(/保留以下基本结构[^\n]*\n\n([\s\S]*?)\n\n请直接输出/);
+  if (template) return template[1];
+
+  const blocks = [...prompt.matchAll(/```[a-z]*\n([\s\S]*?)\n```/g)];
+  return blocks.length > 0 ? blocks[blocks.length - 1][1] : "";
+}
+
+/**
+ * 启动模拟服务
+ * @param {object} [options]
+ * @param {number} [options.port=0] - 端口，0 表示随机
+ * @param {Function} [options.reply] - (messages, body) => string | Promise<string>
+ * @returns {Promise<{url: string, requests: object[], close: Function}>}
+ */
+function startMockServer({ port = 0, reply = defaultReply } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== "POST" || !req.url.endsWith("/chat/completions")) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: { message: "not found" } }));
+      return;
+    }
+
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", async () => {
+      try {
+        const body = JSON.parse(raw);
+        requests.push(body);
+        const content = await reply(body.messages || [], body);
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(
+          JSON.stringify({
+            id: `mock-${requests.length}`,
+            object: "chat.completion",
+            model: body.model,
+            choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }],
+          })
+        );
+      } catch (error) {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: { message: error.message } }));
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/v1`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  startMockServer({ port: Number(process.env.MOCK_LLM_PORT) || 11435 }).then(({ url }) => {
+    console.log(`Mock LLM listening on ${url}`);
+  });
+}
+
+module.exports = {
+  startMockServer,
+  defaultReply,
+};
@@ -0,0 +1,119 @@
+/**
+ * LLM 提供方抽象
+ *
+ * 通过环境变量选择：
+ * - LLM_PROVIDER: deepseek（默认）| openai | none
+ * - LLM_MODEL:    模型名，默认 deepseek-chat / gpt-4o-mini
+ * - LLM_BASE_URL: OpenAI 兼容接口地址（如 http://localhost:11434/v1 对应 Ollama，vLLM 同理）
+ * - LLM_API_KEY:  OpenAI 兼容接口的 Key（本地服务可不填）
+ * - DEEPSEEK_API_KEY: DeepSeek 的 Key
+ * - LLM_LOG_PROMPTS: 设为 1 时在日志中记录完整的 prompt 和响应（默认不记录，二者都包含仓库原文）
+ *
+ * 每个提供方都实现 chat(messages, { temperature, maxTokens }) -> Promise<string>。
+ */
+
+const DEEPSEEK_BASE_URL = "https://api.deepseek.com";
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+
+/**
+ * 创建 OpenAI Chat Completions 协议的提供方（DeepSeek 也兼容此协议）
+ * @param {object} options
+ * @param {string} options.name - 提供方名称（用于日志和报错）
+ * @param {string} options.baseUrl - 接口根地址，不含 /chat/completions
+ * @param {string} options.model - 模型名
+ * @param {string} [options.apiKey] - API Key
+ * @returns {{name: string, model: string, enabled: boolean, chat: Function}}
+ */
+function createChatCompletionsProvider({ name, baseUrl, model, apiKey }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name,
+    model,
+    enabled: true,
+    async chat(messages, { temperature = 0.3, maxTokens = 2000 } = {}) {
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+        }),
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`${name} API error: ${response.status} - ${errorText}`);
+      }
+
+      const data = await response.json();
+      const content = data.choices?.[0]?.message?.content;
+      if (typeof content !== "string") {
+        throw new Error(`${name} API error: empty response`);
+      }
+      return content.trim();
+    },
+  };
+}
+
+/**
+ * 不调用任何模型的提供方：createPCbyAI 遇到它会抛出 disabled 错误，调用方按正常的模板生成处理，结果完全确定
+ */
+function createNoAIProvider() {
+  return {
+    name: "none",
+    model: null,
+    enabled: false,
+    async chat() {
+      throw new Error("AI provider is disabled (LLM_PROVIDER=none)");
+    },
+  };
+}
+
+/**
+ * 根据环境变量创建提供方
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - 显式传入的 Key，优先于环境变量
+ * @param {object} [options.env] - 环境变量（默认 process.env）
+ * @returns {{name: string, model: string|null, enabled: boolean, chat: Function}}
+ */
+function createProvider({ apiKey, env = process.env } = {}) {
+  const providerName = (env.LLM_PROVIDER || "deepseek").toLowerCase();
+
+  switch (providerName) {
+    case "deepseek": {
+      const key = apiKey || env.DEEPSEEK_API_KEY;
+      if (!key) {
+        throw new Error("DEEPSEEK_API_KEY is not set");
+      }
+      return createChatCompletionsProvider({
+        name: "DeepSeek",
+        baseUrl: env.LLM_BASE_URL || DEEPSEEK_BASE_URL,
+        model: env.LLM_MODEL || "deepseek-chat",
+        apiKey: key,
+      });
+    }
+    case "openai":
+      return createChatCompletionsProvider({
+        name: "OpenAI-compatible",
+        baseUrl: env.LLM_BASE_URL || OPENAI_BASE_URL,
+        model: env.LLM_MODEL || "gpt-4o-mini",
+        apiKey: apiKey || env.LLM_API_KEY,
+      });
+    case "none":
+      return createNoAIProvider();
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${providerName}`);
+  }
+}
+
+module.exports = {
+  createProvider,
+  createChatCompletionsProvider,
+  createNoAIProvider,
+};
@@ -0,0 +1,198 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { pathToFileURL } = require("url");
+const { execFileSync } = require("child_process");
+const { ProbotOctokit } = require("probot");
+
+/**
+ * 本地预览用的 octokit：把生成流程用到的只读 API 映射到本地目录，不访问 GitHub
+ *
+ * 基于 ProbotOctokit，只替换底层请求，因此 config.get（含组织 .github 仓库回退）、paginate 等行为与线上一致。
+ * 支持的请求：
+ * - GET /repos/{owner}/{repo}：仓库信息（默认分支取当前分支，clone_url 指向本地目录）
+ * - GET /repos/{owner}/{repo}/contents/{path}：文件（含 raw 格式）和目录
+ * - GET /repos/{owner}/{repo}/git/trees/{sha}、/git/blobs/{sha}：文件树和文件内容，sha 与 git 的 blob sha 一致
+ * - GET /repos/{owner}/{repo}/releases/latest：最近的 Git 标签
+ * 其他 GET 请求（包括其他仓库）返回 404，写操作直接报错。
+ * 是 Git 仓库时文件列表取 `git ls-files`（含未跟踪但未被忽略的文件），否则遍历目录并跳过 SKIP_DIRS。
+ */
+
+const SKIP_DIRS = new Set([".git", "node_modules", ".venv", "venv", "__pycache__", ".tox", ".mypy_cache", ".pytest_cache"]);
+
+/**
+ * 在目录中执行 git 命令，失败（不是 Git 仓库、没有标签等）时返回 null
+ * @param {string} rootDir
+ * @param {string[]} args
+ * @returns {string|null}
+ */
+function gitOutput(rootDir, args) {
+  try {
+    return execFileSync("git", ["-C", rootDir, ...args], { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"], timeout: 30000 });
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 与 `git hash-object` 相同的 blob sha
+ * @param {Buffer} content
+ * @returns {string}
+ */
+function blobSha(content) {
+  return crypto.createHash("sha1").update(`blob ${content.length}\0`).update(content).digest("hex");
+}
+
+/**
+ * 列出目录下的所有文件（相对路径，/ 分隔）
+ * @param {string} rootDir
+ * @returns {string[]}
+ */
+function listFiles(rootDir) {
+  const tracked = gitOutput(rootDir, ["ls-files", "-z", "--cached", "--others", "--exclude-standard"]);
+  if (tracked !== null) {
+    // 已删除但尚未提交的文件仍在索引中
+    return [...new Set(tracked.split("\0").filter(Boolean))].filter((file) => fs.statSync(path.join(rootDir, file), { throwIfNoEntry: false })?.isFile()).sort();
+  }
+
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(path.join(rootDir, dir), { withFileTypes: true })) {
+      const relative = dir ? `${dir}/${entry.name}` : entry.name;
+      if (entry.isDirectory() && !SKIP_DIRS.has(entry.name)) walk(relative);
+      else if (entry.isFile()) files.push(relative);
+    }
+  };
+  walk("");
+  return files.sort();
+}
+
+/**
+ * 构造 404 错误（与 @octokit/request-error 一样带 status）
+ * @param {string} url
+ * @returns {Error}
+ */
+function notFound(url) {
+  const error = new Error(`Not Found: ${url}`);
+  error.status = 404;
+  return error;
+}
+
+/**
+ * 创建映射到本地目录的 octokit
+ * @param {string} rootDir - 本地仓库目录
+ * @param {object} [options]
+ * @param {string} [options.owner="local"] - 假定的仓库所有者（影响 PR 说明和包名检查）
+ * @param {string} [options.repo] - 假定的仓库名，默认为目录名
+ * @param {object} [options.log] - ProbotOctokit 使用的日志对象
+ * @returns {{octokit: object, owner: string, repo: string}}
+ */
+function createLocalOctokit(rootDir, { owner = "local", repo = path.basename(path.resolve(rootDir)), log } = {}) {
+  const root = path.resolve(rootDir);
+  const isGitRepo = gitOutput(root, ["rev-parse", "--is-inside-work-tree"]) !== null;
+  let files = null; // 相对路径 -> {sha, size}，首次使用时生成
+  let shaToPath = null;
+
+  const fileIndex = () => {
+    if (!files) {
+      files = new Map();
+      shaToPath = new Map();
+      for (const file of listFiles(root)) {
+        const content = fs.readFileSync(path.join(root, file));
+        const sha = blobSha(content);
+        files.set(file, { sha, size: content.length });
+        shaToPath.set(sha, file);
+      }
+    }
+    return files;
+  };
+
+  const readFile = (file) => fs.readFileSync(path.join(root, file));
+
+  const routes = {
+    "GET /repos/{owner}/{repo}": () => ({
+      name: repo,
+      full_name: `${owner}/${repo}`,
+      owner: { login: owner, type: "User" },
+      private: false,
+      html_url: `https://github.com/${owner}/${repo}`,
+      description: null,
+      topics: [],
+      license: null,
+      default_branch: (isGitRepo && gitOutput(root, ["rev-parse", "--abbrev-ref", "HEAD"])?.trim()) || "main",
+      clone_url: isGitRepo ? pathToFileURL(root).href : "",
+    }),
+
+    "GET /repos/{owner}/{repo}/contents/{path}": (params, mediaType) => {
+      const target = String(params.path || "").replace(/^\/+|\/+$/g, "");
+      const entry = fileIndex().get(target);
+      if (entry) {
+        const content = readFile(target);
+        if (mediaType.format === "raw") return content.toString("utf8");
+        return { type: "file", name: path.posix.basename(target), path: target, sha: entry.sha, size: entry.size, encoding: "base64", content: content.toString("base64") };
+      }
+
+      // 目录：列出直接子项
+      const prefix = target ? `${target}/` : "";
+      const children = new Map();
+      for (const [file, { sha, size }] of fileIndex()) {
+        if (!file.startsWith(prefix)) continue;
+        const [name, ...rest] = file.slice(prefix.length).split("/");
+        if (!children.has(name)) {
+          children.set(name, rest.length > 0 ? { type: "dir", name, path: `${prefix}${name}`, sha: null, size: 0 } : { type: "file", name, path: file, sha, size });
+        }
+      }
+      if (children.size === 0) return null;
+      return [...children.values()];
+    },
+
+    "GET /repos/{owner}/{repo}/git/trees/{tree_sha}": () => {
+      const dirs = new Set();
+      const tree = [];
+      for (const [file, { sha, size }] of fileIndex()) {
+        const parts = file.split("/");
+        for (let i = 1; i < parts.length; i++) {
+          const dir = parts.slice(0, i).join("/");
+          if (!dirs.has(dir)) {
+            dirs.add(dir);
+            tree.push({ path: dir, mode: "040000", type: "tree", sha: null });
+          }
+        }
+        tree.push({ path: file, mode: "100644", type: "blob", sha, size });
+      }
+      return { sha: "local", truncated: false, tree };
+    },
+
+    "GET /repos/{owner}/{repo}/git/blobs/{file_sha}": (params) => {
+      fileIndex();
+      const file = shaToPath.get(params.file_sha);
+      if (!file) return null;
+      const content = readFile(file);
+      return { sha: params.file_sha, size: content.length, encoding: "base64", content: content.toString("base64") };
+    },
+
+    "GET /repos/{owner}/{repo}/releases/latest": () => {
+      const tag = isGitRepo && gitOutput(root, ["describe", "--tags", "--abbrev=0"])?.trim();
+      return tag ? { tag_name: tag, name: tag, draft: false, prerelease: false } : null;
+    },
+  };
+
+  const octokit = new ProbotOctokit({ ...(log && { log }) });
+  octokit.hook.wrap("request", async (request, options) => {
+    const { method, url, mediaType = {}, ...params } = options;
+    if (method !== "GET") throw new Error(`本地预览不支持写操作：${method} ${url}`);
+
+    const route = routes[`${method} ${url}`];
+    const data = route && params.owner === owner && params.repo === repo ? route(params, mediaType) : null;
+    if (data === null || data === undefined) throw notFound(url);
+    return { status: 200, url, headers: {}, data };
+  });
+
+  return { octokit, owner, repo };
+}
+
+module.exports = {
+  createLocalOctokit,
+  blobSha,
+  listFiles,
+};
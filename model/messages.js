@@ -0,0 +1,580 @@
+/**
+ * 多语言文案
+ *
+ * PR 说明之外，合并与迁移说明、依赖提取说明、校验器的修正原因、入口包装的拒绝原因、
+ * Check Run、接入失败的 issue 和 /q2u 命令回复也都使用这里的文案。生成流程中的模块
+ * 不关心语言，只返回 note(key, vars)；输出时由调用方按仓库语言用 localize 渲染。
+ * 文案中的 {{变量名}} 统一由 renderTemplate 替换。
+ */
+
+const LOCALES = ["zh-CN", "en"];
+const DEFAULT_LOCALE = "zh-CN";
+
+const MESSAGES = {
+  "zh-CN": {
+    // PR 标题与说明中的可选段落
+    title: "一键接入 uvx 生态、优化发布流程",
+    aiWarning: "(**⚠️ 注意**: AI 失效，请重点手动修改。)",
+    entryFileNote:
+      "\n> 📝 已自动为 `{{path}}` 添加入口函数包装（只把顶层入口逻辑移入函数，其余代码未改动），请检查是否正确：\n\n<details><summary>`{{path}}` 改动预览</summary>\n\n````diff\n{{diff}}\n````\n\n</details>\n",
+    entryFileSkipped: "\n> ⚠️ `{{path}}` 没有入口函数，但无法安全地自动包装（{{reason}}），请手动添加 `main()` 函数并设置 `[project.scripts]`。\n",
+    correctionsNote: "\n> 🔧 以下字段已由校验器自动修正，请复核：\n\n{{list}}\n",
+    mergeNote: "\n> 🔀 仓库已有 `pyproject.toml`，已在其基础上合并（原有 `[tool.*]` 配置和注释均保留）：\n\n{{list}}\n",
+    lockFileNote: "\n> 🗑️ 以下旧锁文件已不再使用，请在此 PR 中删除，之后由 `uv lock` 生成的 `uv.lock` 取代：\n\n{{list}}\n",
+    verificationPassed: "\n> ✅ 已在 bot 端通过 `uv lock` 和 `uv build` 验证，并提交了 `uv.lock`。\n",
+    verificationFailed:
+      "\n> ❌ bot 端构建验证在 `{{step}}` 步骤失败，{{lockNote}}请根据日志修改 `pyproject.toml`：\n\n<details><summary>构建日志</summary>\n\n````text\n{{log}}\n````\n\n</details>\n",
+    verificationLockCommitted: "`uv.lock` 已生成并提交，",
+    publishStep:
+      "2.  **{{label}}设置**: [登入 {{label}}](https://{{host}}/manage/projects/)（没有时请自行注册），然后[点击此处进行 {{labelLower}} 授权信任 GitHub Actions 发布](https://{{host}}/manage/account/publishing/)，填写以下信息：\n    - **PyPI Project Name**: `{{packageName}}`\n    - **Owner**: `{{owner}}`\n    - **Repository name**: `{{repoName}}`\n    - **Workflow name**: `{{workflowName}}`",
+    pypiLabel: "PYPI",
+    nameRenamed:
+      "\n> 🏷️ `{{requested}}` 在 {{label}} 上已被其他项目占用，已改用 `{{name}}` 作为包名（`[project].name` 和下方的可信发布设置均已使用新名字）。如需其他名字，请在 `.github/quick2uv.yml` 中设置 `package-name`。\n",
+    nameTaken: "\n> ⚠️ `{{name}}` 在 {{label}} 上已被其他项目占用，且没有找到可用的备选名，发布会失败。请在 `.github/quick2uv.yml` 中设置 `package-name`。\n",
+    nameTakenWithAlternatives:
+      "\n> ⚠️ `{{name}}` 在 {{label}} 上已被其他项目占用，发布会失败。可改用 {{alternatives}}：在 `.github/quick2uv.yml` 中修改 `package-name`。\n",
+    nameUnchecked: "\n> ❔ 无法确认 `{{name}}` 在 {{label}} 上是否可用，请在设置可信发布前先搜索确认。\n",
+    publishDisabled: "2.  **发布设置**: 已按配置关闭发布（`publish: none`），工作流只会构建，不会上传。",
+    workflowNote: "推送标签后，`{{workflowName}}` 工作流会：\n\n{{list}}",
+    workflowVersionCheck: "- 检查推送的标签与 `pyproject.toml` 中的 version（当前为 `{{version}}`）一致，不一致时停止发布；发布新版本前请先修改 version",
+    workflowVcsVersion: "- 由 hatch-vcs 根据推送的标签生成版本号，无需修改 `pyproject.toml`",
+    workflowBuiltVersionCheck: "- 构建后检查推送的标签与构建出的版本号一致，不一致时停止发布；发布新版本前请先更新版本号",
+    workflowTests: "- 在 Python {{versions}} 上运行 `uv run pytest`",
+    workflowBuild: "- 用 `uv build` 构建 wheel 和 sdist",
+    workflowSmoke: "- 冒烟测试 `uvx --from dist/*.whl {{script}} --help`",
+    workflowPublish: "- 发布到 {{label}}",
+    workflowPrerelease:
+      "- `-rc` 预发布标签（如 `{{tag}}`）只发布到 TestPyPI，需要在 [TestPyPI](https://test.pypi.org/manage/account/publishing/) 上同样添加可信发布",
+    workflowRelease: "- 创建 GitHub Release 并附上 wheel 和 sdist",
+    releaseIntro: "今后可以通过推送 Git 标签轻松发布新版本：",
+    releaseIntroBump: "今后发布新版本时，先把 `pyproject.toml` 中的 `[project].version`（当前为 `{{version}}`，该版本的标签已存在）改为新版本号并提交，例如 `{{next}}`，再推送对应的 Git 标签：",
+    releaseIntroBumpDynamic: "今后发布新版本时，先更新版本号并提交，再推送对应的 Git 标签：",
+    listSeparator: "、",
+    yes: "是",
+    no: "否",
+
+    // pyproject.toml 合并（pyproject-merge、poetry-migration、pdm-migration）
+    "merge.generatedUnparsable": "生成的 pyproject.toml 无法解析，保留原文件：{{error}}",
+    "merge.existingUnparsable": "原有 pyproject.toml 无法解析，已整体替换：{{error}}",
+    "merge.invalid": "与原有 pyproject.toml 合并失败，已整体替换：{{errors}}",
+    "merge.migrated": "已将 `[tool.{{tool}}]` 中的 {{label}} 配置迁移为 PEP 621 / uv 配置",
+    "merge.fieldsAdded": "补充了 `[project]` 缺失的字段：{{fields}}",
+    "merge.backendReplaced": "构建后端 `{{from}}` 已替换为 `{{to}}`",
+    "merge.backendAdded": "添加了构建后端 `{{to}}`",
+    "merge.versionFromFile": "动态版本号改由 hatchling 从 `{{path}}` 读取（`[tool.hatch.version]`）",
+    "merge.versionFromVcs": "动态版本号改由 hatch-vcs 根据 Git 标签生成",
+    "merge.readmeFromFile": "动态的 readme 改为 `[project].readme = \"{{path}}\"`",
+    "merge.backendKept": "`[project].dynamic` 中的 {{fields}} 无法迁移到 hatchling，保留构建后端 `{{backend}}`",
+    "poetry.pythonMarker": "{{name}}: 无法转换 python 约束 `{{constraint}}`",
+    "poetry.versionDropped": "{{name}}: 无法转换版本约束 `{{constraint}}`，已去掉版本限制",
+    "poetry.pythonConstraint": "python: 无法转换约束 `{{constraint}}`",
+    "poetry.scriptSkipped": '脚本 `{{name}}` 不是 模块名:函数名 形式（如 type = "file"），未迁移',
+    "poetry.hatchInclude": "hatch 的 `include` 会限定 wheel 中的文件，请确认 `[tool.hatch.build.targets.wheel]` 包含了全部源码",
+    "poetry.sourceWithoutUrl": "源 `{{name}}` 没有 url，未迁移",
+    "poetry.unhandledKeys": "以下 `[tool.poetry]` 配置没有对应项，已移除：{{keys}}",
+    "pdm.devDependencySkipped": "开发依赖 `{{requirement}}` 无法解析，未迁移",
+    "pdm.insecureSource": "源 `{{name}}` 关闭了 SSL 校验，uv 需要通过 `--allow-insecure-host` 另行配置",
+    "pdm.sourceIncludes": "`source-includes` 只影响 sdist，hatch 的 sdist 默认包含仓库中所有未被忽略的文件，已不再需要",
+    "pdm.versionSource": "`[tool.pdm.version]` 的 source = `{{source}}` 没有对应项，请手动设置版本号",
+    "pdm.scriptsKept": "`[tool.pdm.scripts]` 是 PDM 的任务脚本，uv 没有对应功能，已原样保留",
+
+    // 依赖提取（dependency-converter）
+    "dependency.fileMissing": "{{file}} 未找到，已跳过",
+    "dependency.localEditable": "{{file}}: 忽略本地可编辑安装 `{{line}}`",
+    "dependency.unknownName": "{{file}}: 无法确定 `{{line}}` 的包名，请手动添加",
+    "dependency.optionIgnored": "{{file}}: 忽略选项 `{{line}}`",
+    "dependency.pipfileInvalid": "Pipfile 解析失败：{{error}}",
+    "dependency.pipfileLocalPath": "Pipfile: 忽略本地路径依赖 `{{name}}`",
+    "dependency.setupPyConcatenated": "setup.py: install_requires 在列表之外还拼接了其他内容，只提取了列表中的依赖，请手动补充",
+    "dependency.setupPyVariable": "setup.py: install_requires 来自变量 `{{variable}}`，无法静态解析",
+    "dependency.setupPyNotList": "setup.py: install_requires 不是字符串列表，无法静态解析，请手动添加依赖",
+    "dependency.setupPyExtras": "setup.py: extras_require 不是由字符串列表组成的字典，无法静态解析，请手动添加可选依赖",
+
+    // 校验器（pyproject-validator）与生成策略（generation-policy）
+    "validation.tomlSyntax": "TOML 语法错误：{{error}}",
+    "validation.missingProject": "缺少 [project] 表",
+    "validation.invalidName": "project.name 无效：{{value}}",
+    "validation.notTable": "project.{{table}} 必须是表",
+    "validation.invalidEntryPoint": "project.{{table}}.{{name}} 入口点格式错误：{{value}}",
+    "validation.repairFailed": "自动修正后 TOML 无法解析：{{error}}",
+    "correction.projectName": "项目名只能包含字母、数字、. _ -，且首尾为字母或数字",
+    "correction.version": "不是合法的 PEP 440 版本号",
+    "correction.versionNormalized": "按 PEP 440 规范化",
+    "correction.requiresPython": "不是合法的版本约束",
+    "correction.dependencies": "移除不符合 PEP 508 的依赖项",
+    "correction.entryPoint": "入口点格式应为 模块名:函数名",
+    "correction.relativePaths": "只能包含仓库内的相对路径",
+    "correction.buildSystem": "缺少构建后端配置",
+    "correction.noEvidence": "仓库文件中没有依据：{{reason}}",
+    "correction.item": "- `{{field}}`：{{change}}（{{reason}}）",
+    "correction.removed": "已移除 `{{value}}`",
+    "policy.directReference": "直接引用的地址没有出现在依赖声明文件中",
+    "policy.unknownPackage": "依赖声明文件和源码导入中都没有这个包",
+    "policy.foreignUrl": "不是本仓库或本项目域名下的地址，也没有出现在依赖声明文件中",
+    "policy.unknownIndex": "包索引地址没有出现在依赖声明文件中",
+    "policy.unknownSource": "依赖来源地址没有出现在依赖声明文件中",
+    "policy.unknownEntry": "入口分析没有找到它，仓库中也没有定义该函数的模块",
+
+    // 入口识别（entry-analyzer）与入口包装（entry-wrapper）
+    "entry.evidence.declared": "{{file}} 的 {{table}} 声明了 {{name}}",
+    "entry.evidence.click": "{{location}} 使用 @{{decorator}} 装饰",
+    "entry.evidence.defines": "{{location}} 定义了 {{name}}()",
+    "entry.evidence.typer": "{{location}} 创建了 typer.Typer() 应用",
+    "entry.evidence.parser": "{{location}} {{name}}() 中使用 {{parser}}",
+    "entry.evidence.mainCall": "{{location}} 的 __main__ 块调用 {{name}}()",
+    "entry.evidence.inlineMain": "{{location}} 的 __main__ 块直接包含入口逻辑，需要包装为 main() 函数",
+    "entry.evidence.topLevel": "{{location}} 起直接在顶层执行入口逻辑，需要包装为 main() 函数",
+    "entry.unclosedString": "第 {{line}} 行有未闭合的字符串",
+    "entry.unclosedStringAtEnd": "文件末尾有未闭合的字符串",
+    "entry.unclosedBracket": "文件末尾有未闭合的括号",
+    "entry.nameTaken": "文件中已有名为 {{name}} 的定义",
+    "entry.multipleGuards": "文件中有多个 __main__ 块",
+    "entry.inlineGuard": "__main__ 块写在同一行，无法安全改写",
+    "entry.guardElse": "__main__ 块带有 else / elif 分支",
+    "entry.nothingToWrap": "没有需要包装的顶层语句",
+    "entry.codeBeforeDefinitions": "第 {{line}} 行的顶层语句之后还有 import / def / class，包装后执行顺序会改变",
+    "entry.tabs": "包装区域使用制表符缩进",
+    "entry.sharedVariablesInGuard": "模块级变量 {{names}} 在 __main__ 块中赋值、又被函数或其他代码使用",
+    "entry.sharedVariables": "模块级变量 {{names}} 在顶层语句中赋值、又被函数或其他代码使用",
+    "entry.returnAtTopLevel": "顶层语句中有 return / yield",
+
+    // 元数据推断（project-metadata）
+    "metadata.feature.walrus": "海象运算符 `:=`",
+    "metadata.feature.match": "match 语句",
+    "metadata.feature.unionAnnotation": "`X | Y` 联合类型注解",
+    "metadata.syntax": "`{{file}}` 第 {{line}} 行使用了{{feature}}（需要 {{version}}+）",
+    "metadata.declared": "打包配置中声明了 `{{specifier}}`",
+    "metadata.declaredTooLow": "声明的版本要求允许 {{allowed}}，但{{syntax}}",
+    "metadata.versions": "`{{file}}`：{{versions}}",
+    "metadata.toxVersions": "`tox.ini` 的 envlist：{{versions}}",
+    "metadata.ciVersions": "CI 矩阵（`{{file}}`）：{{versions}}",
+    "metadata.testedTooLow": "测试的最低版本是 {{minimum}}，但{{syntax}}，已按 {{version}} 填写",
+    "metadata.pinnedTooLow": "指定的最低版本是 {{minimum}}，但{{syntax}}，已按 {{version}} 填写",
+    "metadata.defaultPython": "没有找到版本依据，使用默认的 {{version}}",
+    "metadata.licenseApi": "GitHub 许可证 API 识别为 `{{spdxId}}`",
+    "metadata.licenseApiFile": "GitHub 许可证 API 识别为 `{{spdxId}}`（`{{file}}`）",
+    "metadata.licenseAmbiguous": "GitHub 识别为 `{{spdxId}}`，无法区分 -only 和 -or-later，已按 `{{expression}}` 填写，请确认",
+    "metadata.noLicenseFile": "仓库中没有许可证文件",
+    "metadata.licenseText": "按 `{{file}}` 的正文识别为 `{{id}}`",
+    "metadata.licenseUnmatched": "找到 {{files}}，但正文与常见许可证都不匹配",
+    "metadata.licenseUnknown": "无法识别 {{files}} 的许可证类型，请在 [project] 中填写 license（SPDX 表达式）",
+    "metadata.dualLicense": "发现多个许可证，已按双重许可填写为 `{{expression}}`，请确认",
+
+    // 构建验证（uv-verifier）
+    "verify.failed": "`{{command}}` 失败：{{reason}}",
+    "verify.timeout": "超时（{{timeout}}ms）",
+    "verify.notFound": "命令不存在",
+    "verify.exitCode": "退出码 {{code}}",
+    "verify.outsidePath": "拒绝写入仓库外的路径：{{path}}",
+    "verify.truncated": "...（省略前 {{count}} 行）",
+
+    // 仓库配置（repo-config）
+    "config.errors": "⚠️ `{{path}}` 中有以下问题，相关配置已改用默认值：\n\n{{list}}",
+    "config.unreadable": "无法读取 `{{path}}`：{{error}}",
+    "config.notMapping": "`{{path}}` 的顶层应为键值映射",
+    "config.unknownKey": "未知配置项 `{{key}}`",
+    "config.invalidValue": "`{{key}}`：{{error}}",
+    "config.oneOf": "应为 {{values}} 之一",
+    "config.specifier": '不是合法的版本约束，例如 ">=3.9"',
+    "config.projectName": "只能包含字母、数字、. _ -，且首尾为字母或数字",
+    "config.entryPoints": "应为 命令名: 模块名:函数名 的映射",
+    "config.entryPoint": "`{{name}}: {{target}}` 格式错误，应为 命令名: 模块名:函数名",
+    "config.pathList": "应为路径列表",
+    "config.pathOutside": "`{{path}}` 不是仓库内的相对路径",
+    "config.boolean": "应为 true 或 false",
+    "config.branchPrefix": "不是合法的分支名前缀",
+    "config.singleLine": "应为单行文本",
+    "config.tagPattern": '应为 GitHub Actions 的标签通配符，例如 "v*.*.*"',
+    "config.vcsNeedsHatchling": "`version-source: vcs` 需要 `backend: hatchling`",
+    "config.includeNeedsBackend": "`include` 需要 `backend: hatchling` 或 `backend: pdm`",
+    "config.backendFallback": "`backend: {{backend}}`：{{error}}，已改用 hatchling",
+    "config.setuptoolsInclude": "setuptools 没有与 include 对应的 wheel 配置",
+    "config.setuptoolsRoots": "setuptools 的包查找只支持一个根目录",
+    "config.flitInclude": "flit 没有与 include 对应的 wheel 配置",
+    "config.flitPackages": "flit 只能打包一个顶层包",
+
+    // Check Run（check-report）
+    "check.titleSuccess": "pyproject.toml 已生成",
+    "check.titleNeutral": "pyproject.toml 已生成，{{count}} 处需要复核",
+    "check.titleFailure": "pyproject.toml 构建验证失败",
+    "check.tableHeader": "| 阶段 | 结果 | 说明 |",
+    "check.separator": "，",
+    "check.clauseSeparator": "；",
+    "check.stage.scan": "文件扫描",
+    "check.stage.dependencies": "依赖提取",
+    "check.stage.entry": "入口识别",
+    "check.stage.metadata": "元数据推断",
+    "check.stage.ai": "AI 生成",
+    "check.stage.validation": "校验",
+    "check.fileCount": "{{count}} 个文件",
+    "check.truncated": "文件树过大，部分文件逐个读取",
+    "check.srcLayout": "src 布局",
+    "check.packages": "包：{{packages}}",
+    "check.noPackages": "未发现包目录",
+    "check.dependencies": "从 {{sources}} 提取 {{count}} 个依赖",
+    "check.dependencyNotes": "{{count}} 条需要注意",
+    "check.noDependencyFiles": "未发现依赖声明文件",
+    "check.entry": '`{{name}} = "{{target}}"`（得分 {{score}}）',
+    "check.noEntry": "未找到入口，[project.scripts] 需要手动填写",
+    "check.entryWrapped": "已为 `{{path}}` 添加 main() 包装",
+    "check.entrySkipped": "`{{path}}` 无法自动包装：{{reason}}",
+    "check.requiresPython": "requires-python `{{specifier}}`",
+    "check.requiresPythonDefault": "requires-python `{{specifier}}`（默认值）",
+    "check.license": "许可证 `{{expression}}`",
+    "check.noLicense": "未识别许可证",
+    "check.usedAI": "由 AI 生成",
+    "check.fallback": "回退到模板生成",
+    "check.aiDisabled": "未启用 AI（`LLM_PROVIDER=none`），由模板生成",
+    "check.fallbackError": "回退到模板生成：{{error}}",
+    "check.corrected": "自动修正 {{count}} 处",
+    "check.stepFailed": "`{{step}}` 失败",
+    "check.passed": "通过",
+    "check.verified": "`uv lock` 和 `uv build` 通过",
+    "check.templateTitle": "模板生成",
+    "check.templateMessage": "AI 生成失败，此文件由模板生成，description、依赖等字段请重点复核",
+    "check.correctedTitle": "已自动修正 {{field}}",
+    "check.correctedMessage": "{{reason}}：{{from}} → {{to}}",
+    "check.removed": "已移除",
+    "check.dependencyNotesTitle": "依赖需要确认",
+    "check.requiresPythonEvidence": "requires-python 的依据",
+    "check.requiresPythonWarning": "requires-python 需要确认",
+    "check.licenseEvidence": "许可证的依据",
+    "check.licenseWarning": "许可证需要确认",
+    "check.entryUnsupportedTitle": "入口点缺少依据",
+    "check.entryUnsupported": "源码分析没有找到 {{target}} 作为入口的证据，请确认该函数存在",
+    "check.entryInferredTitle": "入口点由静态分析推断",
+    "check.todoTitle": "待填写",
+
+    // 接入失败时开的 issue
+    "failure.title": "quick2uv 接入失败",
+    "failure.body":
+      "quick2uv 在为此仓库生成 uv 接入 PR 时失败：\n\n| 项目 | 值 |\n| --- | --- |\n| 阶段 | `{{stage}}` |\n| 分支已回滚 | {{rolledBack}} |\n| 尝试次数 | {{attempts}} |\n| HTTP 状态 | {{status}} |\n\n```text\n{{error}}\n```\n\n修复问题后，可在 GitHub App 设置中移除并重新添加此仓库以重试。",
+
+    // /q2u 命令（chatops）
+    "chatops.usage":
+      "可用命令：\n- `{{prefix}} regenerate`：重新调用 AI 生成 `pyproject.toml`\n- `{{prefix}} entry 模块名:函数名`（或 `命令名=模块名:函数名`）：重写 `[project.scripts]`\n- `{{prefix}} include 路径或通配符 ...`：追加到 wheel 的 include 列表（hatchling 的 `[tool.hatch.build.targets.wheel]` 或 pdm 的 `[tool.pdm.build]`）",
+    "chatops.unknownCommand": "未知命令\n\n{{usage}}",
+    "chatops.invalidEntryPoint": "入口点格式错误：`{{target}}`，应为 `模块名:函数名`",
+    "chatops.invalidScriptName": "命令名无效：`{{name}}`",
+    "chatops.includeMissing": "请至少提供一个路径，例如 `{{prefix}} include mypkg/**`",
+    "chatops.includeOutside": "include 路径必须是仓库内的相对路径：`{{pattern}}`",
+    "chatops.includeUnsupported": "构建后端 `{{backend}}` 没有对应的 include 配置，请直接修改 `pyproject.toml`",
+    "chatops.succeeded": "- ✅ `{{command}}`",
+    "chatops.failed": "- ❌ `{{command}}`：{{error}}",
+    "chatops.corrections": "#### 校验器自动修正\n\n{{list}}",
+    "chatops.diff": "#### `pyproject.toml` 改动\n\n{{diff}}",
+    "diff.none": "_无改动_",
+    "diff.omitted": "# ... 其余 {{count}} 行改动省略",
+  },
+  en: {
+    title: "Set up uv packaging and PyPI publishing",
+    aiWarning: "(**⚠️ Note**: AI generation failed, please review carefully.)",
+    entryFileNote:
+      "\n> 📝 A `main()` entry wrapper was added to `{{path}}` (only the top-level entry logic moved into the function; nothing else changed), please check it:\n\n<details><summary>`{{path}}` diff preview</summary>\n\n````diff\n{{diff}}\n````\n\n</details>\n",
+    entryFileSkipped: "\n> ⚠️ `{{path}}` has no entry function and could not be wrapped safely ({{reason}}). Please add a `main()` function and set `[project.scripts]` by hand.\n",
+    correctionsNote: "\n> 🔧 The validator corrected these fields automatically, please review:\n\n{{list}}\n",
+    mergeNote: "\n> 🔀 The existing `pyproject.toml` was merged rather than replaced (your `[tool.*]` settings and comments are kept):\n\n{{list}}\n",
+    lockFileNote: "\n> 🗑️ These lock files are no longer used; please delete them in this PR. `uv.lock` from `uv lock` replaces them:\n\n{{list}}\n",
+    verificationPassed: "\n> ✅ `uv lock` and `uv build` succeeded on the bot side, and `uv.lock` is committed.\n",
+    verificationFailed:
+      "\n> ❌ The bot-side build check failed at `{{step}}`. {{lockNote}}Please fix `pyproject.toml` based on the log:\n\n<details><summary>Build log</summary>\n\n````text\n{{log}}\n````\n\n</details>\n",
+    verificationLockCommitted: "`uv.lock` was generated and committed. ",
+    publishStep:
+      "2.  **{{label}} setup**: [Sign in to {{label}}](https://{{host}}/manage/projects/) (register if needed), then [add a trusted publisher for GitHub Actions](https://{{host}}/manage/account/publishing/) with:\n    - **PyPI Project Name**: `{{packageName}}`\n    - **Owner**: `{{owner}}`\n    - **Repository name**: `{{repoName}}`\n    - **Workflow name**: `{{workflowName}}`",
+    pypiLabel: "PyPI",
+    nameRenamed:
+      "\n> 🏷️ `{{requested}}` is already taken by another project on {{label}}, so `{{name}}` is used as the package name (in `[project].name` and the trusted publisher settings below). To pick another name, set `package-name` in `.github/quick2uv.yml`.\n",
+    nameTaken: "\n> ⚠️ `{{name}}` is already taken by another project on {{label}} and no free alternative was found, so publishing will fail. Please set `package-name` in `.github/quick2uv.yml`.\n",
+    nameTakenWithAlternatives:
+      "\n> ⚠️ `{{name}}` is already taken by another project on {{label}}, so publishing will fail. {{alternatives}} is free: change `package-name` in `.github/quick2uv.yml`.\n",
+    nameUnchecked: "\n> ❔ Could not check whether `{{name}}` is free on {{label}}; please search for it before adding the trusted publisher.\n",
+    publishDisabled: "2.  **Publishing**: disabled by config (`publish: none`); the workflow only builds and never uploads.",
+    workflowNote: "After a tag is pushed, the `{{workflowName}}` workflow will:\n\n{{list}}",
+    workflowVersionCheck: "- check that the pushed tag matches the version in `pyproject.toml` (currently `{{version}}`) and stop otherwise; bump the version before tagging a new release",
+    workflowVcsVersion: "- derive the version from the pushed tag with hatch-vcs, so `pyproject.toml` never needs a version bump",
+    workflowBuiltVersionCheck: "- check after building that the pushed tag matches the built version and stop otherwise; bump the version before tagging a new release",
+    workflowTests: "- run `uv run pytest` on Python {{versions}}",
+    workflowBuild: "- build the wheel and sdist with `uv build`",
+    workflowSmoke: "- smoke test `uvx --from dist/*.whl {{script}} --help`",
+    workflowPublish: "- publish to {{label}}",
+    workflowPrerelease:
+      "- publish `-rc` pre-release tags (e.g. `{{tag}}`) to TestPyPI only; add the same trusted publisher on [TestPyPI](https://test.pypi.org/manage/account/publishing/)",
+    workflowRelease: "- create a GitHub Release with the wheel and sdist attached",
+    releaseIntro: "Publish a new version by pushing a Git tag:",
+    releaseIntroBump: "To publish a new version, first change `[project].version` in `pyproject.toml` (currently `{{version}}`, which is already tagged) to the new version and commit it, e.g. `{{next}}`, then push the matching Git tag:",
+    releaseIntroBumpDynamic: "To publish a new version, first bump the version and commit it, then push the matching Git tag:",
+    listSeparator: ", ",
+    yes: "yes",
+    no: "no",
+
+    "merge.generatedUnparsable": "The generated pyproject.toml could not be parsed, so the existing file was kept: {{error}}",
+    "merge.existingUnparsable": "The existing pyproject.toml could not be parsed and was replaced: {{error}}",
+    "merge.invalid": "Merging with the existing pyproject.toml failed, so it was replaced: {{errors}}",
+    "merge.migrated": "Migrated the {{label}} settings in `[tool.{{tool}}]` to PEP 621 / uv settings",
+    "merge.fieldsAdded": "Added the missing `[project]` fields {{fields}}",
+    "merge.backendReplaced": "Replaced the build backend `{{from}}` with `{{to}}`",
+    "merge.backendAdded": "Added the build backend `{{to}}`",
+    "merge.versionFromFile": "hatchling now reads the dynamic version from `{{path}}` (`[tool.hatch.version]`)",
+    "merge.versionFromVcs": "hatch-vcs now derives the dynamic version from Git tags",
+    "merge.readmeFromFile": "The dynamic readme is now `[project].readme = \"{{path}}\"`",
+    "merge.backendKept": "{{fields}} in `[project].dynamic` cannot be migrated to hatchling, so the build backend `{{backend}}` was kept",
+    "poetry.pythonMarker": "{{name}}: could not convert the python constraint `{{constraint}}`",
+    "poetry.versionDropped": "{{name}}: could not convert the version constraint `{{constraint}}`, so it was dropped",
+    "poetry.pythonConstraint": "python: could not convert the constraint `{{constraint}}`",
+    "poetry.scriptSkipped": 'Script `{{name}}` is not in module:function form (e.g. type = "file") and was not migrated',
+    "poetry.hatchInclude": "hatch's `include` limits the files in the wheel; check that `[tool.hatch.build.targets.wheel]` covers all source files",
+    "poetry.sourceWithoutUrl": "Source `{{name}}` has no url and was not migrated",
+    "poetry.unhandledKeys": "These `[tool.poetry]` settings have no equivalent and were removed: {{keys}}",
+    "pdm.devDependencySkipped": "Dev dependency `{{requirement}}` could not be parsed and was not migrated",
+    "pdm.insecureSource": "Source `{{name}}` disables SSL verification; configure it for uv separately with `--allow-insecure-host`",
+    "pdm.sourceIncludes": "`source-includes` only affects the sdist, and hatch's sdist already includes every file that is not ignored, so it is no longer needed",
+    "pdm.versionSource": "`[tool.pdm.version]` source = `{{source}}` has no equivalent; please set the version by hand",
+    "pdm.scriptsKept": "`[tool.pdm.scripts]` are PDM task scripts with no uv equivalent, so they were left as they are",
+
+    "dependency.fileMissing": "{{file}} was not found and was skipped",
+    "dependency.localEditable": "{{file}}: ignored the local editable install `{{line}}`",
+    "dependency.unknownName": "{{file}}: could not tell the package name of `{{line}}`, please add it by hand",
+    "dependency.optionIgnored": "{{file}}: ignored the option `{{line}}`",
+    "dependency.pipfileInvalid": "Could not parse Pipfile: {{error}}",
+    "dependency.pipfileLocalPath": "Pipfile: ignored the local path dependency `{{name}}`",
+    "dependency.setupPyConcatenated":
+      "setup.py: install_requires adds more to the list, so only the listed requirements were extracted; please add the rest by hand",
+    "dependency.setupPyVariable": "setup.py: install_requires comes from the variable `{{variable}}` and cannot be read statically",
+    "dependency.setupPyNotList": "setup.py: install_requires is not a list of strings and cannot be read statically; please add the dependencies by hand",
+    "dependency.setupPyExtras":
+      "setup.py: extras_require is not a dict of string lists and cannot be read statically; please add the optional dependencies by hand",
+
+    "validation.tomlSyntax": "TOML syntax error: {{error}}",
+    "validation.missingProject": "The [project] table is missing",
+    "validation.invalidName": "Invalid project.name: {{value}}",
+    "validation.notTable": "project.{{table}} must be a table",
+    "validation.invalidEntryPoint": "Invalid entry point project.{{table}}.{{name}}: {{value}}",
+    "validation.repairFailed": "The corrected TOML could not be parsed: {{error}}",
+    "correction.projectName": "project names may only contain letters, digits, . _ - and must start and end with a letter or digit",
+    "correction.version": "not a valid PEP 440 version",
+    "correction.versionNormalized": "normalized per PEP 440",
+    "correction.requiresPython": "not a valid version specifier",
+    "correction.dependencies": "removed requirements that are not valid PEP 508",
+    "correction.entryPoint": "entry points must be module:function",
+    "correction.relativePaths": "only relative paths inside the repository are allowed",
+    "correction.buildSystem": "the build backend was missing",
+    "correction.noEvidence": "nothing in the repository supports it: {{reason}}",
+    "correction.item": "- `{{field}}`: {{change}} ({{reason}})",
+    "correction.removed": "removed `{{value}}`",
+    "policy.directReference": "the direct reference URL does not appear in any dependency file",
+    "policy.unknownPackage": "the package is neither declared in a dependency file nor imported by the source",
+    "policy.foreignUrl": "the URL is not on this repository or the project's own domain, and does not appear in any dependency file",
+    "policy.unknownIndex": "the package index URL does not appear in any dependency file",
+    "policy.unknownSource": "the dependency source URL does not appear in any dependency file",
+    "policy.unknownEntry": "entry point analysis did not find it, and no module in the repository defines the function",
+
+    "entry.evidence.declared": "{{table}} in {{file}} declares {{name}}",
+    "entry.evidence.click": "{{location}} is decorated with @{{decorator}}",
+    "entry.evidence.defines": "{{location}} defines {{name}}()",
+    "entry.evidence.typer": "{{location}} creates a typer.Typer() app",
+    "entry.evidence.parser": "{{location}} {{name}}() uses {{parser}}",
+    "entry.evidence.mainCall": "the __main__ block at {{location}} calls {{name}}()",
+    "entry.evidence.inlineMain": "the __main__ block at {{location}} holds the entry logic itself and needs wrapping in a main() function",
+    "entry.evidence.topLevel": "entry logic runs at the top level from {{location}} and needs wrapping in a main() function",
+    "entry.unclosedString": "unclosed string on line {{line}}",
+    "entry.unclosedStringAtEnd": "unclosed string at the end of the file",
+    "entry.unclosedBracket": "unclosed bracket at the end of the file",
+    "entry.nameTaken": "the file already defines {{name}}",
+    "entry.multipleGuards": "the file has more than one __main__ block",
+    "entry.inlineGuard": "the __main__ block is written on one line and cannot be rewritten safely",
+    "entry.guardElse": "the __main__ block has an else / elif branch",
+    "entry.nothingToWrap": "there are no top-level statements to wrap",
+    "entry.codeBeforeDefinitions": "the top-level statement on line {{line}} is followed by import / def / class, so wrapping it would change the execution order",
+    "entry.tabs": "the code to wrap is indented with tabs",
+    "entry.sharedVariablesInGuard": "the module-level variables {{names}} are assigned in the __main__ block and used by functions or other code",
+    "entry.sharedVariables": "the module-level variables {{names}} are assigned in top-level statements and used by functions or other code",
+    "entry.returnAtTopLevel": "the top-level statements contain return / yield",
+
+    "metadata.feature.walrus": "the walrus operator `:=`",
+    "metadata.feature.match": "a match statement",
+    "metadata.feature.unionAnnotation": "`X | Y` union annotations",
+    "metadata.syntax": "`{{file}}` line {{line}} uses {{feature}} (needs {{version}}+)",
+    "metadata.declared": "The packaging config declares `{{specifier}}`",
+    "metadata.declaredTooLow": "The declared requirement allows {{allowed}}, but {{syntax}}",
+    "metadata.versions": "`{{file}}`: {{versions}}",
+    "metadata.toxVersions": "`tox.ini` envlist: {{versions}}",
+    "metadata.ciVersions": "CI matrix (`{{file}}`): {{versions}}",
+    "metadata.testedTooLow": "The lowest tested version is {{minimum}}, but {{syntax}}, so {{version}} is used",
+    "metadata.pinnedTooLow": "The lowest pinned version is {{minimum}}, but {{syntax}}, so {{version}} is used",
+    "metadata.defaultPython": "No version evidence found, so the default {{version}} is used",
+    "metadata.licenseApi": "The GitHub license API reports `{{spdxId}}`",
+    "metadata.licenseApiFile": "The GitHub license API reports `{{spdxId}}` (`{{file}}`)",
+    "metadata.licenseAmbiguous": "GitHub reports `{{spdxId}}`, which does not say -only or -or-later; `{{expression}}` is used, please confirm",
+    "metadata.noLicenseFile": "The repository has no license file",
+    "metadata.licenseText": "The text of `{{file}}` matches `{{id}}`",
+    "metadata.licenseUnmatched": "Found {{files}}, but the text matches no common license",
+    "metadata.licenseUnknown": "Could not identify the license in {{files}}; please set license in [project] (an SPDX expression)",
+    "metadata.dualLicense": "Found several licenses, so `{{expression}}` (dual licensing) is used; please confirm",
+
+    "verify.failed": "`{{command}}` failed: {{reason}}",
+    "verify.timeout": "timed out after {{timeout}}ms",
+    "verify.notFound": "command not found",
+    "verify.exitCode": "exit code {{code}}",
+    "verify.outsidePath": "Refusing to write outside the repository: {{path}}",
+    "verify.truncated": "... ({{count}} earlier lines omitted)",
+
+    "config.errors": "⚠️ `{{path}}` has these problems, so the affected settings use their defaults:\n\n{{list}}",
+    "config.unreadable": "Could not read `{{path}}`: {{error}}",
+    "config.notMapping": "The top level of `{{path}}` must be a mapping",
+    "config.unknownKey": "Unknown setting `{{key}}`",
+    "config.invalidValue": "`{{key}}`: {{error}}",
+    "config.oneOf": "must be one of {{values}}",
+    "config.specifier": 'must be a version specifier such as ">=3.9"',
+    "config.projectName": "may only contain letters, digits, . _ - and must start and end with a letter or digit",
+    "config.entryPoints": "must be a mapping of command: module:function",
+    "config.entryPoint": "`{{name}}: {{target}}` is invalid, expected command: module:function",
+    "config.pathList": "must be a list of paths",
+    "config.pathOutside": "`{{path}}` is not a relative path inside the repository",
+    "config.boolean": "must be true or false",
+    "config.branchPrefix": "must be a valid branch name prefix",
+    "config.singleLine": "must be a single line",
+    "config.tagPattern": 'must be a GitHub Actions tag pattern such as "v*.*.*"',
+    "config.vcsNeedsHatchling": "`version-source: vcs` requires `backend: hatchling`",
+    "config.includeNeedsBackend": "`include` requires `backend: hatchling` or `backend: pdm`",
+    "config.backendFallback": "`backend: {{backend}}`: {{error}}, so hatchling is used instead",
+    "config.setuptoolsInclude": "setuptools has no wheel setting equivalent to include",
+    "config.setuptoolsRoots": "setuptools package discovery supports only one root directory",
+    "config.flitInclude": "flit has no wheel setting equivalent to include",
+    "config.flitPackages": "flit can only package one top-level package",
+
+    "check.titleSuccess": "pyproject.toml generated",
+    "check.titleNeutral": "pyproject.toml generated, {{count}} to review",
+    "check.titleFailure": "pyproject.toml failed the build check",
+    "check.tableHeader": "| Stage | Result | Details |",
+    "check.separator": ", ",
+    "check.clauseSeparator": "; ",
+    "check.stage.scan": "File scan",
+    "check.stage.dependencies": "Dependencies",
+    "check.stage.entry": "Entry point",
+    "check.stage.metadata": "Metadata",
+    "check.stage.ai": "AI generation",
+    "check.stage.validation": "Validation",
+    "check.fileCount": "{{count}} files",
+    "check.truncated": "file tree too large, some files read one by one",
+    "check.srcLayout": "src layout",
+    "check.packages": "packages: {{packages}}",
+    "check.noPackages": "no package directory found",
+    "check.dependencies": "{{count}} dependencies from {{sources}}",
+    "check.dependencyNotes": "{{count}} to review",
+    "check.noDependencyFiles": "no dependency files found",
+    "check.entry": '`{{name}} = "{{target}}"` (score {{score}})',
+    "check.noEntry": "no entry point found, [project.scripts] needs to be filled in by hand",
+    "check.entryWrapped": "added a main() wrapper to `{{path}}`",
+    "check.entrySkipped": "`{{path}}` could not be wrapped: {{reason}}",
+    "check.requiresPython": "requires-python `{{specifier}}`",
+    "check.requiresPythonDefault": "requires-python `{{specifier}}` (default)",
+    "check.license": "license `{{expression}}`",
+    "check.noLicense": "license not identified",
+    "check.usedAI": "generated by AI",
+    "check.fallback": "fell back to the template",
+    "check.aiDisabled": "AI is disabled (`LLM_PROVIDER=none`); generated from the template",
+    "check.fallbackError": "fell back to the template: {{error}}",
+    "check.corrected": "{{count}} automatic corrections",
+    "check.stepFailed": "`{{step}}` failed",
+    "check.passed": "passed",
+    "check.verified": "`uv lock` and `uv build` passed",
+    "check.templateTitle": "Generated from the template",
+    "check.templateMessage": "AI generation failed and this file was generated from the template; review description, dependencies and similar fields carefully",
+    "check.correctedTitle": "Corrected {{field}}",
+    "check.correctedMessage": "{{reason}}: {{from}} → {{to}}",
+    "check.removed": "removed",
+    "check.dependencyNotesTitle": "Dependencies to confirm",
+    "check.requiresPythonEvidence": "Why this requires-python",
+    "check.requiresPythonWarning": "Confirm requires-python",
+    "check.licenseEvidence": "Why this license",
+    "check.licenseWarning": "Confirm the license",
+    "check.entryUnsupportedTitle": "Entry point without evidence",
+    "check.entryUnsupported": "Source analysis found no evidence for {{target}} as an entry point; check that the function exists",
+    "check.entryInferredTitle": "Entry point inferred by static analysis",
+    "check.todoTitle": "To fill in",
+
+    "failure.title": "quick2uv onboarding failed",
+    "failure.body":
+      "quick2uv failed while preparing the uv onboarding PR for this repository:\n\n| Item | Value |\n| --- | --- |\n| Stage | `{{stage}}` |\n| Branch rolled back | {{rolledBack}} |\n| Attempts | {{attempts}} |\n| HTTP status | {{status}} |\n\n```text\n{{error}}\n```\n\nAfter fixing the problem, remove this repository from the GitHub App settings and add it again to retry.",
+
+    "chatops.usage":
+      "Available commands:\n- `{{prefix}} regenerate`: generate `pyproject.toml` with AI again\n- `{{prefix}} entry module:function` (or `command=module:function`): rewrite `[project.scripts]`\n- `{{prefix}} include path-or-glob ...`: add to the wheel include list (`[tool.hatch.build.targets.wheel]` for hatchling, `[tool.pdm.build]` for pdm)",
+    "chatops.unknownCommand": "Unknown command\n\n{{usage}}",
+    "chatops.invalidEntryPoint": "Invalid entry point `{{target}}`, expected `module:function`",
+    "chatops.invalidScriptName": "Invalid command name `{{name}}`",
+    "chatops.includeMissing": "Give at least one path, e.g. `{{prefix}} include mypkg/**`",
+    "chatops.includeOutside": "include paths must be relative paths inside the repository: `{{pattern}}`",
+    "chatops.includeUnsupported": "The build backend `{{backend}}` has no include setting; please edit `pyproject.toml` directly",
+    "chatops.succeeded": "- ✅ `{{command}}`",
+    "chatops.failed": "- ❌ `{{command}}`: {{error}}",
+    "chatops.corrections": "#### Corrected by the validator\n\n{{list}}",
+    "chatops.diff": "#### `pyproject.toml` changes\n\n{{diff}}",
+    "diff.none": "_No changes_",
+    "diff.omitted": "# ... {{count}} more changed lines omitted",
+  },
+};
+
+/**
+ * 替换 {{变量名}}（未提供的变量替换为空字符串）
+ * @param {string} template
+ * @param {Object<string, *>} vars
+ * @returns {string}
+ */
+function renderTemplate(template, vars) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => (vars[name] === undefined || vars[name] === null ? "" : String(vars[name])));
+}
+
+/**
+ * 待渲染的文案
+ * @param {string} key - MESSAGES 中的键
+ * @param {Object<string, *>} [vars] - 变量的值也可以是 note 或数组
+ * @returns {{key: string, vars: Object<string, *>}}
+ */
+function note(key, vars = {}) {
+  return { key, vars };
+}
+
+/**
+ * 带有 note 的错误；message 为默认语言的文案，输出给用户时按 error.note 重新渲染
+ * @param {string} key
+ * @param {Object<string, *>} [vars]
+ * @returns {Error}
+ */
+function localizedError(key, vars = {}) {
+  return Object.assign(new Error(message(DEFAULT_LOCALE, key, vars)), { note: note(key, vars) });
+}
+
+/**
+ * 渲染 note；数组逐项渲染后按该语言的分隔符连接，其他值原样返回
+ * @param {string} locale
+ * @param {*} value
+ * @returns {*}
+ */
+function localize(locale, value) {
+  if (Array.isArray(value)) return value.map((item) => localize(locale, item)).join(message(locale, "listSeparator"));
+  if (value && typeof value === "object" && typeof value.key === "string") return message(locale, value.key, value.vars);
+  return value;
+}
+
+/**
+ * 取某语言的文案并渲染
+ * @param {string} locale
+ * @param {string} key - MESSAGES 中的键
+ * @param {Object<string, *>} [vars]
+ * @returns {string}
+ */
+function message(locale, key, vars = {}) {
+  const rendered = Object.fromEntries(Object.entries(vars).map(([name, value]) => [name, localize(locale, value)]));
+  return renderTemplate((MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE])[key], rendered);
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  MESSAGES,
+  renderTemplate,
+  note,
+  localizedError,
+  localize,
+  message,
+};
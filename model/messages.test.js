@@ -0,0 +1,38 @@
+const { LOCALES, DEFAULT_LOCALE, MESSAGES, note, localizedError, localize, message } = require("./messages");
+const { validatePyproject, formatCorrections } = require("./pyproject-validator");
+const { setEntryPoint } = require("./chatops");
+
+test("every locale has the same messages", () => {
+  const keys = Object.keys(MESSAGES[DEFAULT_LOCALE]).sort();
+  for (const locale of LOCALES) expect(Object.keys(MESSAGES[locale]).sort()).toEqual(keys);
+});
+
+test("renders nested notes and lists in the requested locale", () => {
+  const merged = note("merge.invalid", { errors: [note("validation.missingProject"), note("validation.notTable", { table: "project.urls" })] });
+  expect(localize("en", merged)).toBe(
+    `Merging with the existing pyproject.toml failed, so it was replaced: ${message("en", "validation.missingProject")}, ${message("en", "validation.notTable", { table: "project.urls" })}`
+  );
+  expect(localize("zh-CN", merged)).toContain("、");
+  expect(localize("en", "plain text")).toBe("plain text");
+});
+
+test("localized errors keep the note for the reply language", () => {
+  const error = localizedError("chatops.invalidScriptName", { name: "-x" });
+  expect(error.message).toBe(message(DEFAULT_LOCALE, "chatops.invalidScriptName", { name: "-x" }));
+  expect(localize("en", error.note)).toBe("Invalid command name `-x`");
+
+  try {
+    setEntryPoint('[project]\nname = "demo"\n', "not-a-target");
+  } catch (e) {
+    expect(localize("en", e.note)).toBe("Invalid entry point `not-a-target`, expected `module:function`");
+  }
+  expect.assertions(3);
+});
+
+test("formats validator corrections in English", () => {
+  const { corrections } = validatePyproject('[project]\nname = "Demo Project"\nversion = "1.0"\n', { fallbackName: "demo" });
+  expect(corrections.length).toBeGreaterThan(0);
+  const formatted = formatCorrections("en", corrections);
+  expect(formatted).toMatch(/^- `project\.name`: /);
+  expect(formatted).not.toMatch(/[一-鿿]/);
+});
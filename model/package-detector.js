@@ -0,0 +1,125 @@
+/**
+ * 包目录探测
+ *
+ * 根据仓库完整文件列表（git.getTree recursive）判断项目布局：
+ * - src 布局：src/<pkg>/__init__.py
+ * - 平铺布局：<pkg>/__init__.py
+ * - 命名空间包（PEP 420）：src/<ns>/<pkg>/__init__.py 且 src/<ns>/ 下没有 __init__.py；
+ *   平铺布局下与项目同名、没有 __init__.py 的目录也视为命名空间包
+ * 结果用于生成 [tool.hatch.build.targets.wheel] packages 以及读取包内的入口文件。
+ */
+
+const NON_PACKAGE_DIRS = ["tests", "test", "docs", "doc", "examples", "example", "scripts", "assets", "static", "benchmarks", "tools"];
+const IDENTIFIER_RE = /^[A-Za-z_]\w*$/;
+const TEST_PATH_RE = /(^|\/)(tests?|testing)(\/|$)|(^|\/)(test_[^/]*|[^/]*_test|conftest)\.py$/;
+
+/**
+ * 规范化为可导入的名字（my-tool -> my_tool）
+ * @param {string} name
+ * @returns {string}
+ */
+function importName(name) {
+  return String(name || "").toLowerCase().replace(/[-.]+/g, "_");
+}
+
+/**
+ * 探测包目录
+ * @param {string[]} paths - 仓库中所有文件路径
+ * @param {object} [options]
+ * @param {string} [options.projectName] - 项目名（平铺布局下用于识别命名空间包）
+ * @returns {{layout: "src"|"flat"|"none", packages: Array<{name: string, path: string, namespace: boolean}>, modules: string[]}}
+ */
+function detectPackages(paths, { projectName } = {}) {
+  const files = new Set(paths);
+  const found = new Map(); // 包路径 -> {name, path, namespace}
+
+  for (const filePath of paths) {
+    if (!filePath.endsWith(".py")) continue;
+    const parts = filePath.split("/").slice(0, -1);
+    const root = parts[0] === "src" ? "src" : "";
+    const relative = root ? parts.slice(1) : parts;
+    const top = relative[0];
+
+    if (!top || !IDENTIFIER_RE.test(top) || NON_PACKAGE_DIRS.includes(top.toLowerCase())) continue;
+    if (relative.some((part) => part.startsWith("."))) continue;
+
+    const topPath = root ? `${root}/${top}` : top;
+    if (found.has(topPath)) continue;
+
+    const namespace = !files.has(`${topPath}/__init__.py`);
+    if (namespace) {
+      // 命名空间包需要在下级目录中有常规包；平铺布局下没有 __init__.py 的目录很可能只是普通目录，
+      // 只有与项目同名时才视为包
+      const hasSubpackage = paths.some((p) => p.startsWith(`${topPath}/`) && p.endsWith("/__init__.py"));
+      if (root ? !hasSubpackage : importName(top) !== importName(projectName)) continue;
+    }
+    found.set(topPath, { name: top, path: topPath, namespace });
+  }
+
+  const packages = [...found.values()].sort((a, b) => {
+    // 与项目同名的包排在最前，其次是常规包
+    const aMatch = importName(a.name) === importName(projectName) ? 0 : 1;
+    const bMatch = importName(b.name) === importName(projectName) ? 0 : 1;
+    return aMatch - bMatch || Number(a.namespace) - Number(b.namespace) || a.path.localeCompare(b.path);
+  });
+
+  const modules = paths.filter((p) => !p.includes("/") && p.endsWith(".py") && p !== "setup.py" && p !== "conftest.py");
+  const layout = packages.some((p) => p.path.startsWith("src/")) ? "src" : packages.length > 0 ? "flat" : "none";
+
+  return { layout, packages, modules };
+}
+
+/**
+ * 包内可能的入口文件路径（__main__.py / cli.py），只返回仓库中实际存在的
+ * @param {Array<{path: string}>} packages
+ * @param {string[]} paths
+ * @param {number} [limit] - 最多检查的包数量
+ * @returns {string[]}
+ */
+function packageEntryFiles(packages, paths, limit = 3) {
+  const files = new Set(paths);
+  const result = [];
+  for (const pkg of packages.slice(0, limit)) {
+    // 命名空间包的入口在下一级子包中（平铺布局的同名目录则直接在目录下）
+    const dirs = pkg.namespace
+      ? [pkg.path, ...new Set(paths.filter((p) => p.startsWith(`${pkg.path}/`) && p.endsWith("/__init__.py")).map((p) => p.slice(0, -"/__init__.py".length)))]
+      : [pkg.path];
+    for (const dir of dirs) {
+      for (const name of ["__main__.py", "cli.py"]) {
+        if (files.has(`${dir}/${name}`)) result.push(`${dir}/${name}`);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * 包目录和根目录下的 Python 源码文件（不含测试），用于语法特性和导入分析
+ * @param {Array<{path: string}>} packages
+ * @param {string[]} paths
+ * @param {number} [limit] - 最多返回的文件数
+ * @returns {string[]}
+ */
+function sourceFiles(packages, paths, limit = 30) {
+  const roots = packages.map((p) => `${p.path}/`);
+  return paths
+    .filter((p) => p.endsWith(".py") && !TEST_PATH_RE.test(p) && (!p.includes("/") || roots.some((root) => p.startsWith(root))))
+    .slice(0, limit);
+}
+
+/**
+ * 仓库中是否有 pytest 能收集的测试
+ * @param {string[]} paths
+ * @returns {boolean}
+ */
+function hasTests(paths) {
+  return paths.some((p) => /(^|\/)(test_[^/]*|[^/]*_test|conftest)\.py$/.test(p) || /^(tests?|src\/tests?)\/.*\.py$/.test(p));
+}
+
+module.exports = {
+  NON_PACKAGE_DIRS,
+  detectPackages,
+  packageEntryFiles,
+  sourceFiles,
+  hasTests,
+};
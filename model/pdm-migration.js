@@ -0,0 +1,145 @@
+const { note } = require("./messages");
+
+/**
+ * [tool.pdm] -> uv / hatch 迁移
+ *
+ * PDM 项目的元数据本来就写在 PEP 621 的 [project] 中，这里只迁移 PDM 专有的配置：
+ * 开发依赖、构建配置、动态版本、包索引和依赖覆盖。[tool.pdm.scripts] 是任务脚本，
+ * 没有对应项，保留原样并在说明中提示。
+ */
+
+/**
+ * 解析 PDM 开发依赖中的可编辑本地依赖（"-e file:///${PROJECT_ROOT}/libs/foo#egg=foo"）
+ * @param {string} line
+ * @returns {{name: string, path: string}|null}
+ */
+function parseEditable(line) {
+  const match = String(line).match(/^\s*-e\s+(\S+?)(?:#egg=([A-Za-z0-9._-]+))?\s*$/);
+  if (!match) return null;
+  const path = match[1].replace(/^file:\/\/\/?\$\{PROJECT_ROOT\}\/?/, "./").replace(/^file:\/\//, "");
+  const name = match[2] || path.replace(/\/+$/, "").split("/").pop();
+  return name && !/^[a-z+]+:/.test(path) ? { name, path } : null;
+}
+
+/**
+ * [tool.pdm.dev-dependencies] -> [dependency-groups]
+ */
+function migrateDevDependencies(devDependencies, sources, notes) {
+  const groups = {};
+  for (const [group, requirements] of Object.entries(devDependencies || {})) {
+    groups[group] = [];
+    for (const requirement of Array.isArray(requirements) ? requirements : []) {
+      if (!String(requirement).trim().startsWith("-e")) {
+        groups[group].push(requirement);
+        continue;
+      }
+      const editable = parseEditable(requirement);
+      if (!editable) {
+        notes.push(note("pdm.devDependencySkipped", { requirement }));
+        continue;
+      }
+      groups[group].push(editable.name);
+      sources[editable.name] = { path: editable.path, editable: true };
+    }
+  }
+  return groups;
+}
+
+/**
+ * [[tool.pdm.source]] -> [[tool.uv.index]]
+ */
+function migrateSources(sources, notes) {
+  const indexes = [];
+  for (const source of sources || []) {
+    if (!source || !source.url) continue;
+    const index = { name: source.name, url: source.url };
+    // 名为 pypi 的源会覆盖默认的 PyPI
+    if (source.name === "pypi") index.default = true;
+    if (source.type === "find_links") index.format = "flat";
+    if (source.verify_ssl === false) notes.push(note("pdm.insecureSource", { name: source.name }));
+    indexes.push(index);
+  }
+  return indexes;
+}
+
+/**
+ * [tool.pdm.resolution.overrides] -> [tool.uv] override-dependencies
+ */
+function migrateOverrides(overrides) {
+  return Object.entries(overrides || {}).map(([name, spec]) => {
+    const value = String(spec).trim();
+    if (/^[a-z+]+:\/\//i.test(value)) return `${name} @ ${value}`;
+    if (/^[0-9]/.test(value)) return `${name}==${value}`;
+    return `${name}${value === "*" ? "" : value}`;
+  });
+}
+
+/**
+ * 将 [tool.pdm] 迁移为 [dependency-groups] 与 hatch / uv 配置
+ * @param {object} pdm - 解析后的 tool.pdm 对象
+ * @returns {{project: object, dependencyGroups: object, hatch: object, indexes: Array, sources: object, overrideDependencies: string[], buildRequires: string[], migratedTables: string[], notes: Array<{key: string, vars: object}>}}
+ */
+function migratePdm(pdm) {
+  const notes = [];
+  const sources = {};
+  const migratedTables = [];
+  const hatch = { packages: [], include: [], exclude: [] };
+  const buildRequires = [];
+
+  const dependencyGroups = migrateDevDependencies(pdm["dev-dependencies"], sources, notes);
+  if (pdm["dev-dependencies"]) migratedTables.push("tool.pdm.dev-dependencies");
+
+  const build = pdm.build || {};
+  if (pdm.build) migratedTables.push("tool.pdm.build");
+  // 包目录作为 hatch 的 packages（会去掉 src/ 前缀），文件和通配符放进 include
+  for (const path of build.includes || []) {
+    const trimmed = String(path).replace(/\/+$/, "");
+    if (/[*?[]/.test(trimmed) || /\.[A-Za-z0-9]+$/.test(trimmed)) hatch.include.push(trimmed);
+    else hatch.packages.push(trimmed);
+  }
+  hatch.exclude.push(...(build.excludes || []));
+  if (build["source-includes"]) {
+    notes.push(note("pdm.sourceIncludes"));
+  }
+
+  // 动态版本
+  const version = pdm.version;
+  if (version) {
+    migratedTables.push("tool.pdm.version");
+    if (version.source === "scm") {
+      hatch.version = { source: "vcs" };
+      buildRequires.push("hatch-vcs");
+    } else if (version.source === "file" && version.path) {
+      hatch.version = { path: version.path };
+    } else {
+      notes.push(note("pdm.versionSource", { source: version.source }));
+    }
+  }
+
+  const indexes = migrateSources(pdm.source, notes);
+  if (pdm.source) migratedTables.push("tool.pdm.source");
+
+  const overrideDependencies = migrateOverrides(pdm.resolution && pdm.resolution.overrides);
+  if (overrideDependencies.length > 0) migratedTables.push("tool.pdm.resolution.overrides");
+
+  if (pdm.scripts) {
+    notes.push(note("pdm.scriptsKept"));
+  }
+
+  return {
+    project: {},
+    dependencyGroups,
+    hatch,
+    indexes,
+    sources,
+    overrideDependencies,
+    buildRequires,
+    migratedTables,
+    notes,
+  };
+}
+
+module.exports = {
+  migratePdm,
+  parseEditable,
+};
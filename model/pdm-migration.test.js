@@ -0,0 +1,56 @@
+const TOML = require("smol-toml");
+const { migratePdm, parseEditable } = require("./pdm-migration");
+const { note } = require("./messages");
+
+test.each([
+  ["-e file:///${PROJECT_ROOT}/libs/foo#egg=foo", { name: "foo", path: "./libs/foo" }],
+  ["-e ./libs/bar", { name: "bar", path: "./libs/bar" }],
+  ["-e git+https://github.com/octo/baz.git#egg=baz", null],
+  ["pytest>=8", null],
+])("parseEditable(%j)", (line, expected) => {
+  expect(parseEditable(line)).toEqual(expected);
+});
+
+test("migratePdm converts dev dependencies, build settings, version, sources and overrides", () => {
+  const { tool } = TOML.parse(`
+[tool.pdm.dev-dependencies]
+test = ["pytest>=8", "-e file:///\${PROJECT_ROOT}/libs/foo#egg=foo", "-e git+https://github.com/octo/baz.git"]
+
+[tool.pdm.build]
+includes = ["src/demo", "data/*.json"]
+excludes = ["tests"]
+
+[tool.pdm.version]
+source = "scm"
+
+[[tool.pdm.source]]
+name = "internal"
+url = "https://pypi.example.com/simple"
+verify_ssl = false
+
+[tool.pdm.resolution.overrides]
+urllib3 = "1.26.18"
+idna = ">=3.6"
+
+[tool.pdm.scripts]
+lint = "ruff check ."
+`);
+  const result = migratePdm(tool.pdm);
+
+  expect(result.dependencyGroups).toEqual({ test: ["pytest>=8", "foo"] });
+  expect(result.sources).toEqual({ foo: { path: "./libs/foo", editable: true } });
+  expect(result.hatch).toEqual({ packages: ["src/demo"], include: ["data/*.json"], exclude: ["tests"], version: { source: "vcs" } });
+  expect(result.buildRequires).toEqual(["hatch-vcs"]);
+  expect(result.indexes).toEqual([{ name: "internal", url: "https://pypi.example.com/simple" }]);
+  expect(result.overrideDependencies).toEqual(["urllib3==1.26.18", "idna>=3.6"]);
+  expect(result.notes).toEqual([
+    note("pdm.devDependencySkipped", { requirement: "-e git+https://github.com/octo/baz.git" }),
+    note("pdm.insecureSource", { name: "internal" }),
+    note("pdm.scriptsKept"),
+  ]);
+});
+
+test("migratePdm keeps a file version source", () => {
+  expect(migratePdm({ version: { source: "file", path: "src/demo/__init__.py" } }).hatch.version).toEqual({ path: "src/demo/__init__.py" });
+  expect(migratePdm({ version: { source: "call" } }).notes).toEqual([note("pdm.versionSource", { source: "call" })]);
+});
@@ -0,0 +1,160 @@
+/**
+ * PEP 440 版本号与版本约束工具
+ */
+
+// 与 packaging.version.VERSION_PATTERN 等价的宽松匹配
+const VERSION_RE = new RegExp(
+  "^\\s*v?" +
+    "(?:(\\d+)!)?" + // epoch
+    "(\\d+(?:\\.\\d+)*)" + // release
+    "(?:[-_.]?(alpha|a|beta|b|preview|pre|c|rc)[-_.]?(\\d+)?)?" + // pre-release
+    "(?:-(\\d+)|[-_.]?(post|rev|r)[-_.]?(\\d+)?)?" + // post-release
+    "(?:[-_.]?(dev)[-_.]?(\\d+)?)?" + // dev-release
+    "(?:\\+([a-z0-9]+(?:[-_.][a-z0-9]+)*))?" + // local
+    "\\s*$",
+  "i"
+);
+
+const PRE_RELEASE_LABELS = { alpha: "a", a: "a", beta: "b", b: "b", c: "rc", pre: "rc", preview: "rc", rc: "rc" };
+
+const SPECIFIER_RE = /^\s*(~=|===|==|!=|<=|>=|<|>)\s*([^\s,;]+)\s*$/;
+
+/**
+ * 规范化版本号（如 v1.0.0-RC1 -> 1.0.0rc1），不合法时返回 null
+ * @param {string} version
+ * @returns {string|null}
+ */
+function normalizeVersion(version) {
+  const match = String(version || "").match(VERSION_RE);
+  if (!match) return null;
+
+  const [, epoch, release, preLabel, preNum, postImplicit, postLabel, postNum, devLabel, devNum, local] = match;
+  let result = "";
+  if (epoch && Number(epoch) !== 0) result += `${Number(epoch)}!`;
+  result += release.split(".").map((part) => String(Number(part))).join(".");
+  if (preLabel) result += `${PRE_RELEASE_LABELS[preLabel.toLowerCase()]}${Number(preNum || 0)}`;
+  if (postImplicit !== undefined) result += `.post${Number(postImplicit)}`;
+  else if (postLabel) result += `.post${Number(postNum || 0)}`;
+  if (devLabel) result += `.dev${Number(devNum || 0)}`;
+  if (local) result += `+${local.toLowerCase().replace(/[-_]/g, ".")}`;
+  return result;
+}
+
+/**
+ * 是否为预发布版本（a / b / rc / dev）
+ * @param {string} version
+ * @returns {boolean}
+ */
+function isPreRelease(version) {
+  const normalized = normalizeVersion(version);
+  return Boolean(normalized && /(a|b|rc)\d+|\.dev\d+/.test(normalized));
+}
+
+/**
+ * 解析版本约束集合（如 ">=3.8,<3.14"），不合法时返回 null
+ * @param {string} specifiers
+ * @returns {Array<{operator: string, version: string}>|null}
+ */
+function parseSpecifierSet(specifiers) {
+  if (typeof specifiers !== "string" || specifiers.trim() === "") return null;
+
+  const clauses = [];
+  for (const part of specifiers.split(",")) {
+    const match = part.match(SPECIFIER_RE);
+    if (!match) return null;
+    const [, operator, version] = match;
+
+    if (operator === "===") {
+      clauses.push({ operator, version });
+      continue;
+    }
+    const wildcard = version.endsWith(".*");
+    if (wildcard && operator !== "==" && operator !== "!=") return null;
+    const bare = wildcard ? version.slice(0, -2) : version;
+    if (!normalizeVersion(bare) || (bare.includes("+") && operator !== "==" && operator !== "!=")) return null;
+    if (operator === "~=" && !bare.includes(".")) return null;
+    clauses.push({ operator, version });
+  }
+  return clauses;
+}
+
+/**
+ * 尝试修复常见的不合法版本约束（缺逗号、裸版本号、Poetry 的 ^ / ~ 写法）
+ * @param {string} specifiers
+ * @returns {string|null} 无法修复时返回 null
+ */
+function repairSpecifierSet(specifiers) {
+  if (typeof specifiers !== "string") return null;
+  if (parseSpecifierSet(specifiers)) return specifiers;
+
+  const clauses = [];
+  const tokens = specifiers.match(/(~=|===|==|!=|<=|>=|<|>|\^|~)?\s*[^\s,<>=!~^]+/g) || [];
+  for (const token of tokens) {
+    const [, operator = "", version] = token.trim().match(/^(~=|===|==|!=|<=|>=|<|>|\^|~)?\s*(.+)$/);
+    if (operator === "^" || operator === "~") {
+      clauses.push(...caretOrTildeToClauses(operator, version));
+    } else {
+      clauses.push(`${operator || (version.endsWith(".*") ? "==" : ">=")}${version}`);
+    }
+  }
+
+  const repaired = clauses.join(",");
+  return parseSpecifierSet(repaired) ? repaired : null;
+}
+
+/**
+ * 下一个发布版本：预发布 / 开发版取其正式版本，否则补丁号加一（1.2 -> 1.2.1，1.0.0.post1 -> 1.0.1），不合法时返回 null
+ * @param {string} version
+ * @returns {string|null}
+ */
+function nextReleaseVersion(version) {
+  const match = String(version || "").match(VERSION_RE);
+  if (!match) return null;
+  const [, epoch, release, preLabel, , , , , devLabel] = match;
+  let parts = release.split(".").map(Number);
+  if (!preLabel && !devLabel) {
+    while (parts.length < 3) parts.push(0);
+    parts = [parts[0], parts[1], parts[2] + 1];
+  }
+  return `${epoch && Number(epoch) !== 0 ? `${Number(epoch)}!` : ""}${parts.join(".")}`;
+}
+
+/**
+ * Poetry 风格的 ^ / ~ 约束 -> PEP 440 区间
+ * @param {"^"|"~"} operator
+ * @param {string} version
+ * @returns {string[]}
+ */
+function caretOrTildeToClauses(operator, version) {
+  // 上限只看发布段，预发布等后缀保留在下限上（^2.0.0b1 -> >=2.0.0b1,<3.0）
+  const bare = version.replace(/\.\*$/, "");
+  const match = bare.match(VERSION_RE);
+  if (!match || match[1]) return [`>=${version}`];
+  const parts = match[2].split(".").map(Number);
+
+  let upper;
+  if (operator === "^") {
+    // ^1.2.3 -> <2.0.0；^0.2.3 -> <0.3.0；^0.0.3 -> <0.0.4
+    const index = parts.findIndex((p) => p !== 0);
+    const bump = index === -1 ? parts.length - 1 : Math.min(index, parts.length - 1);
+    upper = parts.slice(0, bump + 1);
+    upper[bump] += 1;
+  } else {
+    // ~1.2.3 -> <1.3.0；~1 -> <2
+    const bump = parts.length > 1 ? 1 : 0;
+    upper = parts.slice(0, bump + 1);
+    upper[bump] += 1;
+  }
+  while (upper.length < Math.min(parts.length, 2)) upper.push(0);
+
+  return [`>=${normalizeVersion(bare)}`, `<${upper.join(".")}`];
+}
+
+module.exports = {
+  normalizeVersion,
+  isPreRelease,
+  nextReleaseVersion,
+  parseSpecifierSet,
+  repairSpecifierSet,
+  caretOrTildeToClauses,
+};
@@ -0,0 +1,57 @@
+const { normalizeVersion, isPreRelease, nextReleaseVersion, parseSpecifierSet, repairSpecifierSet } = require("./pep440");
+
+test.each([
+  ["v1.0.0-RC1", "1.0.0rc1"],
+  ["1.0.0-beta.2", "1.0.0b2"],
+  ["1.0-1", "1.0.post1"],
+  ["1.0.dev", "1.0.dev0"],
+  ["0!01.02", "1.2"],
+  ["1!2.0+Local_Build", "1!2.0+local.build"],
+  ["not-a-version", null],
+])("normalizeVersion(%j)", (version, expected) => {
+  expect(normalizeVersion(version)).toBe(expected);
+});
+
+test.each([
+  ["1.0.0rc1", true],
+  ["1.0.0.dev3", true],
+  ["1.0.0.post1", false],
+  ["1.0.0", false],
+])("isPreRelease(%j)", (version, expected) => {
+  expect(isPreRelease(version)).toBe(expected);
+});
+
+test.each([
+  ["1.2.0", "1.2.1"],
+  ["1.2", "1.2.1"],
+  ["2", "2.0.1"],
+  ["1.2.3.4", "1.2.4"],
+  ["1.0.0.post1", "1.0.1"],
+  ["2.0.0rc1", "2.0.0"],
+  ["2.0.0.dev1", "2.0.0"],
+  ["1!1.0", "1!1.0.1"],
+  ["latest", null],
+])("nextReleaseVersion(%j)", (version, expected) => {
+  expect(nextReleaseVersion(version)).toBe(expected);
+});
+
+test.each([
+  [">=3.8,<3.14", [{ operator: ">=", version: "3.8" }, { operator: "<", version: "3.14" }]],
+  ["==3.*", [{ operator: "==", version: "3.*" }]],
+  [">=3.*", null],
+  ["~=3", null],
+  ["", null],
+])("parseSpecifierSet(%j)", (specifiers, expected) => {
+  expect(parseSpecifierSet(specifiers)).toEqual(expected);
+});
+
+test.each([
+  [">= 3.8, <4", ">= 3.8, <4"],
+  [">=3.8 <4", ">=3.8,<4"],
+  ["3.8", ">=3.8"],
+  ["^3.9", ">=3.9,<4.0"],
+  ["~3.10", ">=3.10,<3.11"],
+  [">=3.8,foo", null],
+])("repairSpecifierSet(%j)", (specifiers, expected) => {
+  expect(repairSpecifierSet(specifiers)).toBe(expected);
+});
@@ -0,0 +1,321 @@
+const { caretOrTildeToClauses, parseSpecifierSet } = require("./pep440");
+const { note } = require("./messages");
+
+/**
+ * [tool.poetry] -> PEP 621 迁移
+ */
+
+/**
+ * Poetry 版本约束 -> PEP 440 约束（"*" 返回空字符串，无法转换时返回 null）
+ * @param {string} constraint - 如 "^1.2"、"~1.2.3"、">=1,<2"、"1.2.*"
+ * @returns {string|null}
+ */
+function poetryConstraintToSpecifier(constraint) {
+  const text = String(constraint || "").trim();
+  if (text === "" || text === "*") return "";
+  if (text.includes("||")) return null;
+
+  const clauses = [];
+  const tokens = text.match(/(\^|~=|~|>=|<=|==|!=|>|<|=)?\s*[0-9][^\s,]*/g) || [];
+  for (const token of tokens) {
+    const [, operator = "", version] = token.match(/^(\^|~=|~|>=|<=|==|!=|>|<|=)?\s*(.+)$/);
+    if (operator === "^" || operator === "~") {
+      clauses.push(...caretOrTildeToClauses(operator, version));
+    } else if (operator === "" || operator === "=") {
+      clauses.push(`==${version}`);
+    } else {
+      clauses.push(`${operator}${version}`);
+    }
+  }
+
+  const specifier = clauses.join(",");
+  return parseSpecifierSet(specifier) ? specifier : null;
+}
+
+/**
+ * Poetry 的 python 约束 -> 环境标记
+ * @param {string} constraint
+ * @returns {string|null}
+ */
+function pythonConstraintToMarker(constraint) {
+  const specifier = poetryConstraintToSpecifier(constraint);
+  if (!specifier) return null;
+  return parseSpecifierSet(specifier)
+    .map(({ operator, version }) => {
+      const variable = version.replace(/\.\*$/, "").split(".").length > 2 ? "python_full_version" : "python_version";
+      return `${variable} ${operator} "${version.replace(/\.\*$/, "")}"`;
+    })
+    .join(" and ");
+}
+
+/**
+ * 单个 Poetry 依赖 -> PEP 508 依赖字符串
+ * @param {string} name
+ * @param {string|object|Array} spec
+ * @returns {{requirements: string[], optional: boolean, source: object|null, notes: Array<{key: string, vars: object}>}}
+ */
+function poetryDependencyToRequirement(name, spec) {
+  const result = { requirements: [], optional: false, source: null, notes: [] };
+
+  // 多约束依赖：[{version = "...", python = "..."}, ...]
+  if (Array.isArray(spec)) {
+    for (const item of spec) {
+      const converted = poetryDependencyToRequirement(name, item);
+      result.requirements.push(...converted.requirements);
+      result.notes.push(...converted.notes);
+      result.optional = result.optional || converted.optional;
+      result.source = result.source || converted.source;
+    }
+    return result;
+  }
+
+  const table = typeof spec === "string" ? { version: spec } : spec || {};
+  result.optional = Boolean(table.optional);
+
+  const extras = Array.isArray(table.extras) && table.extras.length > 0 ? `[${table.extras.join(",")}]` : "";
+  const markers = [];
+  if (table.python) {
+    const marker = pythonConstraintToMarker(table.python);
+    if (marker) markers.push(marker);
+    else result.notes.push(note("poetry.pythonMarker", { name, constraint: table.python }));
+  }
+  if (table.platform) markers.push(`sys_platform == "${table.platform}"`);
+  if (table.markers) markers.push(markers.length > 0 ? `(${table.markers})` : table.markers);
+  const markerText = markers.length > 0 ? `; ${markers.join(" and ")}` : "";
+
+  if (table.git) {
+    const ref = table.rev || table.tag || table.branch;
+    const url = table.git.startsWith("git+") ? table.git : `git+${table.git}`;
+    result.requirements.push(`${name}${extras} @ ${url}${ref ? `@${ref}` : ""}${table.subdirectory ? `#subdirectory=${table.subdirectory}` : ""}${markerText}`);
+    return result;
+  }
+  if (table.url) {
+    result.requirements.push(`${name}${extras} @ ${table.url}${markerText}`);
+    return result;
+  }
+  if (table.path) {
+    // 本地路径依赖交给 [tool.uv.sources]，依赖列表里只保留包名
+    result.source = table.develop ? { path: table.path, editable: true } : { path: table.path };
+    result.requirements.push(`${name}${extras}${markerText}`);
+    return result;
+  }
+  if (table.source) result.source = { index: table.source };
+
+  const specifier = poetryConstraintToSpecifier(table.version);
+  if (specifier === null) {
+    result.notes.push(note("poetry.versionDropped", { name, constraint: table.version }));
+  }
+  result.requirements.push(`${name}${extras}${specifier || ""}${markerText}`);
+  return result;
+}
+
+/**
+ * "Name <email>" -> {name, email}
+ * @param {string} person
+ * @returns {{name?: string, email?: string}}
+ */
+function parsePerson(person) {
+  const match = String(person).match(/^\s*([^<]*?)\s*(?:<([^>]+)>)?\s*$/);
+  const result = {};
+  if (match && match[1]) result.name = match[1];
+  if (match && match[2]) result.email = match[2];
+  return result;
+}
+
+/**
+ * 列出对象对应的所有 TOML 表路径（含自身）
+ * @param {object} node
+ * @param {string} prefix
+ * @returns {string[]}
+ */
+function listTablePaths(node, prefix) {
+  const paths = [prefix];
+  for (const [key, value] of Object.entries(node)) {
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      paths.push(...listTablePaths(value, `${prefix}.${key}`));
+    } else if (Array.isArray(value) && value.length > 0 && value.every((item) => item && typeof item === "object" && !Array.isArray(item))) {
+      paths.push(`${prefix}.${key}`);
+    }
+  }
+  return paths;
+}
+
+/**
+ * 转换一组 Poetry 依赖表，结果累加到 target / sources / notes
+ */
+function convertDependencyTable(dependencies, target, sources, notes) {
+  for (const [name, spec] of Object.entries(dependencies || {})) {
+    if (name.toLowerCase() === "python") continue;
+    const converted = poetryDependencyToRequirement(name, spec);
+    notes.push(...converted.notes);
+    target.push(...converted.requirements);
+    if (converted.source) sources[name] = converted.source;
+  }
+}
+
+/**
+ * [tool.poetry.scripts] -> [project.scripts]
+ */
+function migrateScripts(scripts, notes) {
+  const result = {};
+  for (const [name, target] of Object.entries(scripts || {})) {
+    if (typeof target === "string") {
+      result[name] = target;
+    } else if (target && target.callable) {
+      result[name] = target.callable;
+    } else {
+      notes.push(note("poetry.scriptSkipped", { name }));
+    }
+  }
+  return result;
+}
+
+/**
+ * packages / include / exclude -> hatch wheel 构建配置
+ */
+function migrateBuildTargets(poetry, notes) {
+  const hatch = { packages: [], include: [], exclude: [] };
+  const forWheel = (format) => !format || [].concat(format).includes("wheel");
+
+  for (const item of poetry.packages || []) {
+    if (!item || !item.include || !forWheel(item.format)) continue;
+    const path = item.from ? `${item.from.replace(/\/+$/, "")}/${item.include}` : item.include;
+    // 带通配符或单文件模块放进 include，目录才能作为 hatch 的 packages
+    if (/[*?[]/.test(path) || path.endsWith(".py")) hatch.include.push(path);
+    else hatch.packages.push(path);
+  }
+  for (const item of poetry.include || []) {
+    const path = typeof item === "string" ? item : item && item.path;
+    if (path && forWheel(typeof item === "string" ? null : item.format)) hatch.include.push(path);
+  }
+  for (const item of poetry.exclude || []) {
+    if (typeof item === "string") hatch.exclude.push(item);
+  }
+  if (hatch.include.length > 0) {
+    notes.push(note("poetry.hatchInclude"));
+  }
+  return hatch;
+}
+
+/**
+ * [[tool.poetry.source]] -> [[tool.uv.index]]
+ */
+function migrateSources(sources, notes) {
+  const indexes = [];
+  let hasDefault = false;
+  for (const source of sources || []) {
+    if (!source || !source.url) {
+      if (source && source.name) notes.push(note("poetry.sourceWithoutUrl", { name: source.name }));
+      continue;
+    }
+    const priority = source.priority || (source.default ? "default" : source.secondary ? "supplemental" : "primary");
+    const index = { name: source.name, url: source.url };
+    // Poetry 的 default / primary 源会取代 PyPI，对应 uv 的 default = true（uv 只允许一个）
+    if ((priority === "default" || priority === "primary") && !hasDefault) {
+      index.default = true;
+      hasDefault = true;
+    }
+    if (priority === "explicit") index.explicit = true;
+    indexes.push(index);
+  }
+  return indexes;
+}
+
+// 已在迁移中处理的 [tool.poetry] 键
+const HANDLED_KEYS = [
+  "name", "version", "description", "readme", "keywords", "classifiers", "license",
+  "authors", "maintainers", "homepage", "repository", "documentation", "urls",
+  "dependencies", "dev-dependencies", "group", "extras", "scripts", "plugins",
+  "packages", "include", "exclude", "source", "package-mode",
+];
+
+/**
+ * 将 [tool.poetry] 迁移为 PEP 621 的 [project] 字段、[dependency-groups] 与 hatch / uv 配置
+ * @param {object} poetry - 解析后的 tool.poetry 对象
+ * @returns {{project: object, dependencyGroups: object, hatch: {packages: string[], include: string[], exclude: string[]}, indexes: Array, sources: object, migratedTables: string[], notes: Array<{key: string, vars: object}>}}
+ */
+function migratePoetry(poetry) {
+  const project = {};
+  const notes = [];
+  const sources = {};
+
+  for (const key of ["name", "version", "description", "readme", "keywords", "classifiers", "license"]) {
+    if (poetry[key] !== undefined) project[key] = poetry[key];
+  }
+  if (Array.isArray(project.readme)) project.readme = project.readme[0];
+  for (const key of ["authors", "maintainers"]) {
+    if (Array.isArray(poetry[key])) project[key] = poetry[key].map(parsePerson);
+  }
+
+  const urls = { ...(poetry.urls || {}) };
+  if (poetry.homepage) urls.Homepage = poetry.homepage;
+  if (poetry.repository) urls.Repository = poetry.repository;
+  if (poetry.documentation) urls.Documentation = poetry.documentation;
+  if (Object.keys(urls).length > 0) project.urls = urls;
+
+  // 运行依赖（optional = true 的依赖按 [tool.poetry.extras] 归入 optional-dependencies）
+  const dependencies = [];
+  const optionalByName = {};
+  for (const [name, spec] of Object.entries(poetry.dependencies || {})) {
+    if (name.toLowerCase() === "python") {
+      const specifier = poetryConstraintToSpecifier(typeof spec === "string" ? spec : spec.version);
+      if (specifier) project["requires-python"] = specifier;
+      else notes.push(note("poetry.pythonConstraint", { constraint: JSON.stringify(spec) }));
+      continue;
+    }
+    const converted = poetryDependencyToRequirement(name, spec);
+    notes.push(...converted.notes);
+    if (converted.source) sources[name] = converted.source;
+    if (converted.optional) optionalByName[name.toLowerCase()] = converted.requirements;
+    else dependencies.push(...converted.requirements);
+  }
+  project.dependencies = dependencies;
+
+  const extras = {};
+  for (const [extra, names] of Object.entries(poetry.extras || {})) {
+    extras[extra] = names.flatMap((name) => optionalByName[name.toLowerCase()] || []);
+  }
+  if (Object.keys(extras).length > 0) project["optional-dependencies"] = extras;
+
+  // 开发依赖：旧版 dev-dependencies 与 group.*.dependencies -> [dependency-groups]
+  const dependencyGroups = {};
+  if (poetry["dev-dependencies"]) {
+    dependencyGroups.dev = [];
+    convertDependencyTable(poetry["dev-dependencies"], dependencyGroups.dev, sources, notes);
+  }
+  for (const [group, config] of Object.entries(poetry.group || {})) {
+    dependencyGroups[group] = dependencyGroups[group] || [];
+    convertDependencyTable(config && config.dependencies, dependencyGroups[group], sources, notes);
+  }
+
+  const scripts = migrateScripts(poetry.scripts, notes);
+  if (Object.keys(scripts).length > 0) project.scripts = scripts;
+  if (poetry.plugins && Object.keys(poetry.plugins).length > 0) project["entry-points"] = poetry.plugins;
+
+  const hatch = migrateBuildTargets(poetry, notes);
+  const indexes = migrateSources(poetry.source, notes);
+
+  const unhandled = Object.keys(poetry).filter((key) => !HANDLED_KEYS.includes(key));
+  if (unhandled.length > 0) {
+    notes.push(note("poetry.unhandledKeys", { keys: unhandled.map((k) => `\`${k}\``) }));
+  }
+
+  return {
+    project,
+    dependencyGroups,
+    hatch,
+    indexes,
+    sources,
+    migratedTables: listTablePaths(poetry, "tool.poetry"),
+    notes,
+  };
+}
+
+module.exports = {
+  migratePoetry,
+  poetryConstraintToSpecifier,
+  poetryDependencyToRequirement,
+  pythonConstraintToMarker,
+  parsePerson,
+  listTablePaths,
+};
@@ -0,0 +1,120 @@
+const TOML = require("smol-toml");
+const { migratePoetry, poetryConstraintToSpecifier, poetryDependencyToRequirement, pythonConstraintToMarker, parsePerson } = require("./poetry-migration");
+const { note } = require("./messages");
+
+describe("poetryConstraintToSpecifier", () => {
+  test.each([
+    // caret
+    ["^1.2.3", ">=1.2.3,<2.0"],
+    ["^1.2", ">=1.2,<2.0"],
+    ["^1", ">=1,<2"],
+    ["^0.2.3", ">=0.2.3,<0.3"],
+    ["^0.0.3", ">=0.0.3,<0.0.4"],
+    ["^0", ">=0,<1"],
+    // tilde
+    ["~1.2.3", ">=1.2.3,<1.3"],
+    ["~1.2", ">=1.2,<1.3"],
+    ["~1", ">=1,<2"],
+    // wildcard
+    ["*", ""],
+    ["", ""],
+    ["1.2.*", "==1.2.*"],
+    ["^1.2.*", ">=1.2,<2.0"],
+    // pre-releases keep their suffix on the lower bound
+    ["^2.0.0b1", ">=2.0.0b1,<3.0"],
+    ["^1.0.0rc1", ">=1.0.0rc1,<2.0"],
+    ["^0.3.0a2", ">=0.3.0a2,<0.4"],
+    ["~2.0.0-beta.2", ">=2.0.0b2,<2.1"],
+    ["^1.0.0.post1", ">=1.0.0.post1,<2.0"],
+    // plain comparisons
+    ["1.4", "==1.4"],
+    ["=1.4", "==1.4"],
+    [">=1,<2", ">=1,<2"],
+    [">=2.1 <3", ">=2.1,<3"],
+    ["~=1.4", "~=1.4"],
+    ["!=1.5", "!=1.5"],
+    // no PEP 440 equivalent
+    ["^1.2 || ^2", null],
+  ])("%j -> %j", (constraint, expected) => {
+    expect(poetryConstraintToSpecifier(constraint)).toBe(expected);
+  });
+});
+
+test.each([
+  ["^3.9", 'python_version >= "3.9" and python_version < "4.0"'],
+  ["~3.8.1", 'python_full_version >= "3.8.1" and python_version < "3.9"'],
+  ["*", null],
+])("pythonConstraintToMarker(%j)", (constraint, expected) => {
+  expect(pythonConstraintToMarker(constraint)).toBe(expected);
+});
+
+describe("poetryDependencyToRequirement", () => {
+  test.each([
+    ["version string", "^2.31", ["requests>=2.31,<3.0"]],
+    ["extras and markers", { version: "^2.31", extras: ["socks"], python: "^3.9", markers: 'sys_platform == "linux"' }, ['requests[socks]>=2.31,<3.0; python_version >= "3.9" and python_version < "4.0" and (sys_platform == "linux")']],
+    ["git", { git: "https://github.com/psf/requests.git", tag: "v2.31.0" }, ["requests @ git+https://github.com/psf/requests.git@v2.31.0"]],
+    ["url", { url: "https://example.com/requests.whl" }, ["requests @ https://example.com/requests.whl"]],
+    ["multiple constraints", [{ version: "^2.0", python: "<3.8" }, { version: "^2.31", python: ">=3.8" }], ['requests>=2.0,<3.0; python_version < "3.8"', 'requests>=2.31,<3.0; python_version >= "3.8"']],
+  ])("%s", (name, spec, expected) => {
+    expect(poetryDependencyToRequirement("requests", spec).requirements).toEqual(expected);
+  });
+
+  test("local paths become uv sources", () => {
+    expect(poetryDependencyToRequirement("lib", { path: "../lib", develop: true })).toMatchObject({ requirements: ["lib"], source: { path: "../lib", editable: true } });
+  });
+
+  test("keeps the package and notes a constraint it cannot convert", () => {
+    const result = poetryDependencyToRequirement("requests", "^1 || ^2");
+    expect(result.requirements).toEqual(["requests"]);
+    expect(result.notes).toEqual([note("poetry.versionDropped", { name: "requests", constraint: "^1 || ^2" })]);
+  });
+});
+
+test.each([
+  ["Jane Doe <jane@example.com>", { name: "Jane Doe", email: "jane@example.com" }],
+  ["Jane Doe", { name: "Jane Doe" }],
+])("parsePerson(%j)", (person, expected) => {
+  expect(parsePerson(person)).toEqual(expected);
+});
+
+test("migratePoetry converts metadata, dependencies, groups and scripts", () => {
+  const { tool } = TOML.parse(`
+[tool.poetry]
+name = "mylib-core"
+version = "2.0.0b1"
+description = "Demo"
+authors = ["Jane Doe <jane@example.com>"]
+homepage = "https://example.com"
+packages = [{ include = "mylib" }]
+
+[tool.poetry.dependencies]
+python = "^3.9"
+requests = "^2.31"
+rich = { version = "^13", optional = true }
+
+[tool.poetry.extras]
+pretty = ["rich"]
+
+[tool.poetry.group.dev.dependencies]
+pytest = "^8.0"
+
+[tool.poetry.scripts]
+mylib = "mylib.cli:main"
+`);
+  const result = migratePoetry(tool.poetry);
+
+  expect(result.project).toEqual({
+    name: "mylib-core",
+    version: "2.0.0b1",
+    description: "Demo",
+    authors: [{ name: "Jane Doe", email: "jane@example.com" }],
+    urls: { Homepage: "https://example.com" },
+    "requires-python": ">=3.9,<4.0",
+    dependencies: ["requests>=2.31,<3.0"],
+    "optional-dependencies": { pretty: ["rich>=13,<14"] },
+    scripts: { mylib: "mylib.cli:main" },
+  });
+  expect(result.dependencyGroups).toEqual({ dev: ["pytest>=8.0,<9.0"] });
+  expect(result.hatch.packages).toEqual(["mylib"]);
+  expect(result.notes).toEqual([]);
+});
@@ -0,0 +1,57 @@
+const fs = require("fs");
+const path = require("path");
+const { LOCALES, DEFAULT_LOCALE, renderTemplate, message } = require("./messages");
+
+/**
+ * PR 说明模板（assets/pr-templates/<语言>.md）与语言判断
+ *
+ * 模板中的 {{变量名}} 由 renderTemplate 替换，说明中的可选段落见 messages.js。
+ */
+
+const TEMPLATE_DIR = path.join(process.cwd(), "assets/pr-templates");
+
+/**
+ * 按 README 中中日韩文字的比例判断语言
+ * @param {string} readme
+ * @returns {string}
+ */
+function detectLocale(readme) {
+  const text = String(readme || "")
+    .replace(/```[\s\S]*?```/g, "") // 代码块
+    .replace(/<[^>]+>|https?:\/\/\S+/g, ""); // HTML 标签和链接
+  const cjk = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g) || []).length;
+  const words = (text.match(/[A-Za-z]+/g) || []).length;
+  if (cjk === 0 && words === 0) return DEFAULT_LOCALE;
+  // 一个汉字大致相当于半个英文单词
+  return cjk >= words * 0.5 ? "zh-CN" : "en";
+}
+
+/**
+ * 确定 PR 使用的语言：配置优先，否则按 README 判断
+ * @param {string|null} configured - .github/quick2uv.yml 中的 language
+ * @param {string} readme
+ * @returns {string}
+ */
+function resolveLocale(configured, readme) {
+  return LOCALES.includes(configured) ? configured : detectLocale(readme);
+}
+
+/**
+ * 渲染 PR 说明
+ * @param {string} locale
+ * @param {Object<string, *>} vars
+ * @returns {string}
+ */
+function renderPrBody(locale, vars) {
+  const file = path.join(TEMPLATE_DIR, `${LOCALES.includes(locale) ? locale : DEFAULT_LOCALE}.md`);
+  return renderTemplate(fs.readFileSync(file, "utf8"), vars);
+}
+
+module.exports = {
+  LOCALES,
+  renderTemplate,
+  detectLocale,
+  resolveLocale,
+  message,
+  renderPrBody,
+};
@@ -0,0 +1,444 @@
+const TOML = require("smol-toml");
+const { parseSpecifierSet } = require("./pep440");
+const { scanLines } = require("./entry-wrapper");
+const { PYTHON_VERSIONS, supportsPython } = require("./workflow-generator");
+const { setKey, removeKey, formatString, formatValue } = require("./toml-edit");
+const { note } = require("./messages");
+
+/**
+ * 项目元数据推断：requires-python、license（PEP 639）和 classifiers
+ *
+ * requires-python 的依据（按优先级）：
+ * 1. setup.py / setup.cfg / Pipfile 中声明的版本要求，原样使用
+ * 2. 测试过的版本：tox.ini 的 envlist、GitHub Actions 中的 python-version 矩阵，取最低版本
+ * 3. 固定的运行版本：.python-version、runtime.txt
+ * 源码中用到的语法特性（海象运算符、match 语句、签名中的 X | Y 联合类型）会抬高 2、3 得到的下限。
+ *
+ * license 优先取 GitHub 许可证 API 的识别结果，否则按根目录许可证文件的正文识别，写成 SPDX 表达式，
+ * 并用 license-files 指向许可证文件。按 PEP 639，使用 SPDX 表达式时不能再有 License :: 分类。
+ */
+
+const DEFAULT_MINIMUM = "3.8";
+const VERSION_FILES = [".python-version", "runtime.txt", "tox.ini"];
+const WORKFLOW_RE = /^\.github\/workflows\/[^/]+\.ya?ml$/;
+const LICENSE_FILE_RE = /^(?:licen[cs]e|copying)(?:[.-][\w.-]+)?$/i;
+
+// GitHub 仍使用的旧 SPDX 标识；无法区分 -only / -or-later，保守地按 -only 填写并提示确认
+const DEPRECATED_SPDX = {
+  "GPL-2.0": "GPL-2.0-only",
+  "GPL-3.0": "GPL-3.0-only",
+  "LGPL-2.0": "LGPL-2.0-only",
+  "LGPL-2.1": "LGPL-2.1-only",
+  "LGPL-3.0": "LGPL-3.0-only",
+  "AGPL-3.0": "AGPL-3.0-only",
+};
+
+// 许可证正文特征 -> SPDX 标识，按顺序匹配（GPL 正文中会提到 LGPL / AGPL，因此标题按大写严格匹配）
+const LICENSE_PATTERNS = [
+  { id: "AGPL-3.0-only", patterns: [/GNU AFFERO GENERAL PUBLIC LICENSE/, /Version 3\b/] },
+  { id: "LGPL-3.0-only", patterns: [/GNU LESSER GENERAL PUBLIC LICENSE/, /Version 3\b/] },
+  { id: "LGPL-2.1-only", patterns: [/GNU LESSER GENERAL PUBLIC LICENSE/, /Version 2\.1\b/] },
+  { id: "GPL-3.0-only", patterns: [/GNU GENERAL PUBLIC LICENSE/, /Version 3\b/] },
+  { id: "GPL-2.0-only", patterns: [/GNU GENERAL PUBLIC LICENSE/, /Version 2\b/] },
+  { id: "Apache-2.0", patterns: [/Apache License/i, /Version 2\.0/i] },
+  { id: "MPL-2.0", patterns: [/Mozilla Public License,? (?:Version|v\.?) 2\.0/i] },
+  { id: "BSD-3-Clause", patterns: [/Redistribution and use in source and binary forms/i, /Neither the name|The name of the author may not be used/i] },
+  { id: "BSD-2-Clause", patterns: [/Redistribution and use in source and binary forms/i] },
+  { id: "ISC", patterns: [/Permission to use, copy, modify, and\/?or distribute this software for any purpose/i, /provided that the above copyright notice/i] },
+  { id: "MIT", patterns: [/Permission is hereby granted, free of charge/i] },
+  { id: "BSL-1.0", patterns: [/Boost Software License - Version 1\.0/i] },
+  { id: "Unlicense", patterns: [/This is free and unencumbered software released into the public domain/i] },
+  { id: "CC0-1.0", patterns: [/CC0 1\.0 Universal/i] },
+];
+
+// 由 requires-python 决定的分类（包括过时的 Python 2 分类），重新生成时整体替换
+const PYTHON_CLASSIFIER_RE = /^Programming Language :: Python :: [23](\.\d+)?( :: Only)?$/;
+
+/**
+ * Python 小版本号排序用的键（3.10 > 3.9）
+ * @param {string} minor
+ * @returns {number}
+ */
+function minorKey(minor) {
+  const [major, minorNumber] = minor.split(".").map(Number);
+  return major * 100 + minorNumber;
+}
+
+/**
+ * 版本列表中最低的版本
+ * @param {string[]} versions
+ * @returns {string|null}
+ */
+function lowest(versions) {
+  return versions.length > 0 ? versions.reduce((a, b) => (minorKey(b) < minorKey(a) ? b : a)) : null;
+}
+
+/**
+ * 文本中出现的 Python 3 小版本号（3.11.4 -> 3.11），忽略 3.x 这类通配写法
+ * @param {string} text
+ * @returns {string[]}
+ */
+function minorVersions(text) {
+  return [...String(text).matchAll(/(?<![\d.])3\.(\d{1,2})(?!\d)/g)].map((m) => `3.${m[1]}`);
+}
+
+/**
+ * tox.ini 的 envlist 中测试的 Python 版本（展开 py{38,39} 这类写法）
+ * @param {string} content
+ * @returns {string[]}
+ */
+function toxVersions(content) {
+  const envlist = String(content).match(/^envlist\s*=\s*(.*(?:\n[ \t]+\S.*)*)/m);
+  if (!envlist) return [];
+
+  const expand = (item) => {
+    const brace = item.match(/\{([^{}]*)\}/);
+    if (!brace) return [item];
+    return brace[1].split(",").flatMap((part) => expand(item.slice(0, brace.index) + part.trim() + item.slice(brace.index + brace[0].length)));
+  };
+  const envs = (envlist[1].match(/(?:[^,\s{}]|\{[^{}]*\})+/g) || []).flatMap(expand);
+  return envs.flatMap((env) => env.split("-")).flatMap((factor) => {
+    const match = factor.match(/^(?:py)?3\.?(\d{1,2})$/);
+    return match ? [`3.${match[1]}`] : [];
+  });
+}
+
+/**
+ * GitHub Actions 工作流中 python-version（或矩阵中的 python）指定的版本
+ * @param {string} content
+ * @returns {string[]}
+ */
+function workflowVersions(content) {
+  const lines = String(content).split("\n");
+  const versions = [];
+  lines.forEach((line, index) => {
+    const match = line.match(/^(\s*)(?:-\s+)?python(?:-versions?)?\s*:\s*(.*?)\s*(?:#.*)?$/);
+    if (!match || match[2].includes("${{")) return;
+    if (match[2]) {
+      versions.push(...minorVersions(match[2]));
+      return;
+    }
+    // 块状列表：下面缩进更深的 - 项
+    for (const item of lines.slice(index + 1)) {
+      if (item.trim() === "") continue;
+      const listItem = item.match(/^(\s*)-\s*(.*)$/);
+      if (!listItem || listItem[1].length < match[1].length) break;
+      versions.push(...minorVersions(listItem[2]));
+    }
+  });
+  return versions;
+}
+
+/**
+ * 按顶层逗号拆分（忽略括号内的逗号）
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const ch of text) {
+    if ("([{".includes(ch)) depth++;
+    else if (")]}".includes(ch)) depth--;
+    if (ch === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  return [...parts, current];
+}
+
+/**
+ * 函数签名（参数注解或返回值注解）中是否使用了 X | Y 联合类型
+ * @param {string} code - 去掉字符串和注释后的 def 语句
+ * @returns {boolean}
+ */
+function hasUnionAnnotation(code) {
+  const open = code.indexOf("(");
+  if (open === -1) return false;
+  let depth = 0;
+  let close = -1;
+  for (let i = open; i < code.length && close === -1; i++) {
+    if ("([{".includes(code[i])) depth++;
+    else if (")]}".includes(code[i]) && --depth === 0) close = i;
+  }
+  if (close === -1) return false;
+
+  const returns = code.slice(close + 1).match(/^\s*->([^:]*)/);
+  if (returns && returns[1].includes("|")) return true;
+  return splitTopLevel(code.slice(open + 1, close)).some((param) => {
+    // 去掉默认值（flags=re.I | re.M 不是类型注解）
+    const annotation = splitTopLevel(param.replace(/=/g, ",="))[0];
+    const colon = annotation.indexOf(":");
+    return colon !== -1 && annotation.slice(colon + 1).includes("|");
+  });
+}
+
+/**
+ * 把物理行合并为逻辑语句（去掉字符串内容和注释）
+ * @param {string} content
+ * @returns {Array<{line: number, code: string}>}
+ */
+function logicalStatements(content) {
+  const statements = [];
+  scanLines(content).lines.forEach((line, index) => {
+    if (line.continued && statements.length > 0) statements[statements.length - 1].code += ` ${line.code.trim()}`;
+    else statements.push({ line: index + 1, code: line.code });
+  });
+  return statements.filter((s) => s.code.trim() !== "");
+}
+
+/**
+ * 源码中需要较新 Python 版本的语法特性
+ * @param {string} filePath
+ * @param {string} content
+ * @returns {Array<{feature: string, version: string, file: string, line: number}>} feature 为 metadata.feature.* 文案的键
+ */
+function syntaxFeatures(filePath, content) {
+  const statements = logicalStatements(content);
+  // 延迟求值的注解不受运行时版本限制
+  const lazyAnnotations = statements.some((s) => /^from\s+__future__\s+import\s+.*\bannotations\b/.test(s.code.trim()));
+  const found = [];
+  const add = (feature, version, statement) => {
+    if (!found.some((f) => f.feature === feature)) found.push({ feature, version, file: filePath, line: statement.line });
+  };
+
+  statements.forEach((statement, index) => {
+    const { code } = statement;
+    if (code.includes(":=")) add("walrus", "3.8", statement);
+    const next = statements[index + 1];
+    if (/^\s*match\s*[^\s=.,:)\]].*:\s*$/.test(code) && next && /^\s+case\b.*:/.test(next.code)) add("match", "3.10", statement);
+    if (!lazyAnnotations && /^\s*(?:async\s+)?def\s/.test(code) && hasUnionAnnotation(code)) add("unionAnnotation", "3.10", statement);
+  });
+  return found;
+}
+
+/**
+ * 推断 requires-python
+ * @param {object} options
+ * @param {string|null} [options.declared] - 打包配置中声明的版本要求（convertDependencies 的 requiresPython）
+ * @param {Object<string, string>} [options.files] - 版本相关文件：.python-version、runtime.txt、tox.ini、工作流
+ * @param {Object<string, string>} [options.sources] - Python 源码，用于检查语法特性
+ * @returns {{specifier: string, inferred: boolean, evidence: object[], warnings: object[]}}
+ */
+function inferRequiresPython({ declared = null, files = {}, sources = {} }) {
+  const evidence = [];
+  const warnings = [];
+  const features = Object.entries(sources).flatMap(([file, content]) => syntaxFeatures(file, content));
+  const syntax = features.reduce((best, f) => (!best || minorKey(f.version) > minorKey(best.version) ? f : best), null);
+  const syntaxNote = syntax && note("metadata.syntax", { ...syntax, feature: note(`metadata.feature.${syntax.feature}`) });
+
+  const clauses = declared && parseSpecifierSet(declared);
+  if (clauses) {
+    evidence.push(note("metadata.declared", { specifier: declared }));
+    const allowed = lowest(PYTHON_VERSIONS.filter((minor) => supportsPython(minor, clauses)));
+    if (syntax && allowed && minorKey(allowed) < minorKey(syntax.version)) {
+      warnings.push(note("metadata.declaredTooLow", { allowed, syntax: syntaxNote }));
+    }
+    return { specifier: declared, inferred: true, evidence, warnings };
+  }
+
+  const tested = [];
+  const pinned = [];
+  for (const [file, content] of Object.entries(files)) {
+    const versions =
+      file === "tox.ini" ? toxVersions(content) : WORKFLOW_RE.test(file) ? workflowVersions(content) : minorVersions(content.replace(/^\s*#.*$/gm, ""));
+    if (versions.length === 0) continue;
+    const unique = [...new Set(versions)].sort((a, b) => minorKey(a) - minorKey(b));
+    const key = file === "tox.ini" ? "metadata.toxVersions" : WORKFLOW_RE.test(file) ? "metadata.ciVersions" : "metadata.versions";
+    evidence.push(note(key, { file, versions: unique }));
+    (file === "tox.ini" || WORKFLOW_RE.test(file) ? tested : pinned).push(...unique);
+  }
+
+  let minimum = lowest(tested) || lowest(pinned);
+  if (syntax) {
+    if (minimum && minorKey(minimum) < minorKey(syntax.version)) {
+      warnings.push(note(tested.length > 0 ? "metadata.testedTooLow" : "metadata.pinnedTooLow", { minimum, syntax: syntaxNote, version: syntax.version }));
+    }
+    if (!minimum || minorKey(minimum) < minorKey(syntax.version)) minimum = syntax.version;
+    evidence.push(syntaxNote);
+  }
+
+  if (!minimum) {
+    evidence.push(note("metadata.defaultPython", { version: DEFAULT_MINIMUM }));
+    return { specifier: `>=${DEFAULT_MINIMUM}`, inferred: false, evidence, warnings };
+  }
+  return { specifier: `>=${minimum}`, inferred: true, evidence, warnings };
+}
+
+/**
+ * 按许可证正文识别 SPDX 标识（文件中有 SPDX-License-Identifier 时直接使用）
+ * @param {string} text
+ * @returns {string|null}
+ */
+function licenseFromText(text) {
+  const declared = String(text).match(/SPDX-License-Identifier:\s*([\w.+-]+(?:\s+(?:AND|OR|WITH)\s+[\w.+-]+)*)/);
+  if (declared) return DEPRECATED_SPDX[declared[1]] || declared[1];
+  const normalized = String(text).replace(/\s+/g, " ");
+  const match = LICENSE_PATTERNS.find(({ patterns }) => patterns.every((re) => re.test(normalized)));
+  return match ? match.id : null;
+}
+
+/**
+ * 根目录下的许可证文件
+ * @param {string[]} paths
+ * @returns {string[]}
+ */
+function licenseFiles(paths) {
+  return paths.filter((p) => !p.includes("/") && LICENSE_FILE_RE.test(p));
+}
+
+/**
+ * 推断许可证
+ * @param {object} options
+ * @param {{spdx_id: string|null, path?: string}|null} [options.apiLicense] - GitHub 许可证 API 的结果
+ * @param {Object<string, string>} [options.files] - 根目录许可证文件的内容
+ * @returns {{expression: string|null, files: string[], evidence: object[], warnings: object[]}}
+ */
+function inferLicense({ apiLicense = null, files = {} }) {
+  const spdxId = apiLicense && apiLicense.spdx_id;
+  if (spdxId && spdxId !== "NOASSERTION") {
+    const expression = DEPRECATED_SPDX[spdxId] || spdxId;
+    const paths = apiLicense.path ? [apiLicense.path] : Object.keys(files);
+    const warnings = DEPRECATED_SPDX[spdxId] ? [note("metadata.licenseAmbiguous", { spdxId, expression })] : [];
+    const evidence = apiLicense.path ? note("metadata.licenseApiFile", { spdxId, file: apiLicense.path }) : note("metadata.licenseApi", { spdxId });
+    return { expression, files: paths, evidence: [evidence], warnings };
+  }
+
+  const paths = Object.keys(files);
+  if (paths.length === 0) return { expression: null, files: [], evidence: [note("metadata.noLicenseFile")], warnings: [] };
+
+  const recognized = paths.map((file) => ({ file, id: licenseFromText(files[file]) })).filter((r) => r.id);
+  const ids = [...new Set(recognized.map((r) => r.id))];
+  const evidence = recognized.map((r) => note("metadata.licenseText", { file: r.file, id: r.id }));
+  if (ids.length === 0) {
+    return {
+      expression: null,
+      files: paths,
+      evidence: [note("metadata.licenseUnmatched", { files: paths.map((p) => `\`${p}\``) })],
+      warnings: [note("metadata.licenseUnknown", { files: paths.map((p) => `\`${p}\``) })],
+    };
+  }
+  // 多个不同的许可证文件通常表示双重许可
+  const expression = ids.join(" OR ");
+  const warnings = ids.length > 1 ? [note("metadata.dualLicense", { expression })] : [];
+  return { expression, files: paths, evidence, warnings };
+}
+
+/**
+ * 由 requires-python 决定的 Python 版本分类
+ * @param {string|undefined} requiresPython
+ * @returns {string[]}
+ */
+function pythonClassifiers(requiresPython) {
+  const clauses = parseSpecifierSet(requiresPython || "") || [];
+  return [
+    "Programming Language :: Python :: 3",
+    "Programming Language :: Python :: 3 :: Only",
+    ...PYTHON_VERSIONS.filter((minor) => supportsPython(minor, clauses)).map((minor) => `Programming Language :: Python :: ${minor}`),
+  ];
+}
+
+/**
+ * 生成 classifiers（不含 License :: 分类，见 PEP 639）
+ * @param {object} options
+ * @param {string} options.requiresPython
+ * @param {boolean} [options.typed] - 包中有 py.typed
+ * @returns {string[]}
+ */
+function buildClassifiers({ requiresPython, typed = false }) {
+  return ["Operating System :: OS Independent", ...pythonClassifiers(requiresPython), ...(typed ? ["Typing :: Typed"] : [])];
+}
+
+/**
+ * 收集依据并推断 requires-python、许可证和 classifiers
+ * @param {object} options
+ * @param {object} options.octokit
+ * @param {string} options.owner
+ * @param {string} options.repo
+ * @param {object} options.snapshot - createSnapshot 的结果
+ * @param {object|null} options.packageLayout - detectPackages 的结果
+ * @param {Object<string, string>} [options.sources] - Python 源码（sourceFiles），用于检查语法特性
+ * @param {string|null} [options.declaredPython] - 打包配置中声明的版本要求
+ * @returns {Promise<{requiresPython: object, license: object, classifiers: string[]}>}
+ */
+async function inferMetadata({ octokit, owner, repo, snapshot, packageLayout, sources = {}, declaredPython = null }) {
+  const workflows = snapshot.paths.filter((p) => WORKFLOW_RE.test(p));
+  const [versionFiles, licenseTexts, apiLicense] = await Promise.all([
+    snapshot.readMany([...VERSION_FILES, ...workflows]),
+    snapshot.readMany(licenseFiles(snapshot.paths)),
+    octokit.licenses
+      .getForRepo({ owner, repo })
+      .then(({ data }) => ({ spdx_id: data.license && data.license.spdx_id, path: data.path }))
+      .catch(() => null), // 404：GitHub 没有识别出许可证
+  ]);
+
+  const requiresPython = inferRequiresPython({ declared: declaredPython, files: versionFiles, sources });
+  const typed = (packageLayout ? packageLayout.packages : []).some((p) => snapshot.paths.includes(`${p.path}/py.typed`));
+  return {
+    requiresPython,
+    license: inferLicense({ apiLicense, files: licenseTexts }),
+    classifiers: buildClassifiers({ requiresPython: requiresPython.specifier, typed }),
+  };
+}
+
+/**
+ * 将推断结果写入 pyproject.toml 的 [project]
+ * @param {string} text
+ * @param {object} metadata - inferMetadata 的结果
+ * @returns {string}
+ */
+function applyMetadata(text, { requiresPython, license, classifiers }) {
+  let result = setKey(text, "project", "requires-python", formatString(requiresPython.specifier));
+  if (license.expression) result = setKey(result, "project", "license", formatString(license.expression));
+  if (license.files.length > 0) result = setKey(result, "project", "license-files", formatValue(license.files));
+  return setKey(result, "project", "classifiers", formatValue(classifiers, { multiline: true }));
+}
+
+/**
+ * 让 classifiers 与最终的 requires-python 和 license 保持一致
+ *
+ * 配置覆盖、与原有文件合并或 AI 改写后，Python 版本分类可能与 requires-python 不符；
+ * license 为 SPDX 表达式时去掉 License :: 分类，license 为旧的表格写法时去掉 license-files（PEP 639 不允许混用）。
+ * @param {string} text
+ * @returns {string}
+ */
+function syncClassifiers(text) {
+  let project;
+  try {
+    project = TOML.parse(text).project || {};
+  } catch (e) {
+    return text;
+  }
+
+  let result = text;
+  if (project.license !== undefined && typeof project.license !== "string" && project["license-files"] !== undefined) {
+    result = removeKey(result, "project", "license-files");
+  }
+
+  const classifiers = project.classifiers;
+  if (!Array.isArray(classifiers)) return result;
+  const dropLicense = typeof project.license === "string";
+  const kept = classifiers.filter((c) => !PYTHON_CLASSIFIER_RE.test(c) && !(dropLicense && /^License :: /.test(c)));
+  // 版本分类放回原来的位置（原来没有时放在末尾）
+  const first = classifiers.findIndex((c) => PYTHON_CLASSIFIER_RE.test(c));
+  const at = first === -1 ? kept.length : classifiers.slice(0, first).filter((c) => kept.includes(c)).length;
+  const synced = [...kept.slice(0, at), ...pythonClassifiers(project["requires-python"]), ...kept.slice(at)];
+
+  if (JSON.stringify(synced) === JSON.stringify(classifiers)) return result;
+  return setKey(result, "project", "classifiers", formatValue(synced, { multiline: true }));
+}
+
+module.exports = {
+  inferMetadata,
+  inferRequiresPython,
+  inferLicense,
+  licenseFromText,
+  syntaxFeatures,
+  buildClassifiers,
+  applyMetadata,
+  syncClassifiers,
+};
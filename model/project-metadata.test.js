@@ -0,0 +1,166 @@
+const { inferRequiresPython, inferLicense, licenseFromText, syntaxFeatures, buildClassifiers, syncClassifiers } = require("./project-metadata");
+const { note } = require("./messages");
+
+const WORKFLOW = ".github/workflows/test.yml";
+
+describe("inferRequiresPython", () => {
+  test.each([
+    ["a brace-expanded tox envlist", { "tox.ini": "[tox]\nenvlist = py{38,39}-django{3,4}, lint\n" }, ">=3.8", note("metadata.toxVersions", { file: "tox.ini", versions: ["3.8", "3.9"] })],
+    ["a multi-line tox envlist", { "tox.ini": "[tox]\nenvlist =\n    py3{10,11,12}\n    docs\n" }, ">=3.10", note("metadata.toxVersions", { file: "tox.ini", versions: ["3.10", "3.11", "3.12"] })],
+    ["an inline workflow matrix", { [WORKFLOW]: 'jobs:\n  test:\n    strategy:\n      matrix:\n        python-version: [ "3.9", "3.12" ]\n' }, ">=3.9", note("metadata.ciVersions", { file: WORKFLOW, versions: ["3.9", "3.12"] })],
+    ["a block-list workflow matrix", { [WORKFLOW]: 'matrix:\n  python:\n    - "3.11"\n    - "3.10"  # oldest\nsteps:\n  - uses: actions/setup-python@v5\n    with:\n      python-version: ${{ matrix.python }}\n' }, ">=3.10", note("metadata.ciVersions", { file: WORKFLOW, versions: ["3.10", "3.11"] })],
+    ["a pinned .python-version", { ".python-version": "3.11.4\n" }, ">=3.11", note("metadata.versions", { file: ".python-version", versions: ["3.11"] })],
+  ])("reads %s", (name, files, specifier, evidence) => {
+    expect(inferRequiresPython({ files })).toEqual({ specifier, inferred: true, evidence: [evidence], warnings: [] });
+  });
+
+  test("prefers tested versions over pinned ones", () => {
+    expect(inferRequiresPython({ files: { "runtime.txt": "python-3.12.1\n", "tox.ini": "[tox]\nenvlist = py39\n" } }).specifier).toBe(">=3.9");
+  });
+
+  test("ignores a workflow that only references a matrix variable", () => {
+    expect(inferRequiresPython({ files: { [WORKFLOW]: "python-version: ${{ matrix.python-version }}\n" } })).toEqual({
+      specifier: ">=3.8",
+      inferred: false,
+      evidence: [note("metadata.defaultPython", { version: "3.8" })],
+      warnings: [],
+    });
+  });
+
+  test("raises a tested minimum below the syntax in use and warns", () => {
+    const result = inferRequiresPython({ files: { "tox.ini": "[tox]\nenvlist = py{38,312}\n" }, sources: { "pkg/cli.py": "def run(path: str | None = None):\n    pass\n" } });
+    expect(result.specifier).toBe(">=3.10");
+    expect(result.warnings.map((w) => w.key)).toEqual(["metadata.testedTooLow"]);
+  });
+
+  test("keeps a declared specifier and warns when the syntax needs more", () => {
+    const result = inferRequiresPython({ declared: ">=3.8", files: { "tox.ini": "[tox]\nenvlist = py312\n" }, sources: { "pkg/cli.py": "match cmd:\n    case 'a':\n        pass\n" } });
+    expect(result.specifier).toBe(">=3.8");
+    expect(result.warnings.map((w) => w.key)).toEqual(["metadata.declaredTooLow"]);
+  });
+});
+
+describe("syntaxFeatures", () => {
+  test.each([
+    ["a union parameter annotation", "def f(x: int | None):\n    pass\n", ["unionAnnotation"]],
+    ["a union return annotation", "def f() -> int | str:\n    pass\n", ["unionAnnotation"]],
+    ["a union annotation across lines", "async def f(\n    x: Optional[int],\n    y: dict[str, int | None],\n):\n    pass\n", ["unionAnnotation"]],
+    ["a | in a default value", "def f(flags=re.I | re.M):\n    pass\n", []],
+    ["a | in an annotated default value", "def f(flags: int = re.I | re.M):\n    pass\n", []],
+    ["postponed annotations", "from __future__ import annotations\n\ndef f(x: int | None):\n    pass\n", []],
+    ["a | inside a string", "def f(x: 'int | None'):\n    pass\n", []],
+    ["a | outside a signature", "mask = a | b\n", []],
+    ["the walrus operator", "if (n := len(a)) > 10:\n    pass\n", ["walrus"]],
+    ["a match statement", "match command:\n    case 'go':\n        pass\n", ["match"]],
+    ["a variable named match", "match = re.match(p, s)\n", []],
+  ])("detects %s", (name, source, features) => {
+    expect(syntaxFeatures("pkg/mod.py", source).map((f) => f.feature)).toEqual(features);
+  });
+
+  test("reports the file and line of the first use", () => {
+    expect(syntaxFeatures("pkg/mod.py", "import os\n\n\ndef f(x: int | None):\n    pass\n")).toEqual([{ feature: "unionAnnotation", version: "3.10", file: "pkg/mod.py", line: 4 }]);
+  });
+});
+
+describe("licenseFromText", () => {
+  const gpl = (title, version) => `${title}\n                       Version ${version}, June 2007\n\n Everyone is permitted to copy ... GNU Lesser General Public License ...`;
+
+  test.each([
+    ["GPL v2", gpl("GNU GENERAL PUBLIC LICENSE", "2"), "GPL-2.0-only"],
+    ["GPL v3", gpl("GNU GENERAL PUBLIC LICENSE", "3"), "GPL-3.0-only"],
+    ["LGPL v2.1", gpl("GNU LESSER GENERAL PUBLIC LICENSE", "2.1"), "LGPL-2.1-only"],
+    ["LGPL v3", gpl("GNU LESSER GENERAL PUBLIC LICENSE", "3"), "LGPL-3.0-only"],
+    ["AGPL v3", gpl("GNU AFFERO GENERAL PUBLIC LICENSE", "3"), "AGPL-3.0-only"],
+    ["MIT", "MIT License\n\nPermission is hereby granted, free of charge, to any person", "MIT"],
+    ["BSD-3-Clause", "Redistribution and use in source and binary forms, with or without\nmodification... Neither the name of the copyright holder", "BSD-3-Clause"],
+    ["BSD-2-Clause", "Redistribution and use in source and binary forms, with or without modification", "BSD-2-Clause"],
+    ["a deprecated SPDX identifier", "# SPDX-License-Identifier: GPL-2.0\n", "GPL-2.0-only"],
+    ["an SPDX expression", "SPDX-License-Identifier: MIT OR Apache-2.0\n", "MIT OR Apache-2.0"],
+    ["unknown text", "All rights reserved.", null],
+  ])("recognizes %s", (name, text, expected) => {
+    expect(licenseFromText(text)).toBe(expected);
+  });
+});
+
+describe("inferLicense", () => {
+  test("maps a deprecated API identifier to -only and asks for confirmation", () => {
+    expect(inferLicense({ apiLicense: { spdx_id: "GPL-3.0", path: "COPYING" } })).toEqual({
+      expression: "GPL-3.0-only",
+      files: ["COPYING"],
+      evidence: [note("metadata.licenseApiFile", { spdxId: "GPL-3.0", file: "COPYING" })],
+      warnings: [note("metadata.licenseAmbiguous", { spdxId: "GPL-3.0", expression: "GPL-3.0-only" })],
+    });
+  });
+
+  test("joins different license files as a dual license", () => {
+    const result = inferLicense({ apiLicense: { spdx_id: "NOASSERTION" }, files: { "LICENSE-MIT": "Permission is hereby granted, free of charge", "LICENSE-APACHE": "Apache License\nVersion 2.0, January 2004" } });
+    expect(result.expression).toBe("MIT OR Apache-2.0");
+    expect(result.files).toEqual(["LICENSE-MIT", "LICENSE-APACHE"]);
+    expect(result.warnings).toEqual([note("metadata.dualLicense", { expression: "MIT OR Apache-2.0" })]);
+  });
+
+  test.each([
+    ["no license file", {}, null, "metadata.noLicenseFile"],
+    ["an unrecognized license file", { LICENSE: "All rights reserved." }, null, "metadata.licenseUnmatched"],
+  ])("leaves the license empty with %s", (name, files, expression, key) => {
+    const result = inferLicense({ files });
+    expect(result.expression).toBe(expression);
+    expect(result.evidence.map((e) => e.key)).toEqual([key]);
+  });
+});
+
+describe("classifiers", () => {
+  test.each([
+    [">=3.11", false, ["3.11", "3.12", "3.13"], []],
+    [">=3.8,<3.10", true, ["3.8", "3.9"], ["Typing :: Typed"]],
+  ])("buildClassifiers for %s (typed: %s)", (requiresPython, typed, minors, extra) => {
+    expect(buildClassifiers({ requiresPython, typed })).toEqual([
+      "Operating System :: OS Independent",
+      "Programming Language :: Python :: 3",
+      "Programming Language :: Python :: 3 :: Only",
+      ...minors.map((minor) => `Programming Language :: Python :: ${minor}`),
+      ...extra,
+    ]);
+  });
+
+  test("syncClassifiers replaces stale Python classifiers in place and drops License classifiers", () => {
+    const text = [
+      "[project]",
+      'name = "demo"',
+      'requires-python = ">=3.12"',
+      'license = "MIT"',
+      "classifiers = [",
+      '    "Development Status :: 4 - Beta",',
+      '    "License :: OSI Approved :: MIT License",',
+      '    "Programming Language :: Python :: 2.7",',
+      '    "Programming Language :: Python :: 3.8",',
+      '    "Topic :: Utilities",',
+      "]",
+      "",
+    ].join("\n");
+    expect(syncClassifiers(text)).toContain(
+      [
+        "classifiers = [",
+        '    "Development Status :: 4 - Beta",',
+        '    "Programming Language :: Python :: 3",',
+        '    "Programming Language :: Python :: 3 :: Only",',
+        '    "Programming Language :: Python :: 3.12",',
+        '    "Programming Language :: Python :: 3.13",',
+        '    "Topic :: Utilities",',
+        "]",
+      ].join("\n"),
+    );
+  });
+
+  test.each([
+    ["classifiers already in sync", '[project]\nrequires-python = ">=3.13"\nclassifiers = ["Programming Language :: Python :: 3", "Programming Language :: Python :: 3 :: Only", "Programming Language :: Python :: 3.13"]\n'],
+    ["no classifiers", '[project]\nrequires-python = ">=3.13"\n'],
+    ["invalid TOML", "[project\n"],
+  ])("syncClassifiers leaves %s unchanged", (name, text) => {
+    expect(syncClassifiers(text)).toBe(text);
+  });
+
+  test("syncClassifiers drops license-files next to a legacy license table", () => {
+    expect(syncClassifiers('[project]\nlicense = { text = "MIT" }\nlicense-files = ["LICENSE"]\n')).not.toContain("license-files");
+  });
+});
@@ -0,0 +1,173 @@
+const fs = require("fs");
+const path = require("path");
+const { fileURLToPath } = require("url");
+const TOML = require("smol-toml");
+const { PROJECT_NAME_RE } = require("./pyproject-validator");
+
+/**
+ * PyPI 包名检查
+ *
+ * 通过 PyPI JSON API（GET <index>/pypi/<name>/json）判断包名是否已被占用，名字按 PEP 503 规范化后比较。
+ * 被占用时，如果 PyPI 上的项目链接指向本仓库，视为仓库自己的包；否则依次尝试 owner-repo 等备选名。
+ *
+ * 环境变量 Q2U_PYPI_URL：
+ * - 默认 https://pypi.org（发布到 TestPyPI 时为 https://test.pypi.org）
+ * - 其他地址：兼容 JSON API 的镜像或本地服务
+ * - file:///path/to/dir：本地替身，dir 下存在 <规范化名>.json 即视为已被占用（内容同 JSON API 的响应）
+ * - none：不检查，直接使用首选名
+ */
+
+const DEFAULT_PYPI_URL = "https://pypi.org";
+const TESTPYPI_URL = "https://test.pypi.org";
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * PEP 503 规范化包名（My_Tool.Name -> my-tool-name）
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[-_.]+/g, "-");
+}
+
+/**
+ * 把仓库名等任意字符串整理为合法的包名（非法字符替换为 -，去掉首尾的分隔符），无法整理时返回 null
+ * @param {string} name
+ * @returns {string|null}
+ */
+function sanitizeName(name) {
+  const cleaned = String(name || "")
+    .replace(/[^A-Za-z0-9._-]+/g, "-")
+    .replace(/^[._-]+|[._-]+$/g, "");
+  return PROJECT_NAME_RE.test(cleaned) ? cleaned : null;
+}
+
+/**
+ * 包名备选列表：首选名、owner-repo、repo-py、py-repo（去重，按规范化名）
+ * @param {string} owner
+ * @param {string} repoName
+ * @param {string} [preferred] - 配置中指定的包名
+ * @returns {string[]}
+ */
+function nameCandidates(owner, repoName, preferred) {
+  const base = sanitizeName(repoName) || "package";
+  const names = [preferred, base, `${owner}-${base}`, `${base}-py`, `py-${base}`].map(sanitizeName).filter(Boolean);
+  const seen = new Set();
+  return names.filter((name) => {
+    const normalized = normalizeName(name);
+    if (seen.has(normalized)) return false;
+    seen.add(normalized);
+    return true;
+  });
+}
+
+/**
+ * 查询包名在索引上的信息
+ * @param {string} name
+ * @param {string} indexUrl
+ * @returns {Promise<object|null|undefined>} 已占用时返回项目信息，未占用返回 null，无法确定返回 undefined
+ */
+async function lookupProject(name, indexUrl) {
+  const normalized = normalizeName(name);
+
+  if (indexUrl.startsWith("file:")) {
+    const file = path.join(fileURLToPath(indexUrl), `${normalized}.json`);
+    if (!fs.existsSync(file)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8")).info || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  try {
+    const response = await fetch(`${indexUrl.replace(/\/+$/, "")}/pypi/${normalized}/json`, {
+      headers: { Accept: "application/json" },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) return undefined;
+    return (await response.json()).info || {};
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * PyPI 上的项目是否指向该仓库（项目链接或主页包含仓库地址）
+ * @param {object} info - JSON API 响应中的 info
+ * @param {string} repoUrl - 如 https://github.com/owner/repo
+ * @returns {boolean}
+ */
+function belongsToRepo(info, repoUrl) {
+  const target = repoUrl.toLowerCase().replace(/\/+$/, "");
+  const urls = [info.home_page, info.project_url, ...Object.values(info.project_urls || {})].filter((u) => typeof u === "string");
+  return urls.some((url) => {
+    const normalized = url.toLowerCase().replace(/(\.git)?\/*$/, "");
+    return normalized === target || normalized.startsWith(`${target}/`);
+  });
+}
+
+/**
+ * 选出可用的 PyPI 包名
+ * @param {object} options
+ * @param {string} options.owner
+ * @param {string} options.repoName
+ * @param {string} options.repoUrl - 仓库网页地址
+ * @param {string} [options.preferred] - 配置中指定或 pyproject.toml 中已声明的包名（指定时即使被占用也不替换，只给出提示）
+ * @param {string} [options.indexUrl] - 未设置 Q2U_PYPI_URL 时查询的索引
+ * @param {boolean} [options.check=true] - 为 false 时不查询（如关闭发布时）
+ * @param {object} [options.env] - 环境变量（默认 process.env）
+ * @returns {Promise<{name: string, status: "available"|"owned"|"renamed"|"taken"|"unchecked", requested: string, alternatives: string[]}>}
+ *   - renamed：首选名已被占用，自动改用了备选名
+ *   - taken：首选名已被占用且未替换（配置中指定了包名，或没有可用的备选名），alternatives 为可用的备选名
+ */
+async function choosePackageName({ owner, repoName, repoUrl, preferred, indexUrl: defaultIndexUrl = DEFAULT_PYPI_URL, check = true, env = process.env }) {
+  const indexUrl = env.Q2U_PYPI_URL || defaultIndexUrl;
+  const [requested, ...fallbacks] = nameCandidates(owner, repoName, preferred);
+  const result = (name, status, alternatives = []) => ({ name, status, requested, alternatives });
+  if (!check || indexUrl === "none") return result(requested, "unchecked");
+
+  const info = await lookupProject(requested, indexUrl);
+  if (info === undefined) return result(requested, "unchecked");
+  if (info === null) return result(requested, "available");
+  if (belongsToRepo(info, repoUrl)) return result(requested, "owned");
+
+  for (const name of fallbacks) {
+    const fallbackInfo = await lookupProject(name, indexUrl);
+    if (fallbackInfo === undefined) break;
+    const owned = fallbackInfo !== null && belongsToRepo(fallbackInfo, repoUrl);
+    if (fallbackInfo !== null && !owned) continue;
+    // 配置中指定了包名时不替换，只给出备选名
+    if (preferred) return result(requested, "taken", [name]);
+    return result(name, owned ? "owned" : "renamed");
+  }
+  return result(requested, "taken");
+}
+
+/**
+ * pyproject.toml 中声明的包名：[project].name，没有时取 Poetry 的 [tool.poetry].name；
+ * 没有声明、名字不合法或无法解析时返回 null
+ * @param {string} [pyproject]
+ * @returns {string|null}
+ */
+function projectName(pyproject) {
+  if (!pyproject) return null;
+  try {
+    const doc = TOML.parse(pyproject);
+    const name = doc.project?.name ?? doc.tool?.poetry?.name;
+    return typeof name === "string" && PROJECT_NAME_RE.test(name) ? name : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  TESTPYPI_URL,
+  normalizeName,
+  sanitizeName,
+  nameCandidates,
+  lookupProject,
+  choosePackageName,
+  projectName,
+};
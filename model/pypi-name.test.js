@@ -0,0 +1,77 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { normalizeName, sanitizeName, nameCandidates, choosePackageName, projectName } = require("./pypi-name");
+
+const REPO_URL = "https://github.com/octo/py2";
+
+/**
+ * Local stand-in for the PyPI JSON API: one <normalized name>.json per taken name
+ * @param {Object<string, object>} projects - name -> info
+ * @returns {object} env for choosePackageName
+ */
+function fakeIndex(projects) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "q2u-pypi-"));
+  for (const [name, info] of Object.entries(projects)) fs.writeFileSync(path.join(dir, `${normalizeName(name)}.json`), JSON.stringify({ info }));
+  return { Q2U_PYPI_URL: pathToFileURL(dir).href };
+}
+
+test.each([
+  ["My_Tool.Name", "my-tool-name"],
+  ["a--b__c", "a-b-c"],
+])("normalizeName(%j)", (name, expected) => {
+  expect(normalizeName(name)).toBe(expected);
+});
+
+test.each([
+  ["my repo!", "my-repo"],
+  [".hidden_", "hidden"],
+  ["中文", null],
+])("sanitizeName(%j)", (name, expected) => {
+  expect(sanitizeName(name)).toBe(expected);
+});
+
+test("nameCandidates puts the preferred name first and drops duplicates", () => {
+  expect(nameCandidates("octo", "My_Tool", "my-tool")).toEqual(["my-tool", "octo-My_Tool", "My_Tool-py", "py-My_Tool"]);
+});
+
+test.each([
+  ['[project]\nname = "mylib-core"\n', "mylib-core"],
+  ['[tool.poetry]\nname = "mylib-core"\nversion = "1.0"\n', "mylib-core"],
+  ['[project]\nname = "from-project"\n\n[tool.poetry]\nname = "from-poetry"\n', "from-project"],
+  ['[project]\nname = "not valid!"\n', null],
+  ["[build-system]\nrequires = []\n", null],
+  ["not = [toml", null],
+  [undefined, null],
+])("projectName reads the declared name (%#)", (pyproject, expected) => {
+  expect(projectName(pyproject)).toBe(expected);
+});
+
+describe("choosePackageName", () => {
+  const choose = (env, preferred) => choosePackageName({ owner: "octo", repoName: "py2", repoUrl: REPO_URL, preferred, env });
+
+  test("keeps a free name", async () => {
+    expect(await choose(fakeIndex({}))).toMatchObject({ name: "py2", status: "available" });
+  });
+
+  test("keeps a name whose PyPI project links back to the repository", async () => {
+    const env = fakeIndex({ py2: { project_urls: { Source: `${REPO_URL}.git` } } });
+    expect(await choose(env)).toMatchObject({ name: "py2", status: "owned" });
+  });
+
+  test("renames a generated name taken by another project", async () => {
+    const env = fakeIndex({ py2: { home_page: "https://example.com" } });
+    expect(await choose(env)).toMatchObject({ name: "octo-py2", status: "renamed", requested: "py2" });
+  });
+
+  test("checks a declared name and never renames it", async () => {
+    const env = fakeIndex({ "mylib-core": { home_page: "https://example.com" } });
+    expect(await choose(env, "mylib-core")).toEqual({ name: "mylib-core", status: "taken", requested: "mylib-core", alternatives: ["py2"] });
+    expect(await choose(fakeIndex({}), "mylib-core")).toMatchObject({ name: "mylib-core", status: "available" });
+  });
+
+  test("does not check when disabled", async () => {
+    expect(await choose({ Q2U_PYPI_URL: "none" })).toMatchObject({ name: "py2", status: "unchecked" });
+  });
+});
@@ -0,0 +1,136 @@
+const TOML = require("smol-toml");
+const { createPC, collectProjectInfo, createPCbyAI } = require("./pyproject-generator");
+const { createProvider } = require("./llm-provider");
+const { startMockServer } = require("./llm-mock-server");
+const { pipelineStages, reviewAnnotations } = require("./check-report");
+
+// Repository metadata is user-controlled; none of it may change the structure of the generated file
+const HOSTILE_VALUES = [
+  'He said "hi"',
+  "back\\slash \\n \\u0041",
+  "line1\nline2\r\nline3",
+  "$& $1 $' $` $$",
+  '"""triple"""',
+  "'''single'''",
+  "nul\u0000bell\u0007del\u007f",
+  "# not a comment",
+  '"\n[tool.evil]\nx = 1\n#',
+  "'\n[tool.evil]\nx = 1\n#",
+  "\"]\n[tool.evil]\nx = 1\n#",
+  "emoji 🐍 and CJK 中文",
+  "x".repeat(5000),
+  "tab\there",
+  "] = [",
+  '{name = "x"}',
+  "\\",
+  '"',
+  "${{ secrets.PYPI_TOKEN }}",
+];
+
+/**
+ * Repository payload with every free-text field set to the hostile value
+ * @param {string} value
+ * @returns {object}
+ */
+function hostileRepo(value) {
+  return {
+    name: "demo",
+    description: value,
+    owner: { login: "octo", name: value, email: value },
+    topics: [value, "ok"],
+    html_url: "https://github.com/octo/demo",
+  };
+}
+
+describe("createPC with hostile repository metadata", () => {
+  test.each(HOSTILE_VALUES.map((value) => [JSON.stringify(value).slice(0, 40), value]))("%s", (label, value) => {
+    const content = createPC(hostileRepo(value), value);
+    const doc = TOML.parse(content);
+
+    expect(Object.keys(doc).sort()).toEqual(["build-system", "project", "tool"]);
+    expect(Object.keys(doc.tool)).toEqual(["hatch"]);
+    expect(doc.project.name).toBe("demo");
+    expect(doc.project.version).toBe(value);
+    expect(doc.project.description).toBe(value.replace(/\s+/g, " ").trim());
+    expect(doc.project.authors).toEqual([{ name: value, email: value }]);
+    expect(doc.project.keywords).toEqual([value, "ok"]);
+    expect(doc.project.urls).toEqual({
+      Repository: "https://github.com/octo/demo",
+      Releases: "https://github.com/octo/demo/releases",
+    });
+  });
+
+  test("omits an empty author email and falls back to the login", () => {
+    const doc = TOML.parse(createPC({ ...hostileRepo("x"), owner: { login: "octo", name: null, email: null } }, "1.0.0"));
+    expect(doc.project.authors).toEqual([{ name: "octo" }]);
+  });
+
+  test("keeps a hostile repository name out of the scripts comments", () => {
+    const name = 'demo\n[tool.evil]\nx = 1';
+    const doc = TOML.parse(createPC({ ...hostileRepo("x"), name }, "1.0.0"));
+    expect(doc.project.name).toBe(name);
+    expect(doc.tool.evil).toBeUndefined();
+  });
+});
+
+/**
+ * Small Python project served by a read-only octokit stub (blob sha = path)
+ * @returns {Promise<{octokit: object, repo: object, projectInfo: object}>}
+ */
+async function fixtureProject() {
+  const files = {
+    "README.md": "# demo\n\nA small demo tool.\n",
+    "requirements.txt": "requests>=2.31\n",
+    "demo/__init__.py": '__version__ = "0.1.0"\n',
+    "demo/cli.py": "import requests\n\n\ndef main():\n    print(requests.__version__)\n\n\nif __name__ == \"__main__\":\n    main()\n",
+  };
+  const notFound = async () => {
+    throw Object.assign(new Error("Not Found"), { status: 404 });
+  };
+  const octokit = {
+    git: {
+      getTree: async () => ({
+        data: { truncated: false, tree: [{ path: "demo", type: "tree" }, ...Object.keys(files).map((file) => ({ path: file, type: "blob", sha: file, size: files[file].length }))] },
+      }),
+      getBlob: async ({ file_sha }) => ({ data: { encoding: "base64", content: Buffer.from(files[file_sha]).toString("base64") } }),
+    },
+    repos: { getContent: notFound, getLatestRelease: notFound },
+    licenses: { getForRepo: notFound },
+  };
+  const repo = { name: "demo", description: "", owner: { login: "octo" }, topics: [], html_url: "https://github.com/octo/demo", default_branch: "main" };
+  return { octokit, repo, projectInfo: await collectProjectInfo({ octokit, repo }) };
+}
+
+describe("createPCbyAI", () => {
+  let mock;
+  beforeAll(async () => {
+    mock = await startMockServer();
+  });
+  afterAll(() => mock.close());
+
+  test("generates through an OpenAI-compatible server", async () => {
+    const { octokit, repo, projectInfo } = await fixtureProject();
+    const provider = createProvider({ env: { LLM_PROVIDER: "openai", LLM_BASE_URL: mock.url, LLM_MODEL: "mock" } });
+    const result = await createPCbyAI({ octokit, repo, projectInfo, provider, log: { info() {}, warn() {} } });
+
+    expect(mock.requests).toHaveLength(1);
+    expect(mock.requests[0].model).toBe("mock");
+    expect(mock.requests[0].messages[1].content).toContain("demo/cli.py");
+    const doc = TOML.parse(result.pyproject);
+    expect(doc.project.name).toBe("demo");
+    expect(doc.project.dependencies).toEqual(["requests>=2.31"]);
+    expect(doc.project.scripts).toEqual({ demo: "demo.cli:main" });
+  });
+
+  test("reports a disabled provider as disabled rather than failed", async () => {
+    const { octokit, repo, projectInfo } = await fixtureProject();
+    const provider = createProvider({ env: { LLM_PROVIDER: "none" } });
+    await expect(createPCbyAI({ octokit, repo, projectInfo, provider })).rejects.toMatchObject({ disabled: true });
+
+    const analysis = { fileCount: projectInfo.snapshot.paths.length, truncated: false, ...projectInfo };
+    const stages = pipelineStages("en", { analysis, usedAI: false, aiDisabled: true, corrections: [] });
+    expect(stages.find((stage) => stage.name === "AI generation")).toMatchObject({ status: "success", summary: expect.stringContaining("LLM_PROVIDER=none") });
+    const annotations = reviewAnnotations("en", createPC(repo, "0.1.0"), { usedAI: false, aiDisabled: true, corrections: [], analysis });
+    expect(annotations.map((a) => a.title)).not.toContain("Generated from the template");
+  });
+});
@@ -0,0 +1,322 @@
+const TOML = require("smol-toml");
+const { migratePoetry } = require("./poetry-migration");
+const { migratePdm } = require("./pdm-migration");
+const { note } = require("./messages");
+const {
+  parseLayout,
+  setKey,
+  replaceTable,
+  removeTable,
+  getTableText,
+  listTables,
+  appendTableText,
+  formatKey,
+  formatString,
+  formatValue,
+} = require("./toml-edit");
+
+/**
+ * 将生成的 pyproject.toml 合并进仓库已有的 pyproject.toml
+ *
+ * 原有的表和注释（[tool.ruff]、[tool.pytest.ini_options] 等）原样保留；
+ * 只替换 [build-system]（原后端的动态元数据无法迁移到 hatchling 时保留原后端），并补齐 [project] 中缺失的字段和生成内容里新增的表。
+ */
+
+// [project] 下以子表形式书写的字段
+const PROJECT_SUBTABLES = ["scripts", "gui-scripts", "urls", "optional-dependencies", "entry-points"];
+
+// 其他工具的锁文件，迁移到 uv 后应删除（由 uv.lock 取代）
+const LEGACY_LOCK_FILES = {
+  "poetry.lock": "Poetry",
+  "pdm.lock": "PDM",
+  "Pipfile.lock": "Pipenv",
+};
+
+// 可迁移的工具配置：[tool.<key>] -> 迁移函数
+const MIGRATIONS = [
+  { key: "poetry", label: "Poetry", migrate: migratePoetry },
+  { key: "pdm", label: "PDM", migrate: migratePdm },
+];
+
+/**
+ * 取嵌套对象的值
+ */
+function getPath(doc, dotted) {
+  return dotted.split(".").reduce((node, key) => (node && typeof node === "object" ? node[key] : undefined), doc);
+}
+
+/**
+ * 没有 [project] 表时在第一个表之前插入一个空表，使其位于文件开头而不是末尾
+ */
+function ensureProjectTable(text) {
+  const layout = parseLayout(text);
+  if (layout.tables.some((t) => t.name === "project" && !t.array)) return text;
+  const firstTable = layout.tables[1];
+  if (!firstTable) return appendTableText(text, "[project]");
+  layout.lines.splice(firstTable.lead, 0, "[project]", "");
+  return layout.lines.join("\n");
+}
+
+/**
+ * 在 [project] 中写入一个字段（子表字段写成独立的表）
+ */
+function setProjectField(text, key, value) {
+  if (PROJECT_SUBTABLES.includes(key) && value && typeof value === "object" && !Array.isArray(value)) {
+    return replaceTable(
+      text,
+      `project.${key}`,
+      Object.entries(value).map(([k, v]) => `${formatKey(k)} = ${formatValue(v, { multiline: Array.isArray(v) && v.length > 1 })}`)
+    );
+  }
+  return setKey(text, "project", key, formatValue(value, { multiline: Array.isArray(value) && value.length > 1 }));
+}
+
+/**
+ * 将迁移结果写入文档（只补充文档中还没有的字段和表）
+ * @param {string} text
+ * @param {object} doc - text 解析后的对象
+ * @param {object} migration - migratePoetry / migratePdm 的返回值
+ * @returns {string}
+ */
+function applyMigration(text, doc, migration) {
+  let result = text;
+  const project = doc.project || {};
+  const multiline = (value) => ({ multiline: Array.isArray(value) && value.length > 1 });
+
+  for (const [key, value] of Object.entries(migration.project)) {
+    if (project[key] === undefined) result = setProjectField(result, key, value);
+  }
+
+  for (const [group, requirements] of Object.entries(migration.dependencyGroups)) {
+    if (requirements.length === 0 || getPath(doc, `dependency-groups.${group}`) !== undefined) continue;
+    result = setKey(result, "dependency-groups", group, formatValue(requirements, { multiline: true }));
+  }
+
+  const wheel = "tool.hatch.build.targets.wheel";
+  for (const key of ["packages", "include", "exclude"]) {
+    const value = migration.hatch[key];
+    if (value.length === 0 || getPath(doc, `${wheel}.${key}`) !== undefined) continue;
+    result = setKey(result, wheel, key, formatValue(value, multiline(value)));
+  }
+  if (migration.hatch.version && getPath(doc, "tool.hatch.version") === undefined) {
+    result = replaceTable(
+      result,
+      "tool.hatch.version",
+      Object.entries(migration.hatch.version).map(([k, v]) => `${formatKey(k)} = ${formatString(v)}`)
+    );
+  }
+
+  for (const index of migration.indexes) {
+    const lines = Object.entries(index)
+      .filter(([, v]) => v !== undefined)
+      .map(([k, v]) => `${formatKey(k)} = ${formatValue(v)}`);
+    result = appendTableText(result, `[[tool.uv.index]]\n${lines.join("\n")}`);
+  }
+  for (const [name, source] of Object.entries(migration.sources)) {
+    if (getPath(doc, "tool.uv.sources")?.[name] !== undefined) continue;
+    result = setKey(result, "tool.uv.sources", name, formatValue(source));
+  }
+  const overrides = migration.overrideDependencies || [];
+  if (overrides.length > 0 && getPath(doc, "tool.uv.override-dependencies") === undefined) {
+    result = setKey(result, "tool.uv", "override-dependencies", formatValue(overrides, multiline(overrides)));
+  }
+
+  return result;
+}
+
+/**
+ * 原构建后端的 setuptools 动态版本（attr / file）对应的文件，找不到时返回 null
+ * @param {object} version - tool.setuptools.dynamic.version
+ * @param {object} doc
+ * @param {string[]} paths - 仓库中的文件
+ * @returns {{path: string, pattern?: string}|null}
+ */
+function setuptoolsVersionSource(version, doc, paths) {
+  if (version.file) {
+    const files = [].concat(version.file);
+    // 版本文件只有版本号本身，不是 __version__ = "..." 的形式
+    return files.length === 1 ? { path: files[0], pattern: "^\\s*v?(?P<version>\\S+)" } : null;
+  }
+  const match = typeof version.attr === "string" && version.attr.match(/^([\w.]+)\.(\w+)$/);
+  if (!match) return null;
+  const [, moduleName, attribute] = match;
+  const packageDir = getPath(doc, "tool.setuptools.package-dir")?.[""];
+  const modulePath = moduleName.replace(/\./g, "/");
+  const candidates = [...new Set([packageDir, "", "src"].filter((root) => typeof root === "string"))].flatMap((root) =>
+    [`${modulePath}/__init__.py`, `${modulePath}.py`].map((file) => (root ? `${root.replace(/\/+$/, "")}/${file}` : file))
+  );
+  const file = candidates.find((candidate) => paths.includes(candidate));
+  if (!file) return null;
+  // hatchling 默认的正则只认 __version__ / VERSION
+  return ["__version__", "VERSION"].includes(attribute) ? { path: file } : { path: file, pattern: `^${attribute}\\s*=\\s*['"]v?(?P<version>[^'"]+)['"]` };
+}
+
+/**
+ * 把原构建后端的动态元数据（[project].dynamic）迁移为 hatchling 的配置
+ *
+ * 支持 version（setuptools 的 attr / file、setuptools_scm）和 readme（setuptools 的 file），
+ * 其余字段 hatchling 没有对应的来源，记在 unsupported 中。
+ * @param {object} doc - 原有的 pyproject.toml
+ * @param {string[]} paths - 仓库中的文件
+ * @returns {{hatchVersion: object|null, readme: string|object|null, buildRequires: string[], unsupported: string[], notes: Array<{key: string, vars: object}>}}
+ */
+function migrateDynamicMetadata(doc, paths) {
+  const result = { hatchVersion: null, readme: null, buildRequires: [], unsupported: [], notes: [] };
+  const dynamic = Array.isArray(doc.project?.dynamic) ? doc.project.dynamic : [];
+  const setuptools = getPath(doc, "tool.setuptools.dynamic") || {};
+  const requires = doc["build-system"]?.requires || [];
+
+  for (const field of dynamic) {
+    if (field === "version") {
+      // 已由 PDM 迁移等写入了 [tool.hatch.version]
+      if (getPath(doc, "tool.hatch.version") !== undefined) continue;
+      const source = setuptools.version && setuptoolsVersionSource(setuptools.version, doc, paths);
+      if (source) {
+        result.hatchVersion = source;
+        result.notes.push(note("merge.versionFromFile", { path: source.path }));
+      } else if (!setuptools.version && (doc.tool?.setuptools_scm !== undefined || requires.some((r) => /^setuptools[-_]scm\b/i.test(r)))) {
+        result.hatchVersion = { source: "vcs" };
+        result.buildRequires.push("hatch-vcs");
+        result.notes.push(note("merge.versionFromVcs"));
+      } else {
+        result.unsupported.push(field);
+      }
+    } else if (field === "readme" && setuptools.readme && [].concat(setuptools.readme.file || []).length === 1) {
+      const file = [].concat(setuptools.readme.file)[0];
+      result.readme = setuptools.readme["content-type"] ? { file, "content-type": setuptools.readme["content-type"] } : file;
+      result.notes.push(note("merge.readmeFromFile", { path: file }));
+    } else {
+      result.unsupported.push(field);
+    }
+  }
+  return result;
+}
+
+/**
+ * 列出需要删除的旧锁文件
+ * @param {string[]} fileNames - 仓库根目录文件名
+ * @returns {Array<{file: string, tool: string}>}
+ */
+function findLegacyLockFiles(fileNames) {
+  return Object.entries(LEGACY_LOCK_FILES)
+    .filter(([file]) => fileNames.includes(file))
+    .map(([file, tool]) => ({ file, tool }));
+}
+
+/**
+ * 合并 pyproject.toml
+ * @param {string} existing - 仓库中已有的 pyproject.toml
+ * @param {string} generated - 新生成的 pyproject.toml
+ * @param {object} [options]
+ * @param {string[]} [options.paths] - 仓库中的文件（用于找到动态版本号所在的文件）
+ * @returns {{content: string, notes: Array<{key: string, vars: object}>, keptBackend: string|null}}
+ *   keptBackend 为动态元数据无法迁移、因而保留的原构建后端
+ */
+function mergePyproject(existing, generated, { paths = [] } = {}) {
+  const notes = [];
+  let existingDoc;
+  let generatedDoc;
+
+  try {
+    generatedDoc = TOML.parse(generated);
+  } catch (e) {
+    return { content: existing, notes: [note("merge.generatedUnparsable", { error: e.message.split("\n")[0] })], keptBackend: null };
+  }
+  try {
+    existingDoc = TOML.parse(existing);
+  } catch (e) {
+    return { content: generated, notes: [note("merge.existingUnparsable", { error: e.message.split("\n")[0] })], keptBackend: null };
+  }
+
+  const original = { text: ensureProjectTable(existing), doc: existingDoc };
+  let result = original.text;
+
+  // 1. Poetry / PDM 配置迁移（已有的 [project] 字段优先）
+  let buildRequires = [];
+  const migrationNotes = [];
+  for (const { key, label, migrate } of MIGRATIONS) {
+    const config = existingDoc.tool?.[key];
+    if (!config) continue;
+    const migration = migrate(config);
+    for (const table of migration.migratedTables) {
+      result = removeTable(result, table);
+    }
+    result = applyMigration(result, existingDoc, migration);
+    buildRequires.push(...(migration.buildRequires || []));
+    migrationNotes.push(note("merge.migrated", { tool: key, label }), ...migration.notes);
+    existingDoc = TOML.parse(result);
+  }
+
+  // 2. 改用生成结果中的构建后端时，原后端提供的动态元数据改由 hatchling 提供；
+  //    无法迁移时保留原后端，原后端的配置（包括 Poetry / PDM 的表）也原样保留
+  const backend = existingDoc["build-system"]?.["build-backend"];
+  const generatedBackend = generatedDoc["build-system"]?.["build-backend"];
+  const buildSystemText = getTableText(generated, "build-system");
+  let keptBackend = null;
+  if (buildSystemText && backend !== generatedBackend) {
+    const dynamicMigration = migrateDynamicMetadata(existingDoc, paths);
+    if (dynamicMigration.unsupported.length > 0) {
+      // 没有 [build-system] 时 pip / uv 默认使用 setuptools 的旧式后端
+      keptBackend = backend || "setuptools.build_meta:__legacy__";
+      result = original.text;
+      existingDoc = original.doc;
+      buildRequires = [];
+      migrationNotes.length = 0;
+      notes.push(note("merge.backendKept", { backend: keptBackend, fields: dynamicMigration.unsupported.map((f) => `\`${f}\``) }));
+    } else {
+      if (dynamicMigration.hatchVersion) {
+        result = replaceTable(result, "tool.hatch.version", Object.entries(dynamicMigration.hatchVersion).map(([k, v]) => `${formatKey(k)} = ${formatString(v)}`));
+      }
+      if (dynamicMigration.readme) {
+        result = setKey(result, "project", "dynamic", formatValue(existingDoc.project.dynamic.filter((f) => f !== "readme")));
+        result = setProjectField(result, "readme", dynamicMigration.readme);
+      }
+      buildRequires = [...buildRequires, ...dynamicMigration.buildRequires];
+      notes.push(...dynamicMigration.notes);
+      existingDoc = TOML.parse(result);
+    }
+  }
+
+  notes.unshift(...migrationNotes);
+
+  // 3. 补齐 [project] 中缺失的字段（dynamic 中声明的字段不补）
+  const project = existingDoc.project || {};
+  const dynamic = Array.isArray(project.dynamic) ? project.dynamic : [];
+  const added = [];
+  for (const [key, value] of Object.entries(generatedDoc.project || {})) {
+    if (project[key] !== undefined || dynamic.includes(key)) continue;
+    // 子表字段保留生成结果中的注释（如入口点 TODO），在第 5 步按原文复制
+    if (PROJECT_SUBTABLES.includes(key) && getTableText(generated, `project.${key}`)) continue;
+    result = setProjectField(result, key, value);
+    added.push(key);
+  }
+  if (added.length > 0) notes.push(note("merge.fieldsAdded", { fields: added.map((k) => `\`${k}\``) }));
+
+  // 4. 构建后端替换为生成结果中的配置
+  if (buildSystemText && backend !== generatedBackend && !keptBackend) {
+    result = replaceTable(result, "build-system", buildSystemText.split("\n").slice(1));
+    notes.push(backend ? note("merge.backendReplaced", { from: backend, to: generatedBackend }) : note("merge.backendAdded", { to: generatedBackend }));
+  }
+  if (buildRequires.length > 0) {
+    const requires = TOML.parse(result)["build-system"]?.requires || [];
+    const missing = buildRequires.filter((req) => !requires.includes(req));
+    if (missing.length > 0) result = setKey(result, "build-system", "requires", formatValue([...requires, ...missing]));
+  }
+
+  // 5. 复制生成结果中新增的表（原文件已有的表不动；保留原后端时不需要 hatch 的配置）
+  const currentDoc = TOML.parse(result);
+  for (const table of listTables(generated)) {
+    if (table === "project" || table === "build-system") continue;
+    if (keptBackend && table.startsWith("tool.hatch")) continue;
+    if (getPath(currentDoc, table) !== undefined) continue;
+    result = appendTableText(result, getTableText(generated, table));
+  }
+
+  return { content: result, notes, keptBackend };
+}
+
+module.exports = {
+  mergePyproject,
+  findLegacyLockFiles,
+  LEGACY_LOCK_FILES,
+};
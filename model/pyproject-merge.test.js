@@ -0,0 +1,102 @@
+const TOML = require("smol-toml");
+const { mergePyproject } = require("./pyproject-merge");
+const { note } = require("./messages");
+
+const GENERATED = `[project]
+name = "demo"
+version = "0.1.0"
+dependencies = []
+
+[build-system]
+requires = ["hatchling>=1.27"]
+build-backend = "hatchling.build"
+`;
+
+describe("mergePyproject", () => {
+  test("keeps the comments of tables that follow migrated Poetry tables", () => {
+    const existing = `# project settings
+[tool.poetry]
+name = "demo"
+version = "0.1.0"
+description = ""
+
+[tool.poetry.dependencies]
+python = "^3.9"
+requests = "^2.31"
+
+# ruff config
+[tool.ruff]
+line-length = 100
+
+[build-system]
+requires = ["poetry-core"]
+build-backend = "poetry.core.masonry.api"
+`;
+    const { content } = mergePyproject(existing, GENERATED);
+    expect(content).toContain("# ruff config\n[tool.ruff]\nline-length = 100");
+    const doc = TOML.parse(content);
+    expect(doc.tool.poetry).toBeUndefined();
+    expect(doc.project.dependencies).toEqual(["requests>=2.31,<3.0"]);
+  });
+});
+
+describe("mergePyproject with setuptools dynamic metadata", () => {
+  const existing = `[project]
+name = "demo"
+dynamic = ["version", "readme"]
+
+[tool.setuptools.dynamic]
+version = { attr = "demo.__version__" }
+readme = { file = "README.md", content-type = "text/markdown" }
+
+[tool.setuptools.package-dir]
+"" = "src"
+
+[build-system]
+requires = ["setuptools>=61"]
+build-backend = "setuptools.build_meta"
+`;
+
+  test("moves the version attribute to [tool.hatch.version] and the readme to [project]", () => {
+    const { content, keptBackend } = mergePyproject(existing, GENERATED, { paths: ["src/demo/__init__.py", "README.md"] });
+    const doc = TOML.parse(content);
+    expect(keptBackend).toBeNull();
+    expect(doc["build-system"]["build-backend"]).toBe("hatchling.build");
+    expect(doc.tool.hatch.version).toEqual({ path: "src/demo/__init__.py" });
+    expect(doc.project.dynamic).toEqual(["version"]);
+    expect(doc.project.readme).toEqual({ file: "README.md", "content-type": "text/markdown" });
+    expect(doc.project.version).toBeUndefined();
+  });
+
+  test.each([
+    ["demo.version.VERSION", ["demo/version.py"], { path: "demo/version.py" }],
+    ["demo.__about__.release", ["src/demo/__about__.py"], { path: "src/demo/__about__.py", pattern: "^release\\s*=\\s*['\"]v?(?P<version>[^'\"]+)['\"]" }],
+  ])("finds the module of %j", (attr, paths, expected) => {
+    const source = `[project]\nname = "demo"\ndynamic = ["version"]\n\n[tool.setuptools.dynamic]\nversion = { attr = "${attr}" }\n\n[build-system]\nrequires = ["setuptools"]\nbuild-backend = "setuptools.build_meta"\n`;
+    expect(TOML.parse(mergePyproject(source, GENERATED, { paths }).content).tool.hatch.version).toEqual(expected);
+  });
+
+  test("reads a version file and turns setuptools_scm into hatch-vcs", () => {
+    const fromFile = `[project]\nname = "demo"\ndynamic = ["version"]\n\n[tool.setuptools.dynamic]\nversion = { file = "VERSION" }\n\n[build-system]\nrequires = ["setuptools"]\nbuild-backend = "setuptools.build_meta"\n`;
+    expect(TOML.parse(mergePyproject(fromFile, GENERATED).content).tool.hatch.version).toEqual({ path: "VERSION", pattern: "^\\s*v?(?P<version>\\S+)" });
+
+    const scm = `[project]\nname = "demo"\ndynamic = ["version"]\n\n[tool.setuptools_scm]\n\n[build-system]\nrequires = ["setuptools", "setuptools-scm>=8"]\nbuild-backend = "setuptools.build_meta"\n`;
+    const doc = TOML.parse(mergePyproject(scm, GENERATED).content);
+    expect(doc.tool.hatch.version).toEqual({ source: "vcs" });
+    expect(doc["build-system"].requires).toContain("hatch-vcs");
+  });
+
+  test("keeps the setuptools backend when a dynamic field cannot be migrated", () => {
+    const { content, notes, keptBackend } = mergePyproject(existing.replace('dynamic = ["version", "readme"]', 'dynamic = ["version", "readme", "dependencies"]'), GENERATED, { paths: ["src/demo/__init__.py"] });
+    const doc = TOML.parse(content);
+    expect(keptBackend).toBe("setuptools.build_meta");
+    expect(notes).toContainEqual(note("merge.backendKept", { backend: "setuptools.build_meta", fields: ["`dependencies`"] }));
+    expect(doc["build-system"]["build-backend"]).toBe("setuptools.build_meta");
+    expect(doc.tool.hatch).toBeUndefined();
+    expect(doc.tool.setuptools.dynamic.version).toEqual({ attr: "demo.__version__" });
+  });
+
+  test("keeps the backend when the version module is not in the repository", () => {
+    expect(mergePyproject(existing, GENERATED, { paths: [] }).keptBackend).toBe("setuptools.build_meta");
+  });
+});
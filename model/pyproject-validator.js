@@ -0,0 +1,223 @@
+const TOML = require("smol-toml");
+const { normalizeVersion, repairSpecifierSet } = require("./pep440");
+const { setKey, removeKey, replaceTable, formatString, formatValue } = require("./toml-edit");
+const { note, message } = require("./messages");
+
+/**
+ * pyproject.toml 校验与自动修正
+ *
+ * 先做 TOML 语法解析，再按 PEP 621 检查关键字段。能确定修法的问题直接在原文上修正
+ * （保留注释），并记录到 corrections；无法修正的问题放进 errors，由调用方决定
+ * 让 AI 返工还是回退到模板。errors 和修正原因都是 note，由输出的一方按语言渲染。
+ */
+
+const PROJECT_NAME_RE = /^([A-Z0-9]|[A-Z0-9][A-Z0-9._-]*[A-Z0-9])$/i;
+const ENTRY_POINT_RE = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*(:[A-Za-z_]\w*(\.[A-Za-z_]\w*)*)?(\s*\[[\w\s,.-]+\])?$/;
+const REQUIREMENT_RE = /^\s*[A-Za-z0-9][A-Za-z0-9._-]*\s*(\[[^\]]*\])?\s*(\(|@|;|[<>=!~]|$)/;
+const DEFAULT_REQUIRES_PYTHON = ">=3.8";
+
+const HATCH_TARGETS = ["tool.hatch.build.targets.wheel", "tool.hatch.build.targets.sdist", "tool.hatch.build"];
+
+/**
+ * 取嵌套对象的值
+ */
+function getPath(doc, dotted) {
+  return dotted.split(".").reduce((node, key) => (node && typeof node === "object" ? node[key] : undefined), doc);
+}
+
+/**
+ * 将任意字符串修正为合法的项目名
+ * @param {string} name
+ * @returns {string}
+ */
+function repairProjectName(name) {
+  return String(name || "")
+    .replace(/[^A-Za-z0-9._-]+/g, "-")
+    .replace(/^[._-]+|[._-]+$/g, "");
+}
+
+/**
+ * hatch include / packages 的路径是否安全（仓库内相对路径）
+ * @param {*} pattern
+ * @returns {boolean}
+ */
+function isSafeGlob(pattern) {
+  return (
+    typeof pattern === "string" &&
+    pattern.trim() !== "" &&
+    !pattern.includes("\\") &&
+    !/^([A-Za-z]:)?\//.test(pattern) &&
+    !pattern.split("/").includes("..")
+  );
+}
+
+/**
+ * 校验并修正 pyproject.toml
+ * @param {string} content - pyproject.toml 文本
+ * @param {object} [options]
+ * @param {string} [options.fallbackName] - name 无法修正时使用的名称（通常是仓库名）
+ * @returns {{valid: boolean, content: string, errors: object[], corrections: Array<{field: string, from: *, to: *, reason: object}>}}
+ */
+function validatePyproject(content, { fallbackName } = {}) {
+  const errors = [];
+  const corrections = [];
+  let doc;
+
+  try {
+    doc = TOML.parse(content);
+  } catch (e) {
+    return { valid: false, content, errors: [note("validation.tomlSyntax", { error: e.message.split("\n")[0] })], corrections };
+  }
+
+  const project = doc.project;
+  if (!project || typeof project !== "object" || Array.isArray(project)) {
+    return { valid: false, content, errors: [note("validation.missingProject")], corrections };
+  }
+
+  let result = content;
+  const correct = (field, from, to, reason, apply) => {
+    result = apply(result);
+    corrections.push({ field, from, to, reason });
+  };
+
+  // name
+  if (typeof project.name !== "string" || !PROJECT_NAME_RE.test(project.name)) {
+    const repaired = repairProjectName(project.name) || repairProjectName(fallbackName);
+    if (PROJECT_NAME_RE.test(repaired)) {
+      correct("project.name", project.name, repaired, note("correction.projectName"), (text) =>
+        setKey(text, "project", "name", formatString(repaired))
+      );
+    } else {
+      errors.push(note("validation.invalidName", { value: JSON.stringify(project.name) }));
+    }
+  }
+
+  // version
+  const dynamic = Array.isArray(project.dynamic) ? project.dynamic : [];
+  if (!dynamic.includes("version")) {
+    const normalized = normalizeVersion(project.version);
+    if (normalized === null) {
+      correct("project.version", project.version, "0.0.1", note("correction.version"), (text) =>
+        setKey(text, "project", "version", formatString("0.0.1"))
+      );
+    } else if (normalized !== project.version) {
+      correct("project.version", project.version, normalized, note("correction.versionNormalized"), (text) =>
+        setKey(text, "project", "version", formatString(normalized))
+      );
+    }
+  }
+
+  // requires-python
+  if (project["requires-python"] !== undefined) {
+    const original = project["requires-python"];
+    const repaired = repairSpecifierSet(original);
+    if (repaired !== original) {
+      const value = repaired || DEFAULT_REQUIRES_PYTHON;
+      correct("project.requires-python", original, value, note("correction.requiresPython"), (text) =>
+        setKey(text, "project", "requires-python", formatString(value))
+      );
+    }
+  }
+
+  // dependencies
+  if (project.dependencies !== undefined) {
+    const deps = Array.isArray(project.dependencies) ? project.dependencies : [];
+    const kept = deps.filter((dep) => typeof dep === "string" && REQUIREMENT_RE.test(dep));
+    if (!Array.isArray(project.dependencies) || kept.length !== deps.length) {
+      const dropped = Array.isArray(project.dependencies) ? deps.filter((dep) => !kept.includes(dep)) : project.dependencies;
+      correct("project.dependencies", dropped, kept, note("correction.dependencies"), (text) =>
+        setKey(text, "project", "dependencies", formatValue(kept, { multiline: true }))
+      );
+    }
+  }
+
+  // scripts / gui-scripts
+  for (const table of ["scripts", "gui-scripts"]) {
+    const scripts = project[table];
+    if (scripts === undefined) continue;
+    if (!scripts || typeof scripts !== "object" || Array.isArray(scripts)) {
+      errors.push(note("validation.notTable", { table }));
+      continue;
+    }
+    for (const [name, target] of Object.entries(scripts)) {
+      if (typeof target !== "string" || !ENTRY_POINT_RE.test(target.trim())) {
+        const removed = removeKey(result, `project.${table}`, name);
+        if (removed === result) {
+          errors.push(note("validation.invalidEntryPoint", { table, name, value: JSON.stringify(target) }));
+          continue;
+        }
+        correct(`project.${table}.${name}`, target, null, note("correction.entryPoint"), () => removed);
+      }
+    }
+  }
+
+  // hatch include / packages
+  for (const table of HATCH_TARGETS) {
+    for (const key of ["include", "packages"]) {
+      const value = getPath(doc, `${table}.${key}`);
+      if (value === undefined) continue;
+      const list = Array.isArray(value) ? value : [];
+      const kept = list.filter(isSafeGlob);
+      if (!Array.isArray(value) || kept.length !== list.length) {
+        correct(`${table}.${key}`, value, kept, note("correction.relativePaths"), (text) =>
+          setKey(text, table, key, formatValue(kept, { multiline: true }))
+        );
+      }
+    }
+  }
+
+  // build-system
+  const buildSystem = doc["build-system"];
+  if (!buildSystem || !Array.isArray(buildSystem.requires) || typeof buildSystem["build-backend"] !== "string") {
+    correct("build-system", buildSystem || null, "hatchling", note("correction.buildSystem"), (text) =>
+      replaceTable(text, "build-system", ['requires = ["hatchling>=1.27"]', 'build-backend = "hatchling.build"'])
+    );
+  }
+
+  // 修正后再解析一次，确保结果仍是合法 TOML
+  try {
+    TOML.parse(result);
+  } catch (e) {
+    errors.push(note("validation.repairFailed", { error: e.message.split("\n")[0] }));
+    result = content;
+  }
+
+  return { valid: errors.length === 0, content: result, errors, corrections };
+}
+
+/**
+ * pyproject.toml 是否已可直接交给 uv 构建发布：校验无需任何修正，
+ * 有构建后端，且没有待迁移的 Poetry / PDM 配置
+ * @param {string} content
+ * @returns {boolean}
+ */
+function isUvReady(content) {
+  const validation = validatePyproject(content);
+  if (!validation.valid || validation.corrections.length > 0) return false;
+
+  const doc = TOML.parse(content);
+  return !doc.tool?.poetry && !doc.tool?.pdm?.["dev-dependencies"] && !doc.tool?.pdm?.build;
+}
+
+/**
+ * 将修正记录格式化为 Markdown 列表
+ * @param {string} locale
+ * @param {Array} corrections
+ * @returns {string}
+ */
+function formatCorrections(locale, corrections) {
+  return corrections
+    .map(({ field, from, to, reason }) => {
+      const change = to === null ? message(locale, "correction.removed", { value: JSON.stringify(from) }) : `\`${JSON.stringify(from)}\` → \`${JSON.stringify(to)}\``;
+      return message(locale, "correction.item", { field, change, reason });
+    })
+    .join("\n");
+}
+
+module.exports = {
+  PROJECT_NAME_RE,
+  validatePyproject,
+  isUvReady,
+  formatCorrections,
+  repairProjectName,
+};
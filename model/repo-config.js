@@ -0,0 +1,313 @@
+const TOML = require("smol-toml");
+const { parseSpecifierSet } = require("./pep440");
+const { PROJECT_NAME_RE } = require("./pyproject-validator");
+const { ENTRY_POINT_RE, SCRIPT_NAME_RE } = require("./chatops");
+const { replaceTable, removeTable, setKey, formatKey, formatString, formatValue } = require("./toml-edit");
+const { LOCALES, note, message, localize } = require("./messages");
+const { VERSION_SOURCES, applyVcsVersion } = require("./versioning");
+
+/**
+ * 仓库级配置 .github/quick2uv.yml
+ *
+ * 仓库中没有该文件时，读取同一组织下 `.github` 仓库中的同名文件作为默认值
+ * （由 Probot 的 octokit.config.get 完成，也支持 _extends）。示例：
+ *
+ *   backend: hatchling          # hatchling | setuptools | flit | pdm
+ *   python: ">=3.9"             # requires-python
+ *   package-name: my-tool       # [project].name，即 PyPI 上的包名
+ *   entry-points:               # [project.scripts]
+ *     my-tool: my_tool.cli:main
+ *   include: ["my_tool/**"]     # wheel include（hatchling / pdm）
+ *   publish: pypi               # pypi | testpypi | none
+ *   testpypi-prereleases: false # publish 为 pypi 时，-rc 预发布标签（如 v1.0.0-rc1）改为发布到 TestPyPI
+ *   github-release: true        # 发布时创建 GitHub Release 并附上 wheel 和 sdist
+ *   language: zh-CN             # PR 说明语言：zh-CN | en，不填时按 README 判断
+ *   branch-prefix: uvx-onboarding-
+ *   pr-title: 一键接入 uvx 生态、优化发布流程   # 不填时使用对应语言的默认标题
+ *   tag-pattern: "v*.*.*"       # 触发发布的标签
+ *   version-source: release     # release：version 取最新 Release 并在发布时检查标签一致；vcs：hatch-vcs 从标签生成
+ *   report-issue: false         # 接入失败时是否在仓库中开 issue 报告
+ */
+
+const CONFIG_PATH = ".github/quick2uv.yml";
+
+const DEFAULT_CONFIG = {
+  backend: "hatchling",
+  python: null,
+  packageName: null,
+  entryPoints: null,
+  include: null,
+  publish: "pypi",
+  testpypiPrereleases: false,
+  githubRelease: true,
+  language: null,
+  branchPrefix: "uvx-onboarding-",
+  prTitle: null,
+  tagPattern: "v*.*.*",
+  versionSource: "release",
+  reportIssue: false,
+};
+
+// 最低版本为支持 PEP 639（license 写成 SPDX 表达式）的版本
+// 生成结果按 hatchling 写包目录和 include，其他后端由 wheelConfig 改写为各自的配置，无法表达时返回 error
+const BACKENDS = {
+  hatchling: { requires: ["hatchling>=1.27"], backend: "hatchling.build" },
+  setuptools: {
+    requires: ["setuptools>=77"],
+    backend: "setuptools.build_meta",
+    wheelConfig(packages, include) {
+      if (include.length > 0) return { error: note("config.setuptoolsInclude") };
+      const roots = [...new Set(packages.map(packageRoot))];
+      if (roots.length > 1) return { error: note("config.setuptoolsRoots") };
+      if (packages.length === 0) return { tables: [] };
+      const names = packages.map(packageModule);
+      return {
+        tables: [
+          [
+            "tool.setuptools.packages.find",
+            [`where = ${formatValue([roots[0] || "."])}`, `include = ${formatValue(names.flatMap((name) => [name, `${name}.*`]))}`],
+          ],
+        ],
+      };
+    },
+  },
+  flit: {
+    requires: ["flit_core>=3.12"],
+    backend: "flit_core.buildapi",
+    wheelConfig(packages, include) {
+      if (include.length > 0) return { error: note("config.flitInclude") };
+      if (packages.length > 1) return { error: note("config.flitPackages") };
+      return { tables: packages.length > 0 ? [["tool.flit.module", [`name = ${formatString(packageModule(packages[0]))}`]]] : [] };
+    },
+  },
+  pdm: {
+    requires: ["pdm-backend>=2.4"],
+    backend: "pdm.backend",
+    wheelConfig(packages, include) {
+      const lines = [];
+      if (packages.some((p) => packageRoot(p) === "src")) lines.push('package-dir = "src"');
+      if (packages.length + include.length > 0) lines.push(`includes = ${formatValue([...packages, ...include], { multiline: true })}`);
+      return { tables: lines.length > 0 ? [["tool.pdm.build", lines]] : [] };
+    },
+  },
+};
+// 只对 hatchling 有意义的表，改用其他后端时删除
+const HATCH_BUILD_TABLES = ["tool.hatch.build.targets.wheel", "tool.hatch.build.targets.sdist", "tool.hatch.build", "tool.hatch.metadata"];
+const PUBLISH_TARGETS = ["pypi", "testpypi", "none"];
+
+const isString = (value) => typeof value === "string" && value.trim() !== "";
+// 包目录（如 src/my_tool）所在的根目录和导入名
+const packageRoot = (dir) => (dir.startsWith("src/") ? "src" : "");
+const packageModule = (dir) => dir.replace(/^src\//, "").replace(/\//g, ".");
+
+// 配置项：YAML 键 -> 内部字段名与校验函数（返回错误信息，合法时返回 null）
+const FIELDS = {
+  backend: {
+    field: "backend",
+    check: (v) => (Object.keys(BACKENDS).includes(v) ? null : note("config.oneOf", { values: Object.keys(BACKENDS).join(" / ") })),
+  },
+  python: {
+    field: "python",
+    check: (v) => (isString(v) && parseSpecifierSet(v) ? null : note("config.specifier")),
+  },
+  "package-name": {
+    field: "packageName",
+    check: (v) => (isString(v) && PROJECT_NAME_RE.test(v) ? null : note("config.projectName")),
+  },
+  "entry-points": {
+    field: "entryPoints",
+    check: (v) => {
+      if (!v || typeof v !== "object" || Array.isArray(v) || Object.keys(v).length === 0) return note("config.entryPoints");
+      const invalid = Object.entries(v).find(([name, target]) => !SCRIPT_NAME_RE.test(name) || typeof target !== "string" || !ENTRY_POINT_RE.test(target));
+      return invalid ? note("config.entryPoint", { name: invalid[0], target: invalid[1] }) : null;
+    },
+  },
+  include: {
+    field: "include",
+    check: (v) => {
+      if (!Array.isArray(v) || v.length === 0) return note("config.pathList");
+      const invalid = v.find((p) => !isString(p) || p.startsWith("/") || p.split("/").includes(".."));
+      return invalid === undefined ? null : note("config.pathOutside", { path: invalid });
+    },
+  },
+  publish: {
+    field: "publish",
+    check: (v) => (PUBLISH_TARGETS.includes(v) ? null : note("config.oneOf", { values: PUBLISH_TARGETS.join(" / ") })),
+  },
+  "testpypi-prereleases": {
+    field: "testpypiPrereleases",
+    check: (v) => (typeof v === "boolean" ? null : note("config.boolean")),
+  },
+  "github-release": {
+    field: "githubRelease",
+    check: (v) => (typeof v === "boolean" ? null : note("config.boolean")),
+  },
+  language: {
+    field: "language",
+    check: (v) => (LOCALES.includes(v) ? null : note("config.oneOf", { values: LOCALES.join(" / ") })),
+  },
+  "branch-prefix": {
+    field: "branchPrefix",
+    check: (v) => (isString(v) && /^[A-Za-z0-9._/-]+$/.test(v) && !v.includes("..") && !v.startsWith("/") ? null : note("config.branchPrefix")),
+  },
+  "pr-title": {
+    field: "prTitle",
+    check: (v) => (isString(v) && !v.includes("\n") ? null : note("config.singleLine")),
+  },
+  "tag-pattern": {
+    field: "tagPattern",
+    check: (v) => (isString(v) && /^[A-Za-z0-9*?.+_\-/[\]!]+$/.test(v) ? null : note("config.tagPattern")),
+  },
+  "version-source": {
+    field: "versionSource",
+    check: (v) => (VERSION_SOURCES.includes(v) ? null : note("config.oneOf", { values: VERSION_SOURCES.join(" / ") })),
+  },
+  "report-issue": {
+    field: "reportIssue",
+    check: (v) => (typeof v === "boolean" ? null : note("config.boolean")),
+  },
+};
+
+/**
+ * 校验原始配置，返回合并默认值后的配置（非法项忽略，使用默认值）
+ * @param {object} raw - YAML 解析结果
+ * @returns {{config: object, errors: Array<{key: string, vars: object}>}}
+ */
+function normalizeConfig(raw) {
+  const config = { ...DEFAULT_CONFIG };
+  const errors = [];
+
+  if (raw === null || raw === undefined) return { config, errors };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { config, errors: [note("config.notMapping", { path: CONFIG_PATH })] };
+  }
+
+  for (const [key, value] of Object.entries(raw)) {
+    const spec = FIELDS[key];
+    if (!spec) {
+      errors.push(note("config.unknownKey", { key }));
+      continue;
+    }
+    if (value === null || value === undefined) continue;
+    const error = spec.check(value);
+    if (error) errors.push(note("config.invalidValue", { key, error }));
+    else config[spec.field] = value;
+  }
+
+  // hatch-vcs 只能配合 hatchling 使用
+  if (config.versionSource === "vcs" && config.backend !== "hatchling") {
+    errors.push(note("config.vcsNeedsHatchling"));
+    config.versionSource = DEFAULT_CONFIG.versionSource;
+  }
+  // setuptools / flit 没有对应的 include 配置
+  if (config.include && !["hatchling", "pdm"].includes(config.backend)) {
+    errors.push(note("config.includeNeedsBackend"));
+    config.include = DEFAULT_CONFIG.include;
+  }
+
+  return { config, errors };
+}
+
+/**
+ * 读取仓库配置（仓库中没有时回退到组织的 .github 仓库）
+ * @param {object} octokit
+ * @param {string} owner
+ * @param {string} repo
+ * @returns {Promise<{config: object, errors: Array<{key: string, vars: object}>}>}
+ */
+async function loadRepoConfig(octokit, owner, repo) {
+  try {
+    const { config } = await octokit.config.get({ owner, repo, path: CONFIG_PATH });
+    return normalizeConfig(Object.keys(config).length > 0 ? config : null);
+  } catch (e) {
+    return { config: { ...DEFAULT_CONFIG }, errors: [note("config.unreadable", { path: CONFIG_PATH, error: e.message })] };
+  }
+}
+
+/**
+ * 把 hatchling 的包目录和 include 改写为目标后端的配置，并删除 hatch 专用的表
+ * @param {string} pyproject
+ * @param {string} backendName - BACKENDS 的键
+ * @returns {{content: string, error: {key: string, vars: object}|null}} 无法表达时 content 不变，error 说明原因
+ */
+function retargetWheelConfig(pyproject, backendName) {
+  const wheel = TOML.parse(pyproject).tool?.hatch?.build?.targets?.wheel || {};
+  const packages = (wheel.packages || []).filter(isString);
+  const include = (wheel.include || []).filter(isString);
+  const { tables, error } = BACKENDS[backendName].wheelConfig(packages, include);
+  if (error) return { content: pyproject, error };
+
+  let result = pyproject;
+  for (const table of HATCH_BUILD_TABLES) result = removeTable(result, table);
+  for (const [table, lines] of tables) result = replaceTable(result, table, lines);
+  return { content: result, error: null };
+}
+
+/**
+ * 将配置中的覆盖项写入 pyproject.toml
+ * @param {string} pyproject
+ * @param {object} config - normalizeConfig 的结果；backend 为 null 时不改动构建后端（合并时保留了原后端）
+ * @returns {{content: string, errors: Array<{key: string, vars: object}>}} errors 为无法按配置生成时的说明（已改用 hatchling）
+ */
+function applyConfig(pyproject, config) {
+  let result = pyproject;
+  const errors = [];
+
+  if (config.packageName) result = setKey(result, "project", "name", formatString(config.packageName));
+  if (config.python) result = setKey(result, "project", "requires-python", formatString(config.python));
+  if (config.entryPoints) {
+    result = replaceTable(
+      result,
+      "project.scripts",
+      Object.entries(config.entryPoints).map(([name, target]) => `${formatKey(name)} = ${formatString(target)}`)
+    );
+  }
+  // 先按 hatchling 写入，改用 pdm 时随包目录一起改写
+  if (config.include) {
+    result = setKey(result, "tool.hatch.build.targets.wheel", "include", formatValue(config.include, { multiline: true }));
+  }
+
+  if (config.backend === null) return { content: result, errors };
+
+  // 包目录和 include 无法用目标后端表达时保留 hatchling，避免生成的配置被后端忽略
+  let backendName = config.backend;
+  if (backendName !== "hatchling") {
+    const retargeted = retargetWheelConfig(result, backendName);
+    if (retargeted.error) {
+      errors.push(note("config.backendFallback", { backend: backendName, error: retargeted.error }));
+      backendName = "hatchling";
+    }
+    result = retargeted.content;
+  }
+
+  // 后端一致时保留原有 requires（可能带有 hatch-vcs 等插件）
+  const backend = BACKENDS[backendName];
+  if (TOML.parse(result)["build-system"]?.["build-backend"] !== backend.backend) {
+    result = replaceTable(result, "build-system", [
+      `requires = ${formatValue(backend.requires)}`,
+      `build-backend = ${formatString(backend.backend)}`,
+    ]);
+  }
+
+  if (config.versionSource === "vcs") result = applyVcsVersion(result, config.tagPattern);
+  return { content: result, errors };
+}
+
+/**
+ * 将配置错误格式化为 Markdown（用于 PR 评论）
+ * @param {string} locale
+ * @param {Array<{key: string, vars: object}>} errors
+ * @returns {string}
+ */
+function formatConfigErrors(locale, errors) {
+  return message(locale, "config.errors", { path: CONFIG_PATH, list: errors.map((e) => `- ${localize(locale, e)}`).join("\n") });
+}
+
+module.exports = {
+  CONFIG_PATH,
+  DEFAULT_CONFIG,
+  loadRepoConfig,
+  normalizeConfig,
+  applyConfig,
+  formatConfigErrors,
+};
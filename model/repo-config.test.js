@@ -0,0 +1,85 @@
+const TOML = require("smol-toml");
+const { createPC } = require("./pyproject-generator");
+const { normalizeConfig, applyConfig } = require("./repo-config");
+const { addIncludes } = require("./chatops");
+const { localize } = require("./messages");
+
+const repo = { name: "demo", description: "", owner: { login: "octo" }, topics: [], html_url: "https://github.com/octo/demo" };
+
+/**
+ * Apply a .github/quick2uv.yml to a generated pyproject.toml
+ * @param {object} raw - config as written in the YAML file
+ * @param {string[]} packages - package directories found in the repository
+ * @returns {{doc: object, errors: object[]}}
+ */
+function configure(raw, packages) {
+  const { config, errors } = normalizeConfig(raw);
+  const applied = applyConfig(createPC(repo, "0.1.0", { packages }), config);
+  return { doc: TOML.parse(applied.content), errors: [...errors, ...applied.errors] };
+}
+
+describe("applyConfig backend", () => {
+  test("hatchling keeps the hatch wheel config", () => {
+    const { doc, errors } = configure({ include: ["demo/data/**"] }, ["src/demo"]);
+    expect(errors).toEqual([]);
+    expect(doc.tool.hatch.build.targets.wheel).toEqual({ packages: ["src/demo"], include: ["demo/data/**"] });
+    expect(doc["build-system"]["build-backend"]).toBe("hatchling.build");
+  });
+
+  test("flit names the module and drops the hatch tables", () => {
+    const { doc, errors } = configure({ backend: "flit" }, ["src/demo"]);
+    expect(errors).toEqual([]);
+    expect(doc.tool).toEqual({ flit: { module: { name: "demo" } } });
+    expect(doc["build-system"]).toEqual({ requires: ["flit_core>=3.12"], "build-backend": "flit_core.buildapi" });
+  });
+
+  test("setuptools finds the configured packages", () => {
+    const { doc, errors } = configure({ backend: "setuptools" }, ["src/demo", "src/demo_extra"]);
+    expect(errors).toEqual([]);
+    expect(doc.tool).toEqual({
+      setuptools: { packages: { find: { where: ["src"], include: ["demo", "demo.*", "demo_extra", "demo_extra.*"] } } },
+    });
+  });
+
+  test("pdm carries packages and include over", () => {
+    const { doc, errors } = configure({ backend: "pdm", include: ["demo/data/**"] }, ["src/demo"]);
+    expect(errors).toEqual([]);
+    expect(doc.tool).toEqual({ pdm: { build: { "package-dir": "src", includes: ["src/demo", "demo/data/**"] } } });
+    expect(doc["build-system"]["build-backend"]).toBe("pdm.backend");
+  });
+
+  test("include is a config error for backends without an equivalent", () => {
+    const { doc, errors } = configure({ backend: "setuptools", include: ["demo/data/**"] }, ["demo"]);
+    expect(errors.map((e) => localize("zh-CN", e))).toEqual(["`include` 需要 `backend: hatchling` 或 `backend: pdm`"]);
+    expect(errors.map((e) => localize("en", e))).toEqual(["`include` requires `backend: hatchling` or `backend: pdm`"]);
+    expect(doc.tool.setuptools.packages.find.include).toEqual(["demo", "demo.*"]);
+  });
+
+  test("falls back to hatchling when the backend cannot express the packages", () => {
+    const { doc, errors } = configure({ backend: "flit" }, ["one", "two"]);
+    expect(errors.map((e) => localize("zh-CN", e))).toEqual(["`backend: flit`：flit 只能打包一个顶层包，已改用 hatchling"]);
+    expect(errors.map((e) => localize("en", e))).toEqual(["`backend: flit`: flit can only package one top-level package, so hatchling is used instead"]);
+    expect(doc.tool.hatch.build.targets.wheel.packages).toEqual(["one", "two"]);
+    expect(doc["build-system"]["build-backend"]).toBe("hatchling.build");
+  });
+
+  test("leaves a backend kept by the merge alone", () => {
+    const { config } = normalizeConfig({ backend: "flit", "version-source": "vcs" });
+    const kept = '[project]\nname = "demo"\ndynamic = ["version"]\n\n[build-system]\nrequires = ["setuptools"]\nbuild-backend = "setuptools.build_meta"\n';
+    expect(applyConfig(kept, { ...config, backend: null })).toEqual({ content: kept, errors: [] });
+  });
+});
+
+describe("addIncludes", () => {
+  test("writes to the include list of the current backend", () => {
+    const { config } = normalizeConfig({ backend: "pdm" });
+    const pyproject = applyConfig(createPC(repo, "0.1.0", { packages: ["demo"] }), config).content;
+    expect(TOML.parse(addIncludes(pyproject, ["demo/py.typed"])).tool.pdm.build.includes).toEqual(["demo", "demo/py.typed"]);
+  });
+
+  test("rejects backends without an include list", () => {
+    const { config } = normalizeConfig({ backend: "flit" });
+    const pyproject = applyConfig(createPC(repo, "0.1.0", { packages: ["demo"] }), config).content;
+    expect(() => addIncludes(pyproject, ["demo/py.typed"])).toThrow("flit_core.buildapi");
+  });
+});
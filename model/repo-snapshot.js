@@ -0,0 +1,195 @@
+/**
+ * 仓库快照
+ *
+ * 一次 git.getTree（recursive）拿到完整文件列表，之后按需并发读取文件内容：
+ * - 超过 MAX_BLOB_SIZE 的文件不读取（视为不存在）
+ * - 文件内容按 blob SHA 缓存（内容寻址，跨仓库、跨请求复用也安全）
+ * - tree 被 GitHub 截断（超大仓库）时，列表中没有的文件回退到 repos.getContent
+ * 所有分析器（配置文件、README、Python 源码）都从快照读取，不再逐个调用 getContent。
+ */
+
+const MAX_BLOB_SIZE = 256 * 1024;
+const FETCH_CONCURRENCY = 6;
+const CACHE_MAX_BYTES = 16 * 1024 * 1024;
+
+// blob SHA -> Promise<string|null>；Map 的插入顺序即最近使用顺序
+const blobCache = new Map();
+const blobSizes = new Map();
+let cachedBytes = 0;
+
+/**
+ * 读取缓存（命中时移到队尾，保持 LRU 顺序）
+ * @param {string} sha
+ * @returns {Promise<string|null>|undefined}
+ */
+function getCached(sha) {
+  const cached = blobCache.get(sha);
+  if (cached) {
+    blobCache.delete(sha);
+    blobCache.set(sha, cached);
+  }
+  return cached;
+}
+
+/**
+ * 写入缓存，超出 CACHE_MAX_BYTES 时淘汰最久未使用的内容
+ * @param {string} sha
+ * @param {Promise<string|null>} promise
+ * @param {number} size
+ */
+function setCached(sha, promise, size) {
+  blobCache.set(sha, promise);
+  blobSizes.set(sha, size);
+  cachedBytes += size;
+  for (const oldest of blobCache.keys()) {
+    if (cachedBytes <= CACHE_MAX_BYTES || oldest === sha) break;
+    dropCached(oldest);
+  }
+}
+
+/**
+ * 移除一条缓存
+ * @param {string} sha
+ */
+function dropCached(sha) {
+  cachedBytes -= blobSizes.get(sha) || 0;
+  blobCache.delete(sha);
+  blobSizes.delete(sha);
+}
+
+/**
+ * 清空 blob 缓存
+ */
+function clearBlobCache() {
+  blobCache.clear();
+  blobSizes.clear();
+  cachedBytes = 0;
+}
+
+/**
+ * 以有限并发对列表逐项执行异步函数，结果顺序与输入一致
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * 基于 getTree 结果创建快照
+ * @param {object} octokit
+ * @param {object} options
+ * @param {string} options.owner
+ * @param {string} options.repo
+ * @param {string} [options.ref]
+ * @param {Array<{path: string, type: string, sha: string, size?: number}>} options.tree
+ * @param {boolean} [options.truncated]
+ * @returns {object}
+ */
+function snapshotFromTree(octokit, { owner, repo, ref, tree, truncated = false }) {
+  const blobs = new Map(tree.filter((item) => item.type === "blob").map((item) => [item.path, item]));
+
+  const fetchBlob = (entry) => {
+    const cached = getCached(entry.sha);
+    if (cached) return cached;
+    const promise = octokit.git
+      .getBlob({ owner, repo, file_sha: entry.sha })
+      .then(({ data }) => Buffer.from(data.content, data.encoding === "base64" ? "base64" : "utf8").toString("utf8"))
+      .catch(() => {
+        // 失败的结果不缓存，下次重试
+        dropCached(entry.sha);
+        return null;
+      });
+    setCached(entry.sha, promise, entry.size || 0);
+    return promise;
+  };
+
+  const fetchContent = async (filePath) => {
+    try {
+      const { data } = await octokit.repos.getContent({ owner, repo, path: filePath, ...(ref && { ref }) });
+      if (!data.content || (data.size || 0) > MAX_BLOB_SIZE) return null;
+      return Buffer.from(data.content, "base64").toString("utf8");
+    } catch (e) {
+      return null;
+    }
+  };
+
+  /**
+   * 读取单个文件，不存在或超出大小限制时返回 null
+   * @param {string} filePath
+   * @returns {Promise<string|null>}
+   */
+  const read = async (filePath) => {
+    const entry = blobs.get(filePath);
+    if (!entry) return truncated ? fetchContent(filePath) : null;
+    if ((entry.size || 0) > MAX_BLOB_SIZE) return null;
+    return fetchBlob(entry);
+  };
+
+  return {
+    truncated,
+    // 仓库中所有文件路径
+    paths: [...blobs.keys()],
+    // 根目录下的文件和目录名（目录带结尾的 /）
+    rootEntries: tree
+      .filter((item) => !item.path.includes("/"))
+      .map((item) => (item.type === "tree" ? `${item.path}/` : item.path)),
+    /**
+     * 文件是否存在（tree 被截断时只能确定列表中的文件）
+     * @param {string} filePath
+     * @returns {boolean}
+     */
+    has: (filePath) => blobs.has(filePath),
+    read,
+    /**
+     * 并发读取多个文件，返回 路径 -> 内容（按传入顺序，跳过不存在的文件）
+     * @param {string[]} filePaths
+     * @returns {Promise<Object<string, string>>}
+     */
+    readMany: async (filePaths) => {
+      const unique = [...new Set(filePaths)].filter((p) => truncated || blobs.has(p));
+      const contents = await mapWithConcurrency(unique, FETCH_CONCURRENCY, read);
+      const result = {};
+      unique.forEach((filePath, i) => {
+        if (contents[i] !== null) result[filePath] = contents[i];
+      });
+      return result;
+    },
+  };
+}
+
+/**
+ * 获取仓库快照；tree 获取失败时返回空快照，读取时全部回退到 repos.getContent
+ * @param {object} octokit
+ * @param {object} options
+ * @param {string} options.owner
+ * @param {string} options.repo
+ * @param {string} options.ref - 分支名或提交 SHA
+ * @returns {Promise<object>}
+ */
+async function createSnapshot(octokit, { owner, repo, ref }) {
+  try {
+    const { data } = await octokit.git.getTree({ owner, repo, tree_sha: ref, recursive: "true" });
+    return snapshotFromTree(octokit, { owner, repo, ref, tree: data.tree, truncated: data.truncated });
+  } catch (e) {
+    return snapshotFromTree(octokit, { owner, repo, ref, tree: [], truncated: true });
+  }
+}
+
+module.exports = {
+  MAX_BLOB_SIZE,
+  createSnapshot,
+  snapshotFromTree,
+  clearBlobCache,
+};
@@ -0,0 +1,95 @@
+const { MAX_BLOB_SIZE, createSnapshot, clearBlobCache } = require("./repo-snapshot");
+
+const owner = "octo";
+const repo = "demo";
+
+/**
+ * Octokit stub serving `tree` through git.getTree / git.getBlob and `contents` through repos.getContent
+ * @param {object} options
+ * @param {Object<string, string>} [options.tree] - files listed in the tree (blob sha = "sha:" + path)
+ * @param {Object<string, string>} [options.contents] - files only reachable through getContent
+ * @param {boolean} [options.truncated] - tree truncated by GitHub
+ * @param {boolean} [options.treeFails] - getTree rejects
+ * @returns {{octokit: object, calls: string[]}}
+ */
+function fakeOctokit({ tree = {}, contents = {}, truncated = false, treeFails = false } = {}) {
+  const calls = [];
+  const notFound = () => Object.assign(new Error("Not Found"), { status: 404 });
+  const octokit = {
+    git: {
+      getTree: async () => {
+        calls.push("getTree");
+        if (treeFails) throw Object.assign(new Error("Server Error"), { status: 500 });
+        return { data: { truncated, tree: Object.entries(tree).map(([path, content]) => ({ path, type: "blob", sha: `sha:${path}`, size: content.length })) } };
+      },
+      getBlob: async ({ file_sha }) => {
+        calls.push(`getBlob ${file_sha}`);
+        const content = tree[file_sha.replace(/^sha:/, "")];
+        if (content === undefined) throw notFound();
+        return { data: { encoding: "base64", content: Buffer.from(content).toString("base64") } };
+      },
+    },
+    repos: {
+      getContent: async ({ path }) => {
+        calls.push(`getContent ${path}`);
+        if (contents[path] === undefined) throw notFound();
+        return { data: { content: Buffer.from(contents[path]).toString("base64"), size: contents[path].length } };
+      },
+    },
+  };
+  return { octokit, calls };
+}
+
+beforeEach(() => clearBlobCache());
+
+describe("createSnapshot", () => {
+  test("reads listed files from blobs and treats unlisted files as missing", async () => {
+    const { octokit, calls } = fakeOctokit({ tree: { "setup.py": "setup()\n", "pkg/__init__.py": "" }, contents: { "README.md": "# hidden\n" } });
+    const snapshot = await createSnapshot(octokit, { owner, repo, ref: "main" });
+
+    expect(snapshot.truncated).toBe(false);
+    expect(snapshot.paths).toEqual(["setup.py", "pkg/__init__.py"]);
+    expect(await snapshot.readMany(["setup.py", "README.md", "setup.py"])).toEqual({ "setup.py": "setup()\n" });
+    expect(calls).not.toContain("getContent README.md");
+  });
+
+  test.each([
+    ["a truncated tree", { truncated: true }],
+    ["a failed tree request", { treeFails: true }],
+  ])("falls back to getContent for files missing from %s", async (name, options) => {
+    const { octokit, calls } = fakeOctokit({ tree: { "setup.py": "setup()\n" }, contents: { "README.md": "# demo\n" }, ...options });
+    const snapshot = await createSnapshot(octokit, { owner, repo, ref: "main" });
+
+    expect(snapshot.truncated).toBe(true);
+    expect(await snapshot.readMany(["README.md", "setup.cfg"])).toEqual({ "README.md": "# demo\n" });
+    expect(calls).toEqual(expect.arrayContaining(["getContent README.md", "getContent setup.cfg"]));
+  });
+
+  test("skips files over the size limit", async () => {
+    const big = "x".repeat(MAX_BLOB_SIZE + 1);
+    const { octokit, calls } = fakeOctokit({ tree: { "data.py": big }, contents: { "huge.py": big }, truncated: true });
+    const snapshot = await createSnapshot(octokit, { owner, repo, ref: "main" });
+
+    expect(await snapshot.read("data.py")).toBeNull();
+    expect(await snapshot.read("huge.py")).toBeNull();
+    expect(calls).not.toContain("getBlob sha:data.py");
+  });
+
+  test("fetches each blob once and retries failed reads", async () => {
+    const { octokit, calls } = fakeOctokit({ tree: { "setup.py": "setup()\n" } });
+    const snapshot = await createSnapshot(octokit, { owner, repo, ref: "main" });
+    await snapshot.read("setup.py");
+    await (await createSnapshot(octokit, { owner, repo, ref: "main" })).read("setup.py");
+    expect(calls.filter((call) => call === "getBlob sha:setup.py")).toHaveLength(1);
+
+    const flaky = fakeOctokit({ tree: { "setup.cfg": "[metadata]\n" } });
+    const getBlob = flaky.octokit.git.getBlob;
+    flaky.octokit.git.getBlob = async () => {
+      flaky.octokit.git.getBlob = getBlob;
+      throw Object.assign(new Error("Server Error"), { status: 500 });
+    };
+    const flakySnapshot = await createSnapshot(flaky.octokit, { owner, repo, ref: "main" });
+    expect(await flakySnapshot.read("setup.cfg")).toBeNull();
+    expect(await flakySnapshot.read("setup.cfg")).toBe("[metadata]\n");
+  });
+});
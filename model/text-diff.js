@@ -0,0 +1,127 @@
+const { message } = require("./messages");
+
+/**
+ * 行级文本差异（LCS），用于在 PR 评论中展示 pyproject.toml 的改动，
+ * 以及在 PR 说明中预览被改写的入口文件（统一 diff 格式）
+ */
+
+/**
+ * 计算两段文本的行级差异
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{type: "equal"|"add"|"remove", line: string}>}
+ */
+function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+
+  // lcs[i][j] = a[i..] 与 b[j..] 的最长公共子序列长度
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: "equal", line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: "remove", line: a[i++] });
+    } else {
+      ops.push({ type: "add", line: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: "remove", line: a[i++] });
+  while (j < b.length) ops.push({ type: "add", line: b[j++] });
+
+  return ops;
+}
+
+/**
+ * 生成 Markdown 格式的差异摘要（只列出增删行）
+ * @param {string} locale
+ * @param {string} before
+ * @param {string} after
+ * @param {number} [maxLines=60] - 最多展示的改动行数
+ * @returns {{added: number, removed: number, markdown: string}}
+ */
+function summarizeDiff(locale, before, after, maxLines = 60) {
+  const changes = diffLines(before, after).filter((op) => op.type !== "equal");
+  const added = changes.filter((op) => op.type === "add").length;
+  const removed = changes.length - added;
+
+  if (changes.length === 0) {
+    return { added, removed, markdown: message(locale, "diff.none") };
+  }
+
+  const shown = changes.slice(0, maxLines).map((op) => `${op.type === "add" ? "+" : "-"} ${op.line}`);
+  if (changes.length > maxLines) {
+    shown.push(message(locale, "diff.omitted", { count: changes.length - maxLines }));
+  }
+
+  return {
+    added,
+    removed,
+    markdown: `**+${added} / -${removed}**\n\n\`\`\`diff\n${shown.join("\n")}\n\`\`\``,
+  };
+}
+
+/**
+ * 生成统一 diff（unified diff）格式的文本
+ * @param {string} before
+ * @param {string} after
+ * @param {object} [options]
+ * @param {string} [options.path] - 文件路径（用于 --- / +++ 头）
+ * @param {number} [options.context=3] - 每个改动块前后保留的上下文行数
+ * @returns {string} 没有改动时返回空字符串
+ */
+function unifiedDiff(before, after, { path = "file", context = 3 } = {}) {
+  // 末尾换行不算作一行空行
+  const ops = diffLines(before.replace(/\n$/, ""), after.replace(/\n$/, ""));
+
+  // 每个操作在新旧文件中的行号（从 1 开始）
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = ops.map((op) => {
+    const entry = { ...op, oldLine, newLine };
+    if (op.type !== "add") oldLine++;
+    if (op.type !== "remove") newLine++;
+    return entry;
+  });
+
+  // 把相距不超过 2 * context 的改动合并到同一个块中
+  const hunks = [];
+  numbered.forEach((op, index) => {
+    if (op.type === "equal") return;
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2 + 1) last.end = index;
+    else hunks.push({ start: index, end: index });
+  });
+  if (hunks.length === 0) return "";
+
+  const output = [`--- a/${path}`, `+++ b/${path}`];
+  for (const hunk of hunks) {
+    const slice = numbered.slice(Math.max(0, hunk.start - context), Math.min(numbered.length, hunk.end + context + 1));
+    const oldCount = slice.filter((op) => op.type !== "add").length;
+    const newCount = slice.filter((op) => op.type !== "remove").length;
+    const oldStart = oldCount === 0 ? slice[0].oldLine - 1 : slice.find((op) => op.type !== "add").oldLine;
+    const newStart = newCount === 0 ? slice[0].newLine - 1 : slice.find((op) => op.type !== "remove").newLine;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of slice) {
+      output.push(`${op.type === "add" ? "+" : op.type === "remove" ? "-" : " "}${op.line}`);
+    }
+  }
+  return output.join("\n");
+}
+
+module.exports = {
+  diffLines,
+  summarizeDiff,
+  unifiedDiff,
+};
@@ -0,0 +1,342 @@
+/**
+ * 保留注释与格式的 TOML 文本编辑工具
+ *
+ * 解析交给 smol-toml，这里只负责按表 / 键定位行区间并做局部替换，
+ * 这样用户手写的注释、空行和未涉及的表都能原样保留。
+ */
+
+const HEADER_RE = /^\s*(\[\[?)\s*([^\[\]]+?)\s*\]\]?\s*(#.*)?$/;
+const KEY_RE = /^\s*((?:"[^"]*"|'[^']*'|[A-Za-z0-9_.\- ]+?))\s*=/;
+
+/**
+ * 规范化键名（去掉引号和点号两侧空白）
+ * @param {string} key
+ * @returns {string}
+ */
+function normalizeKey(key) {
+  return key
+    .split(".")
+    .map((part) => part.trim().replace(/^["']|["']$/g, ""))
+    .join(".");
+}
+
+/**
+ * 逐行扫描，标记每一行开始时是否处于顶层（不在多行数组 / 多行字符串内部）
+ * @param {string[]} lines
+ * @returns {boolean[]}
+ */
+function scanTopLevel(lines) {
+  const top = [];
+  let depth = 0;
+  let multi = null; // '"""' 或 "'''"
+
+  for (const line of lines) {
+    const atTop = depth === 0 && !multi;
+    top.push(atTop);
+
+    if (atTop && HEADER_RE.test(line)) continue;
+
+    let i = 0;
+    while (i < line.length) {
+      if (multi) {
+        const close = line.indexOf(multi, i);
+        if (close === -1) break;
+        i = close + 3;
+        multi = null;
+        continue;
+      }
+      const ch = line[i];
+      if (ch === "#") break;
+      if (line.startsWith('"""', i) || line.startsWith("'''", i)) {
+        multi = line.slice(i, i + 3);
+        i += 3;
+        continue;
+      }
+      if (ch === '"' || ch === "'") {
+        let j = i + 1;
+        while (j < line.length && line[j] !== ch) {
+          if (ch === '"' && line[j] === "\\") j++;
+          j++;
+        }
+        i = j + 1;
+        continue;
+      }
+      if (ch === "[" || ch === "{") depth++;
+      if (ch === "]" || ch === "}") depth = Math.max(0, depth - 1);
+      i++;
+    }
+  }
+
+  return top;
+}
+
+/**
+ * 表头上方紧挨着的注释块的起始行（注释与表头之间可以有空行）；没有注释时返回表头所在行
+ *
+ * 这些注释说明的是下面的表，删除或替换上一个表时不能一起带走。
+ * @param {string[]} lines
+ * @param {number} header - 表头所在行
+ * @param {number} floor - 上一个表最后一个键结束的行（不会越过它）
+ * @returns {number}
+ */
+function leadingComments(lines, header, floor) {
+  let i = header;
+  while (i > floor && lines[i - 1].trim() === "") i--;
+  let lead = header;
+  while (i > floor && lines[i - 1].trim().startsWith("#")) lead = --i;
+  return lead;
+}
+
+/**
+ * 解析文档结构：表 -> 键 -> 行区间
+ *
+ * 每个表的 lead 是它的起始行（含表头上方属于它的注释），上一个表的 end 止于此。
+ * @param {string} text
+ * @returns {{lines: string[], tables: Array<{name: string|null, array: boolean, lead: number, start: number, end: number, keys: Array<{key: string, start: number, end: number}>}>}}
+ */
+function parseLayout(text) {
+  const lines = text.split("\n");
+  const top = scanTopLevel(lines);
+  const tables = [{ name: null, array: false, lead: -1, start: -1, end: lines.length, keys: [] }];
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!top[i]) continue;
+    const current = tables[tables.length - 1];
+
+    const header = lines[i].match(HEADER_RE);
+    if (header) {
+      const lastKey = current.keys[current.keys.length - 1];
+      const lead = leadingComments(lines, i, lastKey ? lastKey.end : current.start + 1);
+      current.end = lead;
+      tables.push({
+        name: normalizeKey(header[2]),
+        array: header[1] === "[[",
+        lead,
+        start: i,
+        end: lines.length,
+        keys: [],
+      });
+      continue;
+    }
+
+    const keyMatch = lines[i].match(KEY_RE);
+    if (keyMatch) {
+      let end = i + 1;
+      while (end < lines.length && !top[end]) end++;
+      current.keys.push({ key: normalizeKey(keyMatch[1]), start: i, end });
+    }
+  }
+
+  return { lines, tables };
+}
+
+/**
+ * 查找普通表（非数组表）
+ */
+function findTable(layout, tableName) {
+  return layout.tables.find((t) => !t.array && t.name === tableName);
+}
+
+/**
+ * 表是否存在
+ * @param {string} text
+ * @param {string} tableName
+ * @returns {boolean}
+ */
+function hasTable(text, tableName) {
+  return Boolean(findTable(parseLayout(text), tableName));
+}
+
+/**
+ * 格式化键名
+ * @param {string} key
+ * @returns {string}
+ */
+function formatKey(key) {
+  return /^[A-Za-z0-9_-]+$/.test(key) ? key : formatString(key);
+}
+
+/**
+ * 格式化为 TOML 基本字符串（转义引号、反斜杠和控制字符）
+ * @param {string} value
+ * @returns {string}
+ */
+function formatString(value) {
+  const escaped = String(value).replace(/[\\"\u0000-\u001f\u007f]/g, (ch) => {
+    switch (ch) {
+      case "\\": return "\\\\";
+      case '"': return '\\"';
+      case "\n": return "\\n";
+      case "\r": return "\\r";
+      case "\t": return "\\t";
+      case "\b": return "\\b";
+      case "\f": return "\\f";
+      default: return `\\u${ch.charCodeAt(0).toString(16).padStart(4, "0")}`;
+    }
+  });
+  return `"${escaped}"`;
+}
+
+/**
+ * 将 JS 值格式化为 TOML 字面量
+ * @param {*} value
+ * @param {object} [options]
+ * @param {boolean} [options.multiline] - 数组是否每个元素占一行
+ * @returns {string}
+ */
+function formatValue(value, { multiline = false } = {}) {
+  if (typeof value === "string") return formatString(value);
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return "[]";
+    const items = value.map((item) => formatValue(item));
+    if (!multiline) return `[${items.join(", ")}]`;
+    return `[\n${items.map((item) => `    ${item},`).join("\n")}\n]`;
+  }
+  if (value && typeof value === "object") {
+    const pairs = Object.entries(value)
+      .filter(([, v]) => v !== undefined)
+      .map(([k, v]) => `${formatKey(k)} = ${formatValue(v)}`);
+    return `{${pairs.join(", ")}}`;
+  }
+  throw new Error(`Unsupported TOML value: ${value}`);
+}
+
+/**
+ * 在表中设置键（存在则整体替换其值区间，否则追加到表内最后一个键之后）
+ * @param {string} text
+ * @param {string} tableName
+ * @param {string} key
+ * @param {string} literal - 已格式化好的 TOML 值
+ * @returns {string}
+ */
+function setKey(text, tableName, key, literal) {
+  const layout = parseLayout(text);
+  const { lines } = layout;
+  const assignment = `${formatKey(key)} = ${literal}`;
+  const table = findTable(layout, tableName);
+
+  if (!table) {
+    const body = text.replace(/\s*$/, "");
+    return `${body}${body ? "\n\n" : ""}[${tableName}]\n${assignment}\n`;
+  }
+
+  const existing = table.keys.find((k) => k.key === key);
+  if (existing) {
+    lines.splice(existing.start, existing.end - existing.start, assignment);
+  } else {
+    const last = table.keys[table.keys.length - 1];
+    const at = last ? last.end : table.start + 1;
+    lines.splice(at, 0, assignment);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * 从表中删除键
+ * @param {string} text
+ * @param {string} tableName
+ * @param {string} key
+ * @returns {string}
+ */
+function removeKey(text, tableName, key) {
+  const layout = parseLayout(text);
+  const table = findTable(layout, tableName);
+  const existing = table && table.keys.find((k) => k.key === key);
+  if (!existing) return text;
+  layout.lines.splice(existing.start, existing.end - existing.start);
+  return layout.lines.join("\n");
+}
+
+/**
+ * 用新的内容行整体替换表体（保留表头），表不存在时追加到文末
+ * @param {string} text
+ * @param {string} tableName
+ * @param {string[]} bodyLines
+ * @returns {string}
+ */
+function replaceTable(text, tableName, bodyLines) {
+  const layout = parseLayout(text);
+  const table = findTable(layout, tableName);
+
+  if (!table) {
+    const body = text.replace(/\s*$/, "");
+    return `${body}${body ? "\n\n" : ""}[${tableName}]\n${bodyLines.join("\n")}\n`;
+  }
+
+  // 保留表尾的空行，使与下一个表之间的间隔不变
+  let end = table.end;
+  while (end > table.start + 1 && layout.lines[end - 1].trim() === "") end--;
+  layout.lines.splice(table.start + 1, end - table.start - 1, ...bodyLines);
+  return layout.lines.join("\n");
+}
+
+/**
+ * 删除整个表（包括表头上方的注释、表头和表体）；数组表会删除所有同名块
+ * @param {string} text
+ * @param {string} tableName
+ * @returns {string}
+ */
+function removeTable(text, tableName) {
+  const layout = parseLayout(text);
+  const blocks = layout.tables.filter((t) => t.name === tableName);
+  if (blocks.length === 0) return text;
+  // 从后往前删，前面块的行号不受影响
+  for (const table of blocks.reverse()) {
+    layout.lines.splice(table.lead, table.end - table.lead);
+  }
+  return layout.lines.join("\n");
+}
+
+/**
+ * 取出表的原始文本（含表头和注释，去掉表尾空行）；数组表会返回所有同名块
+ * @param {string} text
+ * @param {string} tableName
+ * @returns {string|null}
+ */
+function getTableText(text, tableName) {
+  const layout = parseLayout(text);
+  const blocks = layout.tables
+    .filter((t) => t.name === tableName)
+    .map((t) => {
+      let end = t.end;
+      while (end > t.start + 1 && layout.lines[end - 1].trim() === "") end--;
+      return layout.lines.slice(t.start, end).join("\n");
+    });
+  return blocks.length > 0 ? blocks.join("\n\n") : null;
+}
+
+/**
+ * 列出文档中所有表名（按出现顺序去重）
+ * @param {string} text
+ * @returns {string[]}
+ */
+function listTables(text) {
+  return [...new Set(parseLayout(text).tables.filter((t) => t.name !== null).map((t) => t.name))];
+}
+
+/**
+ * 在文末追加一段表文本
+ * @param {string} text
+ * @param {string} tableText
+ * @returns {string}
+ */
+function appendTableText(text, tableText) {
+  const body = text.replace(/\s*$/, "");
+  return `${body}${body ? "\n\n" : ""}${tableText.replace(/\s*$/, "")}\n`;
+}
+
+module.exports = {
+  parseLayout,
+  getTableText,
+  listTables,
+  appendTableText,
+  hasTable,
+  setKey,
+  removeKey,
+  replaceTable,
+  removeTable,
+  formatKey,
+  formatString,
+  formatValue,
+};
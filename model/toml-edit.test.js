@@ -0,0 +1,45 @@
+const { parseLayout, removeTable, replaceTable } = require("./toml-edit");
+
+const DOC = `[tool.poetry]
+name = "demo"
+# trailing note about poetry
+
+# ruff config
+# (shared with CI)
+[tool.ruff]
+line-length = 100
+`;
+
+describe("leading comments", () => {
+  test("belong to the table below them", () => {
+    const [, poetry, ruff] = parseLayout(DOC).tables;
+    expect(poetry.end).toBe(4);
+    expect(ruff).toMatchObject({ name: "tool.ruff", lead: 4, start: 6 });
+  });
+
+  test("are kept when the previous table is removed", () => {
+    expect(removeTable(DOC, "tool.poetry")).toBe(`# ruff config
+# (shared with CI)
+[tool.ruff]
+line-length = 100
+`);
+  });
+
+  test("are removed together with their own table", () => {
+    expect(removeTable(DOC, "tool.ruff")).toBe(`[tool.poetry]
+name = "demo"
+# trailing note about poetry
+`);
+  });
+
+  test("are kept when the previous table body is replaced", () => {
+    expect(replaceTable(DOC, "tool.poetry", ['name = "other"'])).toBe(`[tool.poetry]
+name = "other"
+
+# ruff config
+# (shared with CI)
+[tool.ruff]
+line-length = 100
+`);
+  });
+});
@@ -0,0 +1,157 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { DEFAULT_LOCALE, localizedError, localize, message, note } = require("./messages");
+
+/**
+ * 本地构建验证：在临时目录中 clone 仓库、写入生成的文件，执行 `uv lock` 和 `uv build`
+ *
+ * 通过环境变量控制：
+ * - Q2U_VERIFY:         设为 true 时启用（默认关闭）
+ * - Q2U_UV_PATH:        uv 可执行文件路径，默认 uv
+ * - Q2U_VERIFY_TIMEOUT: 每条命令的超时毫秒数，默认 300000
+ *
+ * uv lock / uv build 会执行待接入仓库的构建后端和钩子（setup.py、hatch_build.py 等），
+ * 所以命令只拿到白名单中的环境变量（见 SAFE_ENV），应用的私钥、webhook 密钥、LLM 和 KV 令牌都不会传入；
+ * clone 完成后也会把 remote 改回不带令牌的地址。
+ * uv 自身的环境变量（UV_*）会传递，测试时可用 UV_OFFLINE=1 + UV_CACHE_DIR，
+ * 或 UV_DEFAULT_INDEX 指向本地 PyPI 镜像。
+ */
+
+const DEFAULT_TIMEOUT = 5 * 60 * 1000;
+const MAX_LOG_LINES = 80;
+// 传给 git 和 uv 的环境变量；UV_ 开头的变量另外全部传递
+const SAFE_ENV = ["PATH", "HOME", "TMPDIR", "LANG"];
+
+/**
+ * 是否启用了构建验证
+ * @param {object} [env]
+ * @returns {boolean}
+ */
+function isVerificationEnabled(env = process.env) {
+  return ["1", "true", "yes"].includes(String(env.Q2U_VERIFY || "").toLowerCase());
+}
+
+/**
+ * 执行命令，返回合并后的输出；失败时抛出的错误带上输出和原因（note）
+ * @param {string} command
+ * @param {string[]} args
+ * @param {object} options - execFile 选项
+ * @returns {Promise<string>}
+ */
+function run(command, args, options) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { maxBuffer: 10 * 1024 * 1024, ...options }, (error, stdout, stderr) => {
+      const output = `${stdout || ""}${stderr || ""}`;
+      if (error) {
+        const reason = error.killed ? note("verify.timeout", { timeout: options.timeout }) : error.code === "ENOENT" ? note("verify.notFound") : note("verify.exitCode", { code: error.code });
+        const failure = localizedError("verify.failed", { command: [command, ...args].join(" "), reason });
+        failure.output = output || error.message;
+        return reject(failure);
+      }
+      resolve(output);
+    });
+  });
+}
+
+/**
+ * 只保留日志的最后若干行，并抹掉其中的凭据
+ * @param {string} locale
+ * @param {string} output
+ * @param {string[]} secrets
+ * @returns {string}
+ */
+function tailLog(locale, output, secrets = []) {
+  let text = String(output || "");
+  for (const secret of secrets.filter(Boolean)) {
+    text = text.split(secret).join("***");
+  }
+  const lines = text.trimEnd().split("\n");
+  if (lines.length <= MAX_LOG_LINES) return lines.join("\n");
+  return [message(locale, "verify.truncated", { count: lines.length - MAX_LOG_LINES }), ...lines.slice(-MAX_LOG_LINES)].join("\n");
+}
+
+/**
+ * 只保留白名单中的环境变量
+ * @param {object} env
+ * @returns {object}
+ */
+function safeEnv(env) {
+  return Object.fromEntries(Object.entries(env).filter(([name, value]) => value !== undefined && (SAFE_ENV.includes(name) || name.startsWith("UV_"))));
+}
+
+/**
+ * 带凭据的 clone 地址
+ * @param {string} cloneUrl - 如 https://github.com/owner/repo.git
+ * @param {string} [token] - 安装令牌
+ * @returns {string}
+ */
+function authenticatedUrl(cloneUrl, token) {
+  if (!token) return cloneUrl;
+  const url = new URL(cloneUrl);
+  url.username = "x-access-token";
+  url.password = token;
+  return url.toString();
+}
+
+/**
+ * 在临时目录中验证生成的文件能否被 uv 锁定和构建
+ * @param {object} options
+ * @param {string} options.cloneUrl - 仓库 clone 地址
+ * @param {string} options.branch - 要 clone 的分支（默认分支）
+ * @param {string} [options.token] - 私有仓库需要的安装令牌
+ * @param {Object<string, string>} options.files - 要写入的文件：相对路径 -> 内容
+ * @param {object} [options.env] - 环境变量（默认 process.env），只有 SAFE_ENV 和 UV_* 会传给 git 和 uv
+ * @param {string} [options.locale] - 日志中说明文字的语言
+ * @returns {Promise<{success: boolean, lockfile: string|null, log: string, step: string}>}
+ */
+async function verifyWithUv({ cloneUrl, branch, token, files, env = process.env, locale = DEFAULT_LOCALE }) {
+  const uv = env.Q2U_UV_PATH || "uv";
+  const timeout = Number(env.Q2U_VERIFY_TIMEOUT) || DEFAULT_TIMEOUT;
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "q2u-verify-"));
+  const repoDir = path.join(workDir, "repo");
+  const options = { cwd: repoDir, env: safeEnv(env), timeout };
+  const logs = [];
+  let step = "clone";
+  let lockfile = null;
+
+  try {
+    await run("git", ["clone", "--depth", "1", "--branch", branch, authenticatedUrl(cloneUrl, token), repoDir], {
+      cwd: workDir,
+      env: { ...safeEnv(env), GIT_TERMINAL_PROMPT: "0" },
+      timeout,
+    });
+    // 令牌写在 .git/config 的 remote 地址里，执行仓库代码前去掉
+    await run("git", ["remote", "set-url", "origin", cloneUrl], options);
+
+    for (const [filePath, content] of Object.entries(files)) {
+      const target = path.resolve(repoDir, filePath);
+      if (!target.startsWith(repoDir + path.sep)) throw localizedError("verify.outsidePath", { path: filePath });
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, content);
+    }
+
+    step = "uv lock";
+    logs.push(`$ uv lock\n${await run(uv, ["lock"], options)}`);
+    lockfile = await fs.promises.readFile(path.join(repoDir, "uv.lock"), "utf8");
+
+    step = "uv build";
+    logs.push(`$ uv build\n${await run(uv, ["build", "--out-dir", path.join(workDir, "dist")], options)}`);
+
+    return { success: true, lockfile, log: tailLog(locale, logs.join("\n"), [token]), step };
+  } catch (e) {
+    const reason = localize(locale, e.note || e.message);
+    logs.push(e.output ? `${reason}\n${e.output}` : reason);
+    // uv lock 成功而构建失败时仍返回锁文件
+    return { success: false, lockfile, log: tailLog(locale, logs.join("\n"), [token]), step };
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  isVerificationEnabled,
+  verifyWithUv,
+  tailLog,
+};
@@ -0,0 +1,91 @@
+const TOML = require("smol-toml");
+const { normalizeVersion } = require("./pep440");
+const { setKey, removeKey, formatString, formatValue } = require("./toml-edit");
+
+/**
+ * 版本号与 Git 标签的一致性
+ *
+ * - release（默认）：version 写死为最新 Release 的版本，发布工作流在构建前检查推送的标签与 version 是否一致
+ * - vcs：使用 hatch-vcs，从 Git 标签动态生成版本号（[project] dynamic = ["version"]）
+ * 标签前缀（v、release- 等）和预发布写法（v1.0.0-rc1）都按 PEP 440 规范化后比较。
+ */
+
+const VERSION_SOURCES = ["release", "vcs"];
+
+// setuptools-scm 默认的标签正则已支持的前缀：无前缀、v / V、以 - 结尾的前缀（如 release-）
+const DEFAULT_TAG_PREFIX_RE = /^([vV]?|[\w-]*-)$/;
+
+/**
+ * 从标签中取出版本号并规范化（v1.0.0-rc1 -> 1.0.0rc1，release-2.0 -> 2.0），无法识别时返回 null
+ * @param {string} tag
+ * @returns {string|null}
+ */
+function versionFromTag(tag) {
+  const match = String(tag || "").match(/^[^\d]*?[vV]?(\d.*)$/);
+  return match ? normalizeVersion(match[1]) : null;
+}
+
+/**
+ * 标签通配符中版本号之前的固定前缀（"v*.*.*" -> "v"，"release-*" -> "release-"）
+ * @param {string} tagPattern
+ * @returns {string}
+ */
+function tagPrefix(tagPattern) {
+  return String(tagPattern || "").match(/^[^*?[\]!\d]*/)[0];
+}
+
+/**
+ * 标签前缀不在 hatch-vcs 默认支持范围内时，生成 [tool.hatch.version] tag-pattern
+ * @param {string} tagPattern
+ * @returns {string|null}
+ */
+function vcsTagRegex(tagPattern) {
+  const prefix = tagPrefix(tagPattern);
+  if (DEFAULT_TAG_PREFIX_RE.test(prefix)) return null;
+  return `^${prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?P<version>.+)$`;
+}
+
+/**
+ * 改为从 Git 标签动态获取版本号（hatch-vcs）
+ * @param {string} pyproject
+ * @param {string} tagPattern - 触发发布的标签通配符
+ * @returns {string}
+ */
+function applyVcsVersion(pyproject, tagPattern) {
+  const doc = TOML.parse(pyproject);
+  const dynamic = Array.isArray(doc.project?.dynamic) ? doc.project.dynamic : [];
+  const requires = doc["build-system"]?.requires || [];
+
+  let result = removeKey(pyproject, "project", "version");
+  result = setKey(result, "project", "dynamic", formatValue([...new Set([...dynamic, "version"])]));
+  if (!requires.some((req) => /^hatch-vcs\b/i.test(req))) {
+    result = setKey(result, "build-system", "requires", formatValue([...requires, "hatch-vcs"]));
+  }
+  result = setKey(result, "tool.hatch.version", "source", formatString("vcs"));
+
+  const tagRegex = vcsTagRegex(tagPattern);
+  if (tagRegex) result = setKey(result, "tool.hatch.version", "tag-pattern", formatString(tagRegex));
+  return result;
+}
+
+/**
+ * pyproject.toml 是否从 Git 标签动态获取版本号
+ * @param {string} pyproject
+ * @returns {boolean}
+ */
+function usesDynamicVersion(pyproject) {
+  try {
+    const dynamic = TOML.parse(pyproject).project?.dynamic;
+    return Array.isArray(dynamic) && dynamic.includes("version");
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = {
+  VERSION_SOURCES,
+  versionFromTag,
+  tagPrefix,
+  applyVcsVersion,
+  usesDynamicVersion,
+};
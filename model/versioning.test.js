@@ -0,0 +1,54 @@
+const TOML = require("smol-toml");
+const { versionFromTag, tagPrefix, applyVcsVersion, usesDynamicVersion } = require("./versioning");
+const { exampleTag } = require("./workflow-generator");
+
+test.each([
+  ["v1.2.3", "1.2.3"],
+  ["V2.0", "2.0"],
+  ["release-2.0", "2.0"],
+  ["v1.0.0-rc1", "1.0.0rc1"],
+  ["pkg-v3.1.0", "3.1.0"],
+  ["nightly", null],
+])("versionFromTag(%j)", (tag, expected) => {
+  expect(versionFromTag(tag)).toBe(expected);
+});
+
+test.each([
+  ["v*.*.*", "v"],
+  ["release-*", "release-"],
+  ["*", ""],
+])("tagPrefix(%j)", (pattern, expected) => {
+  expect(tagPrefix(pattern)).toBe(expected);
+});
+
+test.each([
+  ["v*.*.*", "1.2.1", "v1.2.1"],
+  ["v*", "1.2.1", "v1.2.1"],
+  ["release-*", "2.0.1", "release-2.0.1"],
+])("exampleTag(%j, %j) matches the pattern", (pattern, version, expected) => {
+  expect(exampleTag(pattern, version)).toBe(expected);
+});
+
+describe("applyVcsVersion", () => {
+  const pyproject = '[project]\nname = "demo"\nversion = "1.2.0"\n\n[build-system]\nrequires = ["hatchling"]\nbuild-backend = "hatchling.build"\n';
+
+  test.each([
+    ["v*.*.*", undefined],
+    ["release-*", undefined],
+    ["pkg.v*", "^pkg\\.v(?P<version>.+)$"],
+  ])("tag pattern %j", (pattern, tagRegex) => {
+    const result = applyVcsVersion(pyproject, pattern);
+    const doc = TOML.parse(result);
+    expect(doc.project.version).toBeUndefined();
+    expect(doc.project.dynamic).toEqual(["version"]);
+    expect(doc["build-system"].requires).toEqual(["hatchling", "hatch-vcs"]);
+    expect(doc.tool.hatch.version).toEqual({ source: "vcs", ...(tagRegex && { "tag-pattern": tagRegex }) });
+    expect(usesDynamicVersion(result)).toBe(true);
+  });
+
+  test("is idempotent", () => {
+    const once = applyVcsVersion(pyproject, "v*");
+    expect(applyVcsVersion(once, "v*")).toBe(once);
+    expect(usesDynamicVersion(pyproject)).toBe(false);
+  });
+});
@@ -0,0 +1,287 @@
+const TOML = require("smol-toml");
+const { parseSpecifierSet } = require("./pep440");
+
+/**
+ * 发布工作流（.github/workflows/pypi.yml）生成
+ *
+ * 推送标签后依次执行：
+ * - test：仓库有测试时，在支持的最低 / 最高 Python 版本上运行 `uv run pytest`
+ * - build：检查推送的标签与 version 一致（hatch-vcs 动态版本时改为拉取完整历史，其他动态版本在构建后检查），`uv build`，并对每个 [project.scripts] 入口运行 `uvx --from dist/*.whl <命令> --help` 冒烟测试
+ * - publish：发布到 PyPI（或 TestPyPI）；开启 testpypi-prereleases 时 `-rc` 标签只发布到 TestPyPI
+ * - release：创建 GitHub Release 并附上 wheel 和 sdist
+ */
+
+const TESTPYPI_UPLOAD_URL = "https://test.pypi.org/legacy/";
+const PRERELEASE_TAG_PATTERN = "v*-rc*";
+const PRERELEASE_CONDITION = "contains(github.ref_name, '-rc')";
+const PYTHON_VERSIONS = ["3.8", "3.9", "3.10", "3.11", "3.12", "3.13"];
+
+const CHECKOUT_STEP = ["    - name: Checkout code", "      uses: actions/checkout@v4", "      with:", "        fetch-depth: 1"];
+// hatch-vcs 需要完整的提交历史和标签
+const FULL_CHECKOUT_STEP = ["    - name: Checkout code", "      uses: actions/checkout@v4", "      with:", "        fetch-depth: 0"];
+// 标签去掉前缀后按 PEP 440 与 [project].version 比较（v1.0.0-rc1 与 1.0.0rc1 视为一致）
+const VERSION_CHECK_STEP = [
+  "    - name: Check tag matches version",
+  "      run: |",
+  "        uv run --no-project --with packaging --python 3.12 python - <<'EOF'",
+  "        import os, re, sys, tomllib",
+  "        from packaging.version import Version",
+  "        tag = os.environ[\"GITHUB_REF_NAME\"]",
+  "        version = tomllib.load(open(\"pyproject.toml\", \"rb\"))[\"project\"][\"version\"]",
+  "        match = re.match(r\"^\\D*?[vV]?(\\d.*)$\", tag)",
+  "        if not match or Version(match.group(1)) != Version(version):",
+  "            sys.exit(f\"Tag {tag} does not match version {version} in pyproject.toml\")",
+  "        EOF",
+];
+// 动态版本（hatchling 从文件读取等）在构建后按 wheel 文件名中的版本号比较
+const BUILT_VERSION_CHECK_STEP = [
+  "    - name: Check tag matches built version",
+  "      run: |",
+  "        uv run --no-project --with packaging --python 3.12 python - <<'EOF'",
+  "        import glob, os, re, sys",
+  "        from packaging.version import Version",
+  "        tag = os.environ[\"GITHUB_REF_NAME\"]",
+  "        version = os.path.basename(glob.glob(\"dist/*.whl\")[0]).split(\"-\")[1]",
+  "        match = re.match(r\"^\\D*?[vV]?(\\d.*)$\", tag)",
+  "        if not match or Version(match.group(1)) != Version(version):",
+  "            sys.exit(f\"Tag {tag} does not match built version {version}\")",
+  "        EOF",
+];
+const SETUP_UV_STEP = ["    - name: Install uv", "      uses: astral-sh/setup-uv@v4", "      with:", "        enable-cache: false"];
+const DOWNLOAD_STEP = ["    - name: Download distributions", "      uses: actions/download-artifact@v4", "      with:", "        name: dist", "        path: dist/"];
+
+/**
+ * 比较两个由数字组成的版本号
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function compareRelease(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * 某个 Python 小版本（如 3.10）是否满足 requires-python
+ *
+ * 下限按该小版本的最新补丁版本判断，上限按 .0 判断（>=3.8.1 视为支持 3.8）。
+ * @param {string} minor
+ * @param {Array<{operator: string, version: string}>} clauses - parseSpecifierSet 的结果
+ * @returns {boolean}
+ */
+function supportsPython(minor, clauses) {
+  const [major, minorNumber] = minor.split(".").map(Number);
+  return clauses.every(({ operator, version }) => {
+    const spec = version.replace(/\.\*$/, "").split(".").map(Number);
+    const prefixMatch = spec.slice(0, 2).every((part, i) => part === [major, minorNumber][i]);
+    switch (operator) {
+      case ">=":
+      case ">":
+        return compareRelease([major, minorNumber, 999], spec) > 0;
+      case "<":
+        return compareRelease([major, minorNumber, 0], spec) < 0;
+      case "<=":
+        return compareRelease([major, minorNumber, 0], spec) <= 0;
+      case "~=":
+        return compareRelease([major, minorNumber, 999], spec) > 0 && spec.slice(0, -1).every((part, i) => part === [major, minorNumber][i]);
+      case "==":
+      case "===":
+        return prefixMatch;
+      case "!=":
+        return !(version.endsWith(".*") && spec.length <= 2 && prefixMatch);
+      default:
+        return true;
+    }
+  });
+}
+
+/**
+ * 测试矩阵使用的 Python 版本：requires-python 允许的最低和最高版本
+ * @param {string|undefined} requiresPython
+ * @returns {string[]}
+ */
+function pythonMatrix(requiresPython) {
+  const clauses = parseSpecifierSet(requiresPython || "") || [];
+  const supported = PYTHON_VERSIONS.filter((minor) => supportsPython(minor, clauses));
+  if (supported.length === 0) return [PYTHON_VERSIONS[PYTHON_VERSIONS.length - 1]];
+  return [...new Set([supported[0], supported[supported.length - 1]])];
+}
+
+/**
+ * 根据仓库配置和生成的 pyproject.toml 决定工作流包含哪些任务
+ * @param {object} options
+ * @param {object} options.config - 仓库配置（tagPattern / publish / testpypiPrereleases / githubRelease）
+ * @param {string} options.pyproject - 最终的 pyproject.toml
+ * @param {boolean} [options.hasTests] - 仓库中是否有测试
+ * @returns {{tagPatterns: string[], publish: string, prereleaseToTestPyPI: boolean, githubRelease: boolean, scripts: string[], pythonVersions: string[]|null, vcsVersion: boolean, version: string|null}}
+ *   vcsVersion 为版本号由 Git 标签生成（hatch-vcs / setuptools_scm），version 为 [project] 中写明的版本号
+ */
+function planWorkflow({ config, pyproject, hasTests = false }) {
+  let doc = {};
+  try {
+    doc = TOML.parse(pyproject);
+  } catch (e) {
+    // pyproject.toml 无法解析时不做冒烟测试
+  }
+  const project = doc.project || {};
+  const dynamicVersion = Array.isArray(project.dynamic) && project.dynamic.includes("version");
+
+  const prereleaseToTestPyPI = config.publish === "pypi" && Boolean(config.testpypiPrereleases);
+  return {
+    tagPatterns: prereleaseToTestPyPI && config.tagPattern !== PRERELEASE_TAG_PATTERN ? [config.tagPattern, PRERELEASE_TAG_PATTERN] : [config.tagPattern],
+    publish: config.publish,
+    prereleaseToTestPyPI,
+    githubRelease: config.githubRelease !== false,
+    scripts: Object.keys(project.scripts || {}),
+    pythonVersions: hasTests ? pythonMatrix(project["requires-python"]) : null,
+    // 保留 setuptools 后端时由 setuptools_scm 生成
+    vcsVersion: dynamicVersion && (doc.tool?.hatch?.version?.source === "vcs" || doc.tool?.setuptools_scm !== undefined),
+    version: !dynamicVersion && typeof project.version === "string" ? project.version : null,
+  };
+}
+
+/**
+ * 发布任务
+ * @param {string} id - 任务 ID
+ * @param {string} label - PyPI / TestPyPI
+ * @param {string|null} uploadUrl - 为空时发布到 PyPI
+ * @param {string|null} condition - 任务的 if 条件
+ * @returns {string[]}
+ */
+function publishJob(id, label, uploadUrl, condition) {
+  return [
+    `  ${id}:`,
+    "    needs: build",
+    ...(condition ? [`    if: \${{ ${condition} }}`] : []),
+    "    runs-on: ubuntu-latest",
+    "    steps:",
+    ...DOWNLOAD_STEP,
+    "",
+    ...SETUP_UV_STEP,
+    "",
+    `    - name: Publish to ${label}`,
+    `      run: uv publish${uploadUrl ? ` --publish-url ${uploadUrl}` : ""}`,
+  ];
+}
+
+/**
+ * 生成发布工作流
+ * @param {object} options - 同 planWorkflow
+ * @returns {string}
+ */
+function generateWorkflow(options) {
+  const plan = planWorkflow(options);
+  const jobs = [];
+
+  if (plan.pythonVersions) {
+    jobs.push([
+      "  test:",
+      "    runs-on: ubuntu-latest",
+      "    strategy:",
+      "      matrix:",
+      `        python-version: [${plan.pythonVersions.map((v) => `"${v}"`).join(", ")}]`,
+      "    steps:",
+      ...CHECKOUT_STEP,
+      "",
+      "    - name: Install uv",
+      "      uses: astral-sh/setup-uv@v4",
+      "      with:",
+      "        enable-cache: false",
+      "        python-version: ${{ matrix.python-version }}",
+      "",
+      "    - name: Run tests",
+      "      run: uv run --with pytest pytest",
+    ]);
+  }
+
+  jobs.push([
+    "  build:",
+    ...(plan.pythonVersions ? ["    needs: test"] : []),
+    "    runs-on: ubuntu-latest",
+    "    steps:",
+    ...(plan.vcsVersion ? FULL_CHECKOUT_STEP : CHECKOUT_STEP),
+    "",
+    ...SETUP_UV_STEP,
+    "",
+    ...(plan.version ? [...VERSION_CHECK_STEP, ""] : []),
+    "    - name: Build package",
+    "      run: uv build",
+    ...(plan.version || plan.vcsVersion ? [] : ["", ...BUILT_VERSION_CHECK_STEP]),
+    ...plan.scripts.flatMap((script) => ["", `    - name: Smoke test ${script}`, `      run: uvx --from dist/*.whl ${script} --help`]),
+    "",
+    "    - name: Upload distributions",
+    "      uses: actions/upload-artifact@v4",
+    "      with:",
+    "        name: dist",
+    "        path: dist/",
+  ]);
+
+  const publishJobs = [];
+  if (plan.publish === "testpypi") {
+    publishJobs.push("publish");
+    jobs.push(publishJob("publish", "TestPyPI", TESTPYPI_UPLOAD_URL, null));
+  } else if (plan.publish === "pypi") {
+    publishJobs.push("publish");
+    jobs.push(publishJob("publish", "PyPI", null, plan.prereleaseToTestPyPI ? `!${PRERELEASE_CONDITION}` : null));
+    if (plan.prereleaseToTestPyPI) {
+      publishJobs.push("publish-testpypi");
+      jobs.push(publishJob("publish-testpypi", "TestPyPI", TESTPYPI_UPLOAD_URL, PRERELEASE_CONDITION));
+    }
+  }
+
+  if (plan.githubRelease) {
+    const needs = publishJobs.length > 0 ? publishJobs : ["build"];
+    jobs.push([
+      "  release:",
+      `    needs: ${needs.length === 1 ? needs[0] : `[${needs.join(", ")}]`}`,
+      // 预发布时跳过的发布任务不应阻止创建 Release
+      ...(publishJobs.length > 1 ? ["    if: ${{ !failure() && !cancelled() }}"] : []),
+      "    runs-on: ubuntu-latest",
+      "    steps:",
+      ...DOWNLOAD_STEP,
+      "",
+      "    - name: Create GitHub Release",
+      "      env:",
+      "        GH_TOKEN: ${{ github.token }}",
+      `      run: gh release create "$GITHUB_REF_NAME" dist/* --repo "$GITHUB_REPOSITORY" --title "$GITHUB_REF_NAME" --generate-notes \${{ ${PRERELEASE_CONDITION} && '--prerelease' || '' }}`,
+    ]);
+  }
+
+  return [
+    "name: Publish",
+    "permissions:",
+    "  contents: write",
+    "  id-token: write",
+    "on:",
+    "  push:",
+    "    tags:",
+    ...plan.tagPatterns.map((pattern) => `      - '${pattern}'`),
+    "",
+    "jobs:",
+    jobs.map((job) => job.join("\n")).join("\n\n"),
+    "",
+  ].join("\n");
+}
+
+/**
+ * 生成一个能匹配标签通配符的示例标签（用于 PR 说明）
+ * @param {string} tagPattern - 如 "v*.*.*"、"release-*"
+ * @param {string} [version] - 示例中使用的版本号（下一个要发布的版本）
+ * @returns {string}
+ */
+function exampleTag(tagPattern, version = "0.1.0") {
+  return tagPattern.replace("*.*.*", version).replace(/\*/g, version).replace(/[?[\]!]/g, "");
+}
+
+module.exports = {
+  PRERELEASE_TAG_PATTERN,
+  PYTHON_VERSIONS,
+  supportsPython,
+  pythonMatrix,
+  planWorkflow,
+  generateWorkflow,
+  exampleTag,
+};
@@ -0,0 +1,19 @@
+const { planWorkflow, generateWorkflow } = require("./workflow-generator");
+
+describe("planWorkflow version check", () => {
+  const config = { tagPattern: "v*", publish: "pypi", githubRelease: true };
+  const pyproject = (extra) => `[project]\nname = "demo"\n${extra}`;
+
+  test.each([
+    ["static version", pyproject('version = "1.2.0"\n'), { vcsVersion: false, version: "1.2.0" }, "Check tag matches version"],
+    ["hatch-vcs", pyproject('dynamic = ["version"]\n\n[tool.hatch.version]\nsource = "vcs"\n'), { vcsVersion: true, version: null }, null],
+    ["setuptools_scm", pyproject('dynamic = ["version"]\n\n[tool.setuptools_scm]\n'), { vcsVersion: true, version: null }, null],
+    ["version file", pyproject('dynamic = ["version"]\n\n[tool.hatch.version]\npath = "src/demo/__init__.py"\n'), { vcsVersion: false, version: null }, "Check tag matches built version"],
+  ])("%s", (name, content, expected, step) => {
+    expect(planWorkflow({ config, pyproject: content })).toMatchObject(expected);
+    const workflow = generateWorkflow({ config, pyproject: content });
+    expect(workflow).toContain(`fetch-depth: ${expected.vcsVersion ? 0 : 1}`);
+    if (step) expect(workflow).toContain(`name: ${step}\n`);
+    else expect(workflow).not.toContain("Check tag matches");
+  });
+});